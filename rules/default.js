@@ -0,0 +1,29 @@
+// rules/default.js - STOCK RULES LOADED FROM THE DEFAULT RULES DIRECTORY
+// Rule format: see src/analyzers/ruleEngine.js
+module.exports = [
+  {
+    id: 'CONCENTRATED_WITHOUT_METAPLEX',
+    severity: 'HIGH',
+    category: 'HOLDERS',
+    message: '🔴 Top holder above 30% on a token without Metaplex metadata',
+    when: {
+      all: [
+        { fact: 'checks.holders.concentration.top1Percentage', op: '>', value: 30 },
+        { fact: 'checks.metadata.metadata.source', op: '==', value: 'BASIC' }
+      ]
+    }
+  },
+  {
+    id: 'FREEZABLE_WITHOUT_LIQUIDITY',
+    severity: 'CRITICAL',
+    category: 'AUTHORITY',
+    message: '🔴 Freeze authority active and no liquidity pools',
+    recommendation: '🚨 AVOID: Holders can be frozen and there is no pool to exit through',
+    when: {
+      all: [
+        { fact: 'checks.authorities.freezeAuthority', op: 'exists' },
+        { finding: 'NO_LIQUIDITY_POOLS' }
+      ]
+    }
+  }
+];
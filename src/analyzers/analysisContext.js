@@ -0,0 +1,160 @@
+// src/analyzers/analysisContext.js - SHARED PER-ANALYSIS ACCOUNT DATA
+//
+// One context lives for one analyzeToken call. Every loader runs at most once
+// per key and goes through the shared rate limiter, so checks running side by
+// side reuse the same mint, supply, largest-account and metadata lookups.
+//
+// `signal` is the analysis-wide signal: shared lookups are only cancelled when
+// the whole analysis stops. A check gets a view from scoped() whose own signal
+// also covers its timeout - a timed-out check stops waiting on shared lookups
+// without cancelling them for the checks still using them.
+//
+// `policy` is the risk policy selected for the run (config/policy.js) and
+// `depth` the profile's depth settings (config/profiles.js).
+const solanaService = require('../services/solanaService');
+const metadataService = require('../services/metadataService');
+const rateLimiter = require('../config/rateLimit');
+const policyManager = require('../config/policy');
+const profileManager = require('../config/profiles');
+const pumpLayout = require('../utils/pumpLayout');
+const { PUMP_FUN } = require('../config/constants');
+const abort = require('../utils/abort');
+
+// getTokenLargestAccounts always returns up to 20 accounts - fetch them all once
+const LARGEST_ACCOUNTS_LIMIT = 20;
+
+class AnalysisContext {
+  constructor(mintAddress, options = {}) {
+    this.mintAddress = mintAddress;
+    this.options = options;
+    this.signal = options.signal || null;
+    this.policy = policyManager.resolve(options.policy);
+    this.depth = options.depth || profileManager.defaultProfile.depth;
+    this.root = this;
+    this.cache = new Map();
+    this.stats = {
+      requests: 0,
+      cacheHits: 0
+    };
+  }
+
+  // Analyzers called directly (outside analyzeToken) get a private context
+  static for(mintAddress, context) {
+    return context || new AnalysisContext(mintAddress);
+  }
+
+  // View sharing this context's cache and stats, cancelled by `signal`
+  scoped(signal) {
+    const view = Object.create(this.root);
+    view.signal = signal;
+    return view;
+  }
+
+  // Loaders receive the analysis-wide signal; callers wait with their own
+  load(key, loader, credits = 1) {
+    const { root } = this;
+
+    if (root.cache.has(key)) {
+      root.stats.cacheHits++;
+    } else {
+      root.stats.requests++;
+      const pending = rateLimiter.executeRequest(loader, credits, { signal: root.signal });
+      root.cache.set(key, pending);
+    }
+
+    return abort.race(root.cache.get(key), this.signal);
+  }
+
+  getMintInfo() {
+    return this.load('mintInfo', signal => solanaService.getTokenMintInfo(this.mintAddress, { signal }));
+  }
+
+  getSupply() {
+    return this.load('supply', signal => solanaService.getTokenSupply(this.mintAddress, { signal }));
+  }
+
+  async getLargestAccounts(limit = LARGEST_ACCOUNTS_LIMIT) {
+    const accounts = await this.load('largestAccounts', signal =>
+      solanaService.getTokenLargestAccounts(this.mintAddress, LARGEST_ACCOUNTS_LIMIT, { signal })
+    );
+    return accounts.slice(0, limit);
+  }
+
+  getAccountInfo(address = this.mintAddress) {
+    return this.load(`account:${address}`, signal => solanaService.getAccountInfo(address, { signal }));
+  }
+
+  // Decoded pump.fun bonding curve, or null when the mint never launched there
+  async getBondingCurve(mintAddress = this.mintAddress) {
+    const address = pumpLayout.getBondingCurveAddress(mintAddress);
+    const account = await this.getAccountInfo(address);
+
+    if (!account || account.owner !== PUMP_FUN.PROGRAM_ID) return null;
+    return { address, ...pumpLayout.decodeBondingCurve(account.data) };
+  }
+
+  getEpochInfo() {
+    return this.load('epochInfo', signal => solanaService.getEpochInfo({ signal }));
+  }
+
+  // getProgramAccounts scan - costly, only used for confidential-transfer mints
+  async getPublicBalanceTotal() {
+    const mintInfo = await this.getMintInfo();
+    return this.load('publicBalanceTotal', signal =>
+      solanaService.getPublicBalanceTotal(this.mintAddress, mintInfo.programId, { signal }), 10);
+  }
+
+  // Newest first; `before` pages back from (and excluding) that signature
+  getSignatures(limit, address = this.mintAddress, before = null) {
+    return this.load(`signatures:${address}:${limit}:${before || ''}`, signal =>
+      solanaService.getSignaturesForAddress(address, limit, { signal, before })
+    );
+  }
+
+  // The address's oldest signature entry - for a mint, its creation - paged
+  // back with `before`. Null when depth.launch does not reach that far.
+  async getFirstSignature(address = this.mintAddress) {
+    const { signatures: limit, pages } = this.depth.launch;
+    let oldest = null;
+    let before = null;
+
+    for (let page = 0; page < pages; page++) {
+      const history = await this.getSignatures(limit, address, before);
+      if (history.length > 0) oldest = history[history.length - 1];
+      if (history.length < limit) return oldest;
+      before = oldest.signature;
+    }
+
+    return null;
+  }
+
+  getTransaction(signature) {
+    return this.load(`transaction:${signature}`, signal => solanaService.getTransaction(signature, { signal }));
+  }
+
+  // `mintAddress` defaults to the analyzed mint; other mints are for history lookups
+  getTokenBalance(owner, mintAddress = this.mintAddress) {
+    return this.load(`balance:${mintAddress}:${owner}`, signal =>
+      solanaService.getTokenBalance(owner, mintAddress, { signal })
+    );
+  }
+
+  // Metadata issues its own RPC/HTTP calls through the root context, so it is
+  // not scheduled as a single rate-limited job itself
+  getMetadata() {
+    const { root } = this;
+
+    if (!root.cache.has('metadata')) {
+      root.cache.set('metadata', metadataService.getTokenMetadata(this.mintAddress, root));
+    } else {
+      root.stats.cacheHits++;
+    }
+    return abort.race(root.cache.get('metadata'), this.signal);
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = AnalysisContext;
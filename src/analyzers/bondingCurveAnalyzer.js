@@ -0,0 +1,63 @@
+// src/analyzers/bondingCurveAnalyzer.js - PUMP.FUN BONDING-CURVE STATE
+//
+// A fresh pump.fun token has no DEX pool: it trades against its bonding curve
+// until the curve sells its real token reserves and completes. Price follows
+// the constant-product virtual reserves, so the curve alone gives price,
+// market cap and how close the token is to graduating.
+const tokenAmounts = require('../utils/tokenAmounts');
+const findings = require('../utils/findings');
+const { PUMP_FUN } = require('../config/constants');
+
+const LAMPORTS_DECIMALS = 9;
+
+class BondingCurveAnalyzer {
+  // Returns null for mints without a pump.fun bonding curve
+  async analyzeCurve(mintAddress, ctx) {
+    const curve = await ctx.getBondingCurve();
+    if (!curve) return null;
+
+    const mintInfo = await ctx.getMintInfo();
+    const metrics = this.getMetrics(curve, mintInfo.decimals ?? PUMP_FUN.TOKEN_DECIMALS);
+
+    const curveFindings = [curve.complete
+      ? findings.create('BONDING_CURVE_COMPLETE', {
+        evidence: { accounts: [curve.address] }
+      })
+      : findings.create('BONDING_CURVE_ACTIVE', {
+        message: `🟡 Trading on the pump.fun bonding curve - ${metrics.progress.toFixed(1)}% of the way to graduation`,
+        evidence: { accounts: [curve.address], progress: metrics.progress }
+      })];
+
+    return {
+      ...curve,
+      ...metrics,
+      findings: curveFindings
+    };
+  }
+
+  // Price is SOL per whole token; market cap prices the curve's total supply
+  getMetrics(curve, decimals) {
+    const virtualSol = tokenAmounts.toTokens(curve.virtualSolReserves, LAMPORTS_DECIMALS);
+    const virtualTokens = tokenAmounts.toTokens(curve.virtualTokenReserves, decimals);
+    const priceSol = virtualTokens > 0 ? virtualSol / virtualTokens : 0;
+
+    return {
+      priceSol,
+      marketCapSol: priceSol * tokenAmounts.toTokens(curve.tokenTotalSupply, decimals),
+      realSol: tokenAmounts.toTokens(curve.realSolReserves, LAMPORTS_DECIMALS),
+      progress: this.getProgress(curve)
+    };
+  }
+
+  // Share of the curve's sellable tokens already bought
+  getProgress(curve) {
+    if (curve.complete) return 100;
+
+    const initial = tokenAmounts.toBigInt(PUMP_FUN.INITIAL_REAL_TOKEN_RESERVES);
+    const sold = initial - tokenAmounts.toBigInt(curve.realTokenReserves);
+    if (sold <= 0n) return 0;
+    return Math.min(100, tokenAmounts.percentage(sold, initial));
+  }
+}
+
+module.exports = new BondingCurveAnalyzer();
@@ -0,0 +1,289 @@
+// src/analyzers/bundleAnalyzer.js - PUMP.FUN LAUNCH BUNDLES AND SNIPERS
+//
+// A bundled launch lands the create and a handful of insider buys together,
+// usually through Jito, so the insiders hold a large share before anyone else
+// can trade. This collects the buys in the creation slot and the next few,
+// notes Jito tips, and traces each buyer's SOL back to the wallet that funded
+// it shortly before launch. A buyer counts as bundled when it bought in the
+// creation slot itself, was funded by the creator, or shares a funder with
+// another early buyer. The creator's own launch buy is left to creatorAnalyzer.
+const creatorAnalyzer = require('./creatorAnalyzer');
+const pumpLayout = require('../utils/pumpLayout');
+const transactionLayout = require('../utils/transactionLayout');
+const tokenAmounts = require('../utils/tokenAmounts');
+const findings = require('../utils/findings');
+const { JITO } = require('../config/constants');
+
+const TIP_ACCOUNTS = new Set(JITO.TIP_ACCOUNTS);
+
+class BundleAnalyzer {
+  // Returns null for mints without a pump.fun bonding curve
+  async analyzeLaunch(mintAddress, ctx, { creationSignature } = {}) {
+    const curve = await ctx.getBondingCurve();
+    if (!curve) return null;
+
+    const launch = await creatorAnalyzer.findLaunch(mintAddress, ctx, creationSignature);
+    if (!launch) {
+      return { launchSignature: null, launchSlot: null, score: null, findings: [] };
+    }
+
+    const thresholds = ctx.policy.bundle;
+    const creator = launch.create.creator;
+    const window = await this.getLaunchWindow(mintAddress, launch, ctx, thresholds.launchSlots);
+    const buys = window.transactions
+      .flatMap(({ signature, transaction }) => this.getBuys(transaction, signature, mintAddress))
+      .filter(buy => buy.wallet !== creator);
+
+    const wallets = await this.traceWallets(buys, launch, ctx, thresholds);
+    const supply = curve.tokenTotalSupply;
+    const bundled = wallets.filter(wallet => wallet.bundled);
+    const bundledBought = this.sum(bundled);
+
+    const result = {
+      launchSignature: launch.signature,
+      launchSlot: launch.slot,
+      creator,
+      launchTipped: this.getJitoTip(launch.transaction) > 0,
+      buyCount: buys.length,
+      sniperPercentage: tokenAmounts.percentage(this.sum(wallets), supply),
+      bundledPercentage: tokenAmounts.percentage(bundledBought, supply),
+      bundledHeldPercentage: await this.getHeldPercentage(bundled, supply, ctx),
+      wallets,
+      transactionsExamined: window.transactions.length,
+      windowComplete: window.complete,
+      fundingTraced: wallets.every(wallet => !wallet.traced || wallet.fundingTraced)
+    };
+
+    const assessment = this.assessLaunch(result, thresholds);
+    // Without the launch slots the earliest buys are missing, and without the
+    // buyers' pre-launch history their funders are - report what was found but
+    // leave the score out rather than pass a launch unseen
+    const scored = window.reachedLaunch && result.fundingTraced;
+    return { ...result, ...assessment, score: scored ? assessment.score : null };
+  }
+
+  // Mint transactions from the create up to `slots` slots later. The mint
+  // history is newest first, so it is paged back until it passes the launch.
+  async getLaunchWindow(mintAddress, launch, ctx, slots) {
+    const { signatures: limit, pages, transactions: maxTransactions } = ctx.depth.bundle;
+    const lastSlot = launch.slot + slots;
+    const entries = [];
+    let before = null;
+    let reachedLaunch = false;
+
+    for (let page = 0; page < pages && !reachedLaunch; page++) {
+      const history = await ctx.getSignatures(limit, mintAddress, before);
+      entries.push(...history.filter(entry => entry.slot >= launch.slot && entry.slot <= lastSlot));
+
+      reachedLaunch = history.length < limit || history[history.length - 1].slot < launch.slot;
+      if (history.length > 0) before = history[history.length - 1].signature;
+    }
+
+    // Oldest first, so the cap keeps the earliest buys
+    const candidates = entries
+      .filter(entry => !entry.failed && entry.signature !== launch.signature)
+      .reverse();
+    const examined = candidates.slice(0, maxTransactions);
+    const fetched = await Promise.all(examined.map(entry => ctx.getTransaction(entry.signature)));
+
+    return {
+      transactions: [
+        { signature: launch.signature, transaction: launch.transaction },
+        ...fetched
+          .map((transaction, index) => ({ signature: examined[index].signature, transaction }))
+          .filter(entry => entry.transaction)
+      ],
+      reachedLaunch,
+      complete: reachedLaunch && candidates.length <= maxTransactions
+    };
+  }
+
+  // Buys of the mint in one transaction. TradeEvents carry the SOL paid;
+  // truncated logs fall back to the buy instructions.
+  getBuys(transaction, signature, mintAddress) {
+    const jitoTip = this.getJitoTip(transaction);
+    const entry = (wallet, tokenAmount, solAmount) => ({
+      wallet,
+      signature,
+      slot: transaction.slot,
+      tokenAmount,
+      solAmount,
+      jitoTip
+    });
+
+    const events = pumpLayout.parseEvents(transaction.meta?.logMessages || [])
+      .filter(event => event.event === 'TradeEvent' && event.isBuy && event.mint === mintAddress);
+    if (events.length > 0) {
+      return events.map(event => entry(event.user, event.tokenAmount, event.solAmount));
+    }
+
+    return pumpLayout.decodeTransaction(transaction)
+      .filter(instruction => instruction.instruction === 'buy' && instruction.mint === mintAddress)
+      .map(instruction => entry(instruction.user, instruction.amount, null));
+  }
+
+  // Lamports the transaction paid into Jito tip accounts
+  getJitoTip(transaction) {
+    let tip = 0;
+    transactionLayout.getLamportChanges(transaction).forEach((change, key) => {
+      if (TIP_ACCOUNTS.has(key) && change > 0) tip += change;
+    });
+    return tip;
+  }
+
+  // One entry per buying wallet, largest buyer first. Only the top
+  // depth.bundle.wallets buyers are traced to a funder.
+  async traceWallets(buys, launch, ctx, thresholds) {
+    const byWallet = new Map();
+    buys.forEach(buy => {
+      const wallet = byWallet.get(buy.wallet) || {
+        wallet: buy.wallet,
+        bought: 0n,
+        firstSlot: buy.slot,
+        signatures: [],
+        jitoTipped: false
+      };
+      wallet.bought += BigInt(buy.tokenAmount);
+      wallet.firstSlot = Math.min(wallet.firstSlot, buy.slot);
+      wallet.signatures.push(buy.signature);
+      wallet.jitoTipped = wallet.jitoTipped || buy.jitoTip > 0;
+      byWallet.set(buy.wallet, wallet);
+    });
+
+    const wallets = [...byWallet.values()].sort((a, b) => Number(b.bought - a.bought));
+    const traced = wallets.slice(0, ctx.depth.bundle.wallets);
+    const funding = await Promise.all(traced.map(wallet =>
+      this.findFunding(wallet.wallet, launch.slot, ctx, thresholds.fundingLookbackSlots)
+    ));
+
+    const funderCounts = new Map();
+    funding.forEach(({ source }) => {
+      if (source) funderCounts.set(source.funder, (funderCounts.get(source.funder) || 0) + 1);
+    });
+
+    return wallets.map((wallet, index) => {
+      const source = index < traced.length ? funding[index].source : null;
+      const sameSlot = wallet.firstSlot === launch.slot;
+      const fundedByCreator = source?.funder === launch.create.creator;
+      const sharedFunder = Boolean(source) && funderCounts.get(source.funder) > 1;
+
+      return {
+        ...wallet,
+        bought: wallet.bought.toString(),
+        traced: index < traced.length,
+        fundingTraced: index < traced.length && funding[index].traced,
+        fundedBy: source?.funder || null,
+        fundingSignature: source?.signature || null,
+        sameSlot,
+        fundedByCreator,
+        sharedFunder,
+        bundled: sameSlot || fundedByCreator || sharedFunder
+      };
+    });
+  }
+
+  // Most recent SOL the wallet received from another signer in the lookback
+  // window before launch. Requiring a signer keeps pool payouts out; exchange
+  // withdrawals still share a funder and can look coordinated.
+  // Returns { source, traced } - `traced` is false when the wallet's history
+  // could not be paged back to before launch, so a missing funder means nothing.
+  async findFunding(wallet, launchSlot, ctx, lookbackSlots) {
+    const { walletSignatures: pageSize, walletPages, funding: limit } = ctx.depth.bundle;
+    const windowStart = launchSlot - lookbackSlots;
+    const candidates = [];
+    let before = null;
+    let traced = false;
+
+    // Active wallets keep trading after launch - page back past it
+    for (let page = 0; page < walletPages && !traced; page++) {
+      const history = await ctx.getSignatures(pageSize, wallet, before);
+      candidates.push(...history.filter(entry =>
+        !entry.failed && entry.slot < launchSlot && entry.slot >= windowStart
+      ));
+
+      traced = history.length < pageSize || history[history.length - 1].slot < windowStart ||
+        candidates.length >= limit;
+      if (history.length > 0) before = history[history.length - 1].signature;
+    }
+
+    for (const entry of candidates.slice(0, limit)) {
+      const transaction = await ctx.getTransaction(entry.signature);
+      if (!transaction) continue;
+
+      const changes = transactionLayout.getLamportChanges(transaction);
+      if (!(changes.get(wallet) > 0)) continue;
+
+      const funder = transactionLayout.getSigners(transaction)
+        .filter(signer => signer !== wallet && changes.get(signer) < 0)
+        .sort((a, b) => changes.get(a) - changes.get(b))[0];
+      if (funder) {
+        return { source: { funder, signature: entry.signature, lamports: changes.get(wallet) }, traced: true };
+      }
+    }
+
+    return { source: null, traced };
+  }
+
+  // What the bundled wallets still hold; they may have sold or moved it on
+  async getHeldPercentage(bundled, supply, ctx) {
+    if (bundled.length === 0) return 0;
+
+    const balances = await Promise.all(bundled.map(wallet => ctx.getTokenBalance(wallet.wallet)));
+    const held = balances.reduce((total, balance) => total + tokenAmounts.toBigInt(balance), 0n);
+    return tokenAmounts.percentage(held, supply);
+  }
+
+  sum(wallets) {
+    return wallets.reduce((total, wallet) => total + BigInt(wallet.bought), 0n);
+  }
+
+  assessLaunch(launch, thresholds) {
+    const { penalties } = thresholds;
+    const launchFindings = [];
+    let score = 100;
+
+    const bundled = launch.wallets.filter(wallet => wallet.bundled);
+    if (bundled.length > 0) {
+      const high = launch.bundledPercentage >= thresholds.bundledShareHigh;
+      launchFindings.push(findings.create(high ? 'BUNDLED_LAUNCH_HIGH' : 'BUNDLED_LAUNCH', {
+        message: `${high ? '🔴 BUNDLED LAUNCH - ' : '🟡 '}${bundled.length} coordinated wallet(s) bought ` +
+          `${launch.bundledPercentage.toFixed(1)}% of supply at launch (still hold ${launch.bundledHeldPercentage.toFixed(1)}%)`,
+        evidence: {
+          accounts: bundled.map(wallet => wallet.wallet),
+          signatures: bundled.flatMap(wallet => wallet.signatures),
+          bundledPercentage: launch.bundledPercentage,
+          bundledHeldPercentage: launch.bundledHeldPercentage
+        }
+      }));
+      score -= high ? penalties.bundledHigh : penalties.bundled;
+    }
+
+    const creatorFunded = launch.wallets.filter(wallet => wallet.fundedByCreator);
+    if (creatorFunded.length > 0) {
+      launchFindings.push(findings.create('CREATOR_FUNDED_BUYERS', {
+        message: `🔴 Creator funded ${creatorFunded.length} wallet(s) that bought at launch`,
+        evidence: {
+          accounts: [launch.creator, ...creatorFunded.map(wallet => wallet.wallet)],
+          signatures: creatorFunded.map(wallet => wallet.fundingSignature)
+        }
+      }));
+      score -= penalties.creatorFunded;
+    }
+
+    if (launch.sniperPercentage > thresholds.sniperShareHigh) {
+      launchFindings.push(findings.create('SNIPER_SHARE_HIGH', {
+        message: `🔴 ${launch.sniperPercentage.toFixed(1)}% of supply bought in the launch slots ` +
+          `(over ${thresholds.sniperShareHigh}%)`,
+        evidence: {
+          accounts: launch.wallets.map(wallet => wallet.wallet),
+          sniperPercentage: launch.sniperPercentage
+        }
+      }));
+      score -= penalties.sniperShare;
+    }
+
+    return { score: Math.max(0, score), findings: launchFindings };
+  }
+}
+
+module.exports = new BundleAnalyzer();
@@ -0,0 +1,180 @@
+// src/analyzers/checkRegistry.js - PLUGGABLE CHECKS FOR tokenAnalyzer.analyzeToken
+//
+// A check definition looks like:
+// {
+//   id: 'myCheck',                 // key under analysis.checks
+//   label: '🔎 Running my check',  // progress line printed while running
+//   dependsOn: ['holders'],        // checks whose results this one reads
+//   weight: 10,                    // weight in the risk score (0 = informational)
+//   timeoutMs: 5000,               // null = no timeout
+//   cost: 2,                       // estimated RPC/API calls per run
+//   enabledByDefault: true,
+//   option: 'includeMyCheck',      // analyzeToken option that can disable it
+//   timeout: { score, message, fields },  // result used when timeoutMs elapses
+//   run: async (mintAddress, { results, options, context, signal }) => ({ score, findings, ... })
+// }
+//
+// `findings` defaults to [] and issues/warnings are derived from it; a result
+// that is not an object or scores outside 0-100 fails just that check.
+//
+// `signal` aborts when the check times out or the analysis is cancelled; pass
+// it (or use `context`, which already honours it) to any RPC/HTTP work.
+
+class CheckRegistry {
+  constructor() {
+    this.checks = new Map();
+  }
+
+  register(definition, { replace = false } = {}) {
+    const check = this.normalize(definition);
+
+    if (this.checks.has(check.id) && !replace) {
+      throw new Error(`Check already registered: ${check.id}`);
+    }
+
+    this.checks.set(check.id, check);
+    return check;
+  }
+
+  unregister(id) {
+    return this.checks.delete(id);
+  }
+
+  get(id) {
+    return this.checks.get(id) || null;
+  }
+
+  list() {
+    return [...this.checks.values()];
+  }
+
+  getWeights() {
+    const weights = {};
+    this.checks.forEach(check => {
+      weights[check.id] = check.weight;
+    });
+    return weights;
+  }
+
+  normalize(definition) {
+    if (!definition || typeof definition.id !== 'string' || definition.id.trim() === '') {
+      throw new Error('Check definition needs a string id');
+    }
+
+    if (typeof definition.run !== 'function') {
+      throw new Error(`Check ${definition.id} needs a run function`);
+    }
+
+    const weight = definition.weight ?? 10;
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new Error(`Check ${definition.id} has an invalid weight: ${weight}`);
+    }
+
+    const timeoutMs = definition.timeoutMs ?? null;
+    if (timeoutMs !== null && (typeof timeoutMs !== 'number' || timeoutMs <= 0)) {
+      throw new Error(`Check ${definition.id} has an invalid timeout: ${timeoutMs}`);
+    }
+
+    return {
+      label: `🔎 Running ${definition.id}...`,
+      dependsOn: [],
+      cost: 1,
+      enabledByDefault: true,
+      option: null,
+      timeout: {},
+      ...definition,
+      weight,
+      timeoutMs
+    };
+  }
+
+  // The caller's disableChecks / enableChecks beat an include* toggle, which
+  // beats the profile's disable / enable lists (`profileChecks`), which beat
+  // the `checks` base set, which beats the check's own default
+  isEnabled(check, options = {}) {
+    if (Array.isArray(options.disableChecks) && options.disableChecks.includes(check.id)) {
+      return false;
+    }
+
+    if (Array.isArray(options.enableChecks) && options.enableChecks.includes(check.id)) {
+      return true;
+    }
+
+    if (check.option && options[check.option] !== undefined) {
+      return options[check.option] !== false;
+    }
+
+    const profileChecks = options.profileChecks || {};
+    if (Array.isArray(profileChecks.disable) && profileChecks.disable.includes(check.id)) {
+      return false;
+    }
+
+    if (Array.isArray(profileChecks.enable) && profileChecks.enable.includes(check.id)) {
+      return true;
+    }
+
+    if (Array.isArray(options.checks)) {
+      return options.checks.includes(check.id);
+    }
+
+    return check.enabledByDefault;
+  }
+
+  // Catches typos in check lists, which would otherwise just skip a check
+  assertKnown(options = {}) {
+    const { enable = [], disable = [] } = options.profileChecks || {};
+    const unknown = ['checks', 'enableChecks', 'disableChecks']
+      .flatMap(key => (Array.isArray(options[key]) ? options[key] : []))
+      .concat(enable, disable)
+      .filter(id => !this.checks.has(id));
+
+    if (unknown.length > 0) {
+      throw new Error(`Unknown check(s): ${[...new Set(unknown)].join(', ')}`);
+    }
+  }
+
+  // Enabled checks in dependency order. Checks whose dependencies are
+  // disabled are returned separately so the caller can report them.
+  resolve(options = {}) {
+    this.assertKnown(options);
+    const enabled = new Map(
+      this.list().filter(check => this.isEnabled(check, options)).map(check => [check.id, check])
+    );
+    const ordered = [];
+    const blocked = [];
+    const visiting = new Set();
+    const visited = new Set();
+    const ready = new Set();
+
+    const visit = (check) => {
+      if (visited.has(check.id)) return ready.has(check.id);
+      if (visiting.has(check.id)) {
+        throw new Error(`Circular check dependency involving: ${check.id}`);
+      }
+
+      visiting.add(check.id);
+
+      const missing = check.dependsOn.filter(dep => !enabled.has(dep));
+      const depsReady = missing.length === 0 &&
+        check.dependsOn.every(dep => visit(enabled.get(dep)));
+
+      visiting.delete(check.id);
+      visited.add(check.id);
+
+      if (!depsReady) {
+        blocked.push({ check, missing: missing.length > 0 ? missing : check.dependsOn });
+        return false;
+      }
+
+      ready.add(check.id);
+      ordered.push(check);
+      return true;
+    };
+
+    enabled.forEach(check => visit(check));
+
+    return { ordered, blocked };
+  }
+}
+
+module.exports = new CheckRegistry();
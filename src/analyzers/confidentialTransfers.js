@@ -0,0 +1,92 @@
+// src/analyzers/confidentialTransfers.js - TOKEN-2022 CONFIDENTIAL BALANCE VISIBILITY
+//
+// Confidential balances are encrypted and missing from getTokenLargestAccounts,
+// so a whale holding confidentially looks like a small holder. The share of
+// supply in public balances says how far holder and liquidity figures can be
+// trusted; the holder and liquidity analyzers scale their confidence by it.
+const tokenLayout = require('../utils/tokenLayout');
+const tokenAmounts = require('../utils/tokenAmounts');
+const findings = require('../utils/findings');
+const abort = require('../utils/abort');
+const logger = require('../utils/logger');
+
+class ConfidentialTransfers {
+  // Returns null for mints without a ConfidentialTransferMint extension
+  async analyzeVisibility(mintAddress, ctx) {
+    const mintInfo = await ctx.getMintInfo();
+    const extension = tokenLayout.findExtension(mintInfo.extensions, 'ConfidentialTransferMint');
+
+    if (!extension) return null;
+
+    const { authority, autoApproveNewAccounts, auditorElgamalPubkey } = extension.config;
+    const thresholds = ctx.policy.confidential;
+    const supply = await ctx.getSupply();
+    const publicBalances = await this.getPublicBalances(mintAddress, ctx);
+
+    const visibleSupply = publicBalances ? publicBalances.total : null;
+    const visiblePercentage = publicBalances
+      ? Math.min(100, tokenAmounts.percentage(visibleSupply, supply.amount))
+      : null;
+    const hiddenPercentage = visiblePercentage === null ? null : 100 - visiblePercentage;
+    const confidence = (visiblePercentage ?? thresholds.unknownVisibilityConfidence) / 100;
+
+    const visibilityFindings = [findings.create('CONFIDENTIAL_TRANSFERS_ENABLED', {
+      message: visiblePercentage === null
+        ? '🟡 Confidential transfers enabled - share of supply in hidden balances unknown'
+        : `🟡 Confidential transfers enabled - ${visiblePercentage.toFixed(2)}% of supply in visible balances`,
+      evidence: { accounts: [mintAddress], visiblePercentage }
+    })];
+
+    if (hiddenPercentage !== null && hiddenPercentage > thresholds.hiddenSupplyHigh) {
+      visibilityFindings.push(findings.create('CONFIDENTIAL_SUPPLY_HIDDEN', {
+        message: `🔴 ${hiddenPercentage.toFixed(2)}% of supply sits in confidential balances - holder concentration may be understated`,
+        evidence: { accounts: [mintAddress], hiddenPercentage }
+      }));
+    }
+
+    if (auditorElgamalPubkey) {
+      visibilityFindings.push(findings.create('CONFIDENTIAL_AUDITOR_KEY', {
+        evidence: { accounts: [authority], auditorElgamalPubkey }
+      }));
+    }
+
+    // Without auto-approve the authority decides who may hold confidentially
+    if (authority && !autoApproveNewAccounts) {
+      visibilityFindings.push(findings.create('CONFIDENTIAL_MANUAL_APPROVAL', {
+        evidence: { accounts: [authority] }
+      }));
+    }
+
+    return {
+      authority,
+      autoApproveNewAccounts,
+      auditorElgamalPubkey,
+      totalSupply: supply.amount,
+      visibleSupply,
+      hiddenSupply: visibleSupply === null ? null : this.difference(supply.amount, visibleSupply),
+      visiblePercentage,
+      publicAccountCount: publicBalances ? publicBalances.accountCount : null,
+      confidence,
+      findings: visibilityFindings
+    };
+  }
+
+  // Supply and balances are read at slightly different slots
+  difference(total, part) {
+    const hidden = tokenAmounts.toBigInt(total) - tokenAmounts.toBigInt(part);
+    return (hidden > 0n ? hidden : 0n).toString();
+  }
+
+  // Many public RPCs refuse getProgramAccounts on the token programs
+  async getPublicBalances(mintAddress, ctx) {
+    try {
+      return await ctx.getPublicBalanceTotal();
+    } catch (error) {
+      if (abort.isAbortError(error)) throw error;
+      logger.warn(`Could not sum public balances for ${mintAddress}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new ConfidentialTransfers();
@@ -0,0 +1,261 @@
+// src/analyzers/creatorAnalyzer.js - PUMP.FUN CREATOR POSITION
+//
+// The holder list cannot tell which wallet launched a token; the create
+// instruction can. TradeEvents in the creation transaction give the creator's
+// launch buy and price, and the creator's own transactions since launch show
+// sells and transfers to other wallets - the usual way a dev spreads a
+// position out before dumping it.
+const pumpLayout = require('../utils/pumpLayout');
+const transactionLayout = require('../utils/transactionLayout');
+const poolLayout = require('../utils/poolLayout');
+const tokenAmounts = require('../utils/tokenAmounts');
+const findings = require('../utils/findings');
+const { PUMP_FUN, TOKENS } = require('../config/constants');
+
+const LAMPORTS_DECIMALS = 9;
+
+class CreatorAnalyzer {
+  // Returns null for mints without a pump.fun bonding curve. Pass the
+  // creation signature when it is known (the monitors see it) to skip
+  // searching the mint's history for it.
+  async analyzePosition(mintAddress, ctx, { creationSignature } = {}) {
+    const curve = await ctx.getBondingCurve();
+    if (!curve) return null;
+
+    const launch = await this.findLaunch(mintAddress, ctx, creationSignature);
+    const creator = launch?.create.creator || curve.creator;
+    if (!creator) {
+      return { creator: null, launchSignature: null, score: null, findings: [] };
+    }
+
+    const [mintInfo, supply, balance] = await Promise.all([
+      ctx.getMintInfo(),
+      ctx.getSupply(),
+      ctx.getTokenBalance(creator)
+    ]);
+    const decimals = mintInfo.decimals ?? PUMP_FUN.TOKEN_DECIMALS;
+    const initialBuy = launch ? this.getInitialBuy(launch, creator, curve, decimals) : null;
+    const activity = await this.getActivity(mintAddress, creator, launch, ctx);
+
+    const sold = this.sum(activity.sells);
+    const transferred = this.sum(activity.transfers);
+    const handled = sold + transferred + tokenAmounts.toBigInt(balance);
+    const firstSellSlot = Math.min(...activity.sells.map(sell => sell.slot));
+
+    const position = {
+      creator,
+      launchSignature: launch?.signature || null,
+      initialBuy,
+      balance,
+      holdingPercentage: tokenAmounts.percentage(balance, supply.amount),
+      sold: sold.toString(),
+      soldPercentage: tokenAmounts.percentage(sold, handled),
+      sells: activity.sells,
+      transfers: activity.transfers,
+      distributedBeforeSelling: activity.sells.length > 0 &&
+        activity.transfers.some(transfer => transfer.slot <= firstSellSlot),
+      transactionsExamined: activity.examined,
+      historyComplete: activity.complete
+    };
+
+    return { ...position, ...this.assessPosition(position, ctx.policy.creator) };
+  }
+
+  async findLaunch(mintAddress, ctx, creationSignature) {
+    let signature = creationSignature;
+
+    if (!signature) {
+      // The create is the mint's oldest transaction
+      const first = await ctx.getFirstSignature();
+      if (!first) return null;
+      signature = first.signature;
+    }
+
+    const transaction = await ctx.getTransaction(signature);
+    const create = transaction ? pumpLayout.findInstruction(transaction, 'create') : null;
+    if (!create || create.mint !== mintAddress) return null;
+
+    return { signature, slot: transaction.slot, transaction, create };
+  }
+
+  // TradeEvents carry the exact SOL paid; truncated logs fall back to the buy
+  // instructions, which only give the token amount
+  getInitialBuy(launch, creator, curve, decimals) {
+    const isCreatorBuy = entry => entry.user === creator && entry.mint === launch.create.mint;
+    const events = pumpLayout.parseEvents(launch.transaction.meta?.logMessages || [])
+      .filter(event => event.event === 'TradeEvent' && event.isBuy && isCreatorBuy(event));
+
+    let tokenAmount;
+    let solAmount = null;
+
+    if (events.length > 0) {
+      tokenAmount = events.reduce((sum, event) => sum + BigInt(event.tokenAmount), 0n);
+      solAmount = events.reduce((sum, event) => sum + BigInt(event.solAmount), 0n);
+    } else {
+      tokenAmount = pumpLayout.decodeTransaction(launch.transaction)
+        .filter(instruction => instruction.instruction === 'buy' && isCreatorBuy(instruction))
+        .reduce((sum, instruction) => sum + BigInt(instruction.amount), 0n);
+    }
+
+    const tokens = tokenAmounts.toTokens(tokenAmount, decimals);
+
+    return {
+      tokenAmount: tokenAmount.toString(),
+      solAmount: solAmount === null ? null : solAmount.toString(),
+      priceSol: solAmount !== null && tokens > 0
+        ? tokenAmounts.toTokens(solAmount, LAMPORTS_DECIMALS) / tokens
+        : null,
+      percentage: tokenAmounts.percentage(tokenAmount, curve.tokenTotalSupply)
+    };
+  }
+
+  // Sells and transfers in the creator's transactions since launch, newest first
+  async getActivity(mintAddress, creator, launch, ctx) {
+    const { signatures: listed, transactions: limit } = ctx.depth.creator;
+    const history = await ctx.getSignatures(listed, creator);
+    const candidates = history.filter(entry =>
+      !entry.failed && entry.signature !== launch?.signature && (!launch || entry.slot >= launch.slot)
+    );
+    const examined = candidates.slice(0, limit);
+    const transactions = await Promise.all(examined.map(entry => ctx.getTransaction(entry.signature)));
+
+    const sells = [];
+    const transfers = [];
+    transactions.forEach((transaction, index) => {
+      const movement = transaction && this.getMovement(transaction, mintAddress, creator);
+      if (!movement) return;
+
+      const { type, ...details } = movement;
+      const entry = { signature: examined[index].signature, slot: transaction.slot, ...details };
+      (type === 'sell' ? sells : transfers).push(entry);
+    });
+
+    return {
+      sells,
+      transfers,
+      examined: examined.length,
+      // Without a launch slot there is no telling whether older history matters
+      complete: Boolean(launch) && candidates.length <= limit &&
+        (history.length < listed || history[history.length - 1].slot < launch.slot)
+    };
+  }
+
+  // A drop in the creator's balance is a sell when the transaction sold on
+  // the curve or the PumpSwap pool, logged a sell TradeEvent, or paid the
+  // creator more SOL than closed accounts refunded in rent - closing the
+  // emptied token account alone is not a sale. It is a transfer when other
+  // wallets gained the tokens instead; drops nobody received are burns and
+  // are ignored.
+  getMovement(transaction, mintAddress, creator) {
+    const deltas = this.getOwnerDeltas(transaction.meta, mintAddress);
+    const creatorDelta = deltas.get(creator) || 0n;
+    if (creatorDelta >= 0n) return null;
+
+    const amount = (-creatorDelta).toString();
+    const curveSell = pumpLayout.decodeTransaction(transaction).some(instruction =>
+      instruction.instruction === 'sell' && instruction.user === creator && instruction.mint === mintAddress
+    );
+    const poolSell = poolLayout.findPoolSells(transaction, mintAddress).some(sell => sell.user === creator);
+    const eventSell = pumpLayout.parseEvents(transaction.meta?.logMessages || []).some(event =>
+      event.event === 'TradeEvent' && !event.isBuy && event.user === creator && event.mint === mintAddress
+    );
+    const solChange = transactionLayout.getLamportChanges(transaction).get(creator) || 0;
+
+    if (curveSell || poolSell || eventSell || solChange > this.getRentRefunded(transaction, creator)) {
+      return { type: 'sell', amount, solReceived: solChange > 0 ? String(solChange) : null };
+    }
+
+    const recipients = [...deltas]
+      .filter(([owner, delta]) => owner !== creator && delta > 0n)
+      .map(([owner]) => owner);
+    return recipients.length > 0 ? { type: 'transfer', amount, recipients } : null;
+  }
+
+  // Rent released by accounts the transaction closed (left with no lamports).
+  // A closed wrapped-SOL account also releases its wrapped balance, which is
+  // SOL the owner already had and is counted as such, not as rent.
+  getRentRefunded(transaction, creator) {
+    const { preBalances = [], postBalances = [], preTokenBalances = [] } = transaction.meta || {};
+    const wrapped = new Map(preTokenBalances
+      .filter(balance => balance.mint === TOKENS.WSOL)
+      .map(balance => [balance.accountIndex, Number(balance.uiTokenAmount.amount)]));
+
+    return transactionLayout.getAccountKeys(transaction).reduce((total, key, index) => {
+      if (key === creator || !preBalances[index] || postBalances[index] !== 0) return total;
+      return total + preBalances[index] - (wrapped.get(index) || 0);
+    }, 0);
+  }
+
+  // Net change of each owner's balance of the mint within one transaction
+  getOwnerDeltas(meta, mintAddress) {
+    const deltas = new Map();
+    const add = (balances, sign) => (balances || [])
+      .filter(balance => balance.mint === mintAddress && balance.owner)
+      .forEach(balance => {
+        const amount = BigInt(balance.uiTokenAmount.amount) * sign;
+        deltas.set(balance.owner, (deltas.get(balance.owner) || 0n) + amount);
+      });
+
+    add(meta?.preTokenBalances, -1n);
+    add(meta?.postTokenBalances, 1n);
+    return deltas;
+  }
+
+  sum(entries) {
+    return entries.reduce((total, entry) => total + BigInt(entry.amount), 0n);
+  }
+
+  assessPosition(position, thresholds) {
+    const { penalties } = thresholds;
+    const positionFindings = [];
+    let score = 100;
+
+    if (position.sells.length > 0 && position.soldPercentage >= thresholds.dumpedSoldShare) {
+      positionFindings.push(findings.create('CREATOR_DUMPED', {
+        message: `🔴 CREATOR DUMPED - sold ${position.soldPercentage.toFixed(1)}% of their tokens`,
+        evidence: {
+          accounts: [position.creator],
+          signatures: position.sells.map(sell => sell.signature),
+          soldPercentage: position.soldPercentage
+        }
+      }));
+      score -= penalties.dumped;
+    } else if (position.sells.length > 0) {
+      positionFindings.push(findings.create('CREATOR_SOLD', {
+        message: `🟡 Creator has sold ${position.soldPercentage.toFixed(1)}% of their tokens`,
+        evidence: {
+          accounts: [position.creator],
+          signatures: position.sells.map(sell => sell.signature),
+          soldPercentage: position.soldPercentage
+        }
+      }));
+      score -= penalties.sold;
+    }
+
+    if (position.holdingPercentage > thresholds.holdingHigh) {
+      positionFindings.push(findings.create('CREATOR_HOLDS_OVER_THRESHOLD', {
+        message: `🔴 Creator still holds ${position.holdingPercentage.toFixed(1)}% of supply (over ${thresholds.holdingHigh}%)`,
+        evidence: { accounts: [position.creator], holdingPercentage: position.holdingPercentage }
+      }));
+      score -= penalties.holdingHigh;
+    }
+
+    if (position.transfers.length > 0) {
+      const recipients = [...new Set(position.transfers.flatMap(transfer => transfer.recipients))];
+      positionFindings.push(findings.create('CREATOR_DISTRIBUTED_TOKENS', {
+        message: position.distributedBeforeSelling
+          ? `🔴 Creator moved tokens to ${recipients.length} other wallet(s) before selling`
+          : `🔴 Creator moved tokens to ${recipients.length} other wallet(s)`,
+        evidence: {
+          accounts: [position.creator, ...recipients],
+          signatures: position.transfers.map(transfer => transfer.signature)
+        }
+      }));
+      score -= penalties.distributed;
+    }
+
+    return { score: Math.max(0, score), findings: positionFindings };
+  }
+}
+
+module.exports = new CreatorAnalyzer();
@@ -0,0 +1,301 @@
+// src/analyzers/creatorReputationAnalyzer.js - CREATOR DEPLOYMENT HISTORY
+//
+// Serial deployers launch token after token and dump each one. Paging back
+// through the creator's signatures finds every mint it created - pump.fun
+// `create` or a plain InitializeMint it signed - and each is judged on its
+// current state: dumped when the creator sold nearly all of its tokens,
+// graduated when its curve completed, dead when an old curve never filled or
+// the mint has no supply left. Sells are read from the same creator
+// transactions, so only launches and sells within the examined history count,
+// and only launches before the analyzed mint's count as earlier ones.
+const creatorAnalyzer = require('./creatorAnalyzer');
+const pumpLayout = require('../utils/pumpLayout');
+const tokenLayout = require('../utils/tokenLayout');
+const transactionLayout = require('../utils/transactionLayout');
+const tokenAmounts = require('../utils/tokenAmounts');
+const findings = require('../utils/findings');
+const abort = require('../utils/abort');
+const logger = require('../utils/logger');
+const { PROGRAMS } = require('../config/constants');
+
+const TOKEN_PROGRAMS = new Set([PROGRAMS.TOKEN_PROGRAM, PROGRAMS.TOKEN_2022_PROGRAM]);
+// Instruction tags shared by both token programs
+const INITIALIZE_MINT = 0;
+const INITIALIZE_MINT2 = 20;
+
+const LAMPORTS_PER_SOL = 1e9;
+// Creator transactions fetched at once while looking for launches and sells
+const FETCH_BATCH = 25;
+// Outcomes the rug rate is computed over - ACTIVE launches are too early to call
+const JUDGED_OUTCOMES = ['DUMPED', 'GRADUATED', 'DEAD'];
+
+class CreatorReputationAnalyzer {
+  // Returns null when the creator cannot be determined
+  async analyzeReputation(mintAddress, ctx, { creationSignature } = {}) {
+    const origin = await this.findCreator(mintAddress, ctx, creationSignature);
+    if (!origin) return null;
+
+    const { creator } = origin;
+    const history = await this.getHistory(creator, ctx);
+    const launches = this.findLaunches(history.transactions, creator);
+    const movements = this.getMovements(history.transactions, launches, creator);
+
+    const judged = await Promise.all(launches.slice(0, ctx.depth.reputation.launches).map(launch =>
+      this.judgeLaunch(launch, creator, movements.get(launch.mint) || [], ctx)
+    ));
+
+    // Launches after the analyzed mint say nothing about the creator at the
+    // time - without a launch slot, every other launch is counted
+    const launchSlot = origin.slot ?? launches.find(launch => launch.mint === mintAddress)?.slot ?? null;
+    const isEarlier = launch => launch.mint !== mintAddress && (launchSlot === null || launch.slot < launchSlot);
+    const earlier = judged.filter(isEarlier);
+    const decided = earlier.filter(launch => JUDGED_OUTCOMES.includes(launch.outcome));
+    const count = outcome => earlier.filter(launch => launch.outcome === outcome).length;
+
+    const reputation = {
+      creator,
+      tokensLaunched: launches.length,
+      earlierLaunches: launches.filter(isEarlier).length,
+      outcomes: {
+        graduated: count('GRADUATED'),
+        dumped: count('DUMPED'),
+        dead: count('DEAD'),
+        active: count('ACTIVE'),
+        unknown: count('UNKNOWN')
+      },
+      rugRate: decided.length > 0 ? (count('DUMPED') / decided.length) * 100 : null,
+      medianTimeToDevSellSeconds: this.median(earlier
+        .map(launch => launch.timeToDevSellSeconds)
+        .filter(seconds => seconds !== null)),
+      launches: judged,
+      transactionsExamined: history.fetched,
+      historyComplete: history.complete
+    };
+
+    return { ...reputation, ...this.assessReputation(reputation, decided.length, ctx.policy.reputation) };
+  }
+
+  // pump.fun tokens name their creator in the create instruction or curve;
+  // other mints fall back to whoever signed their InitializeMint.
+  // Returns { creator, slot } - `slot` of the mint's creation, when known.
+  async findCreator(mintAddress, ctx, creationSignature) {
+    const curve = await ctx.getBondingCurve();
+    if (curve) {
+      const launch = await creatorAnalyzer.findLaunch(mintAddress, ctx, creationSignature);
+      const creator = launch?.create.creator || curve.creator;
+      return creator ? { creator, slot: launch?.slot ?? null } : null;
+    }
+
+    // The mint's oldest transaction initialized it
+    const first = await ctx.getFirstSignature();
+    if (!first) return null;
+
+    const transaction = await ctx.getTransaction(first.signature);
+    if (!transaction || !this.findMintInitializations(transaction).includes(mintAddress)) return null;
+
+    const creator = transactionLayout.getSigners(transaction)[0];
+    return creator ? { creator, slot: transaction.slot ?? first.slot } : null;
+  }
+
+  // The creator's launch and sell transactions, newest first. Signatures are
+  // paged back with `before`; transactions are then fetched in batches until
+  // `transactions` candidates are found or `fetches` runs out.
+  async getHistory(creator, ctx) {
+    const { signatures: limit, pages, transactions: maxCandidates, fetches: maxFetches } = ctx.depth.reputation;
+    const entries = [];
+    let before = null;
+    let exhausted = false;
+
+    for (let page = 0; page < pages && !exhausted; page++) {
+      const history = await ctx.getSignatures(limit, creator, before);
+      entries.push(...history.filter(entry => !entry.failed));
+
+      exhausted = history.length < limit;
+      if (history.length > 0) before = history[history.length - 1].signature;
+    }
+
+    const transactions = [];
+    const budget = Math.min(entries.length, maxFetches);
+    let fetched = 0;
+
+    while (fetched < budget && transactions.length < maxCandidates) {
+      const batch = entries.slice(fetched, Math.min(fetched + FETCH_BATCH, budget));
+      const results = await Promise.all(batch.map(entry => ctx.getTransaction(entry.signature)));
+      fetched += batch.length;
+
+      results.forEach((transaction, index) => {
+        if (!transaction) return;
+
+        const entry = {
+          ...transaction,
+          signature: batch[index].signature,
+          blockTime: transaction.blockTime ?? batch[index].blockTime
+        };
+        if (this.isCandidate(entry, creator)) transactions.push(entry);
+      });
+    }
+
+    return {
+      transactions: transactions.slice(0, maxCandidates),
+      fetched,
+      complete: exhausted && fetched === entries.length && transactions.length <= maxCandidates
+    };
+  }
+
+  // Launches create a mint; sells and transfers move a balance the creator owns
+  isCandidate(transaction, creator) {
+    const { preTokenBalances = [], postTokenBalances = [] } = transaction.meta || {};
+    return [...preTokenBalances, ...postTokenBalances].some(balance => balance.owner === creator) ||
+      this.findLaunches([transaction], creator).length > 0;
+  }
+
+  // Mints the creator created, newest first. A pump.fun create also runs
+  // InitializeMint2 through a CPI, so pump.fun wins for the same mint.
+  findLaunches(transactions, creator) {
+    const launches = new Map();
+
+    transactions.forEach(transaction => {
+      const base = { signature: transaction.signature, slot: transaction.slot, blockTime: transaction.blockTime };
+
+      pumpLayout.decodeTransaction(transaction)
+        .filter(instruction => instruction.instruction === 'create' &&
+          (instruction.creator === creator || instruction.user === creator))
+        .forEach(instruction => {
+          launches.set(instruction.mint, { mint: instruction.mint, via: 'pump.fun', ...base });
+        });
+
+      if (!transactionLayout.getSigners(transaction).includes(creator)) return;
+      this.findMintInitializations(transaction)
+        .filter(mint => !launches.has(mint))
+        .forEach(mint => launches.set(mint, { mint, via: 'InitializeMint', ...base }));
+    });
+
+    return [...launches.values()];
+  }
+
+  findMintInitializations(transaction) {
+    return transactionLayout.getInstructions(transaction)
+      .filter(instruction => TOKEN_PROGRAMS.has(instruction.programId) &&
+        (instruction.data[0] === INITIALIZE_MINT || instruction.data[0] === INITIALIZE_MINT2))
+      .map(instruction => instruction.accounts[0]);
+  }
+
+  // Sells and transfers of each launched mint in the examined transactions
+  getMovements(transactions, launches, creator) {
+    const launched = new Set(launches.map(launch => launch.mint));
+    const movements = new Map();
+
+    transactions.forEach(transaction => {
+      const { preTokenBalances = [], postTokenBalances = [] } = transaction.meta || {};
+      const mints = new Set([...preTokenBalances, ...postTokenBalances].map(balance => balance.mint));
+
+      mints.forEach(mint => {
+        if (!launched.has(mint)) return;
+
+        const movement = creatorAnalyzer.getMovement(transaction, mint, creator);
+        if (!movement) return;
+
+        const entries = movements.get(mint) || [];
+        entries.push({ ...movement, slot: transaction.slot, blockTime: transaction.blockTime });
+        movements.set(mint, entries);
+      });
+    });
+
+    return movements;
+  }
+
+  async judgeLaunch(launch, creator, movements, ctx) {
+    const sells = movements.filter(movement => movement.type === 'sell');
+    const firstSell = Math.min(...sells.map(sell => sell.blockTime ?? Infinity));
+    const judged = {
+      ...launch,
+      outcome: 'UNKNOWN',
+      soldPercentage: 0,
+      timeToDevSellSeconds: launch.blockTime && Number.isFinite(firstSell) ? firstSell - launch.blockTime : null
+    };
+
+    try {
+      const balance = await ctx.getTokenBalance(creator, launch.mint);
+      const sold = creatorAnalyzer.sum(sells);
+      const handled = creatorAnalyzer.sum(movements) + tokenAmounts.toBigInt(balance);
+      judged.soldPercentage = tokenAmounts.percentage(sold, handled);
+
+      if (sells.length > 0 && judged.soldPercentage >= ctx.policy.creator.dumpedSoldShare) {
+        judged.outcome = 'DUMPED';
+      } else if (launch.via === 'pump.fun') {
+        judged.outcome = await this.judgeCurve(launch, ctx);
+      } else {
+        judged.outcome = await this.judgeMint(launch, ctx);
+      }
+    } catch (error) {
+      // One unreadable launch should not sink the whole history
+      if (abort.isAbortError(error)) throw error;
+      logger.debug(`Could not judge ${launch.mint}: ${error.message}`);
+    }
+
+    return judged;
+  }
+
+  async judgeCurve(launch, ctx) {
+    const curve = await ctx.getBondingCurve(launch.mint);
+    if (!curve) return 'UNKNOWN';
+    if (curve.complete) return 'GRADUATED';
+
+    const { deadAfterHours, deadCurveSol } = ctx.policy.reputation;
+    const ageHours = launch.blockTime ? (Date.now() / 1000 - launch.blockTime) / 3600 : 0;
+    const realSol = Number(curve.realSolReserves) / LAMPORTS_PER_SOL;
+
+    return ageHours >= deadAfterHours && realSol < deadCurveSol ? 'DEAD' : 'ACTIVE';
+  }
+
+  // Closed mints and mints with nothing left in circulation are dead
+  async judgeMint(launch, ctx) {
+    const account = await ctx.getAccountInfo(launch.mint);
+    if (!account) return 'DEAD';
+
+    const mint = tokenLayout.decodeMint(account.data, account.owner);
+    return tokenAmounts.isZero(mint.supply) ? 'DEAD' : 'ACTIVE';
+  }
+
+  median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+
+  assessReputation(reputation, decidedCount, thresholds) {
+    const { penalties } = thresholds;
+    const reputationFindings = [];
+    let score = 100;
+    const { outcomes } = reputation;
+    const evidence = {
+      accounts: [reputation.creator],
+      mints: reputation.launches.map(launch => launch.mint),
+      signatures: reputation.launches.map(launch => launch.signature)
+    };
+
+    if (reputation.earlierLaunches >= thresholds.serialDeployerLaunches) {
+      reputationFindings.push(findings.create('SERIAL_DEPLOYER', {
+        message: `🔴 Serial deployer - creator launched ${reputation.earlierLaunches} earlier token(s) ` +
+          `(${outcomes.dumped} dumped, ${outcomes.dead} dead, ${outcomes.graduated} graduated)`,
+        evidence: { ...evidence, earlierLaunches: reputation.earlierLaunches }
+      }));
+      score -= penalties.serialDeployer;
+    }
+
+    if (decidedCount >= thresholds.minJudgedLaunches && reputation.rugRate >= thresholds.rugRateHigh) {
+      reputationFindings.push(findings.create('CREATOR_RUG_HISTORY', {
+        message: `🔴 Creator dumped ${outcomes.dumped} of ${decidedCount} earlier launch(es) ` +
+          `(${reputation.rugRate.toFixed(0)}% rug rate)`,
+        evidence: { ...evidence, rugRate: reputation.rugRate }
+      }));
+      score -= penalties.rugHistory;
+    }
+
+    return { score: Math.max(0, score), findings: reputationFindings };
+  }
+}
+
+module.exports = new CreatorReputationAnalyzer();
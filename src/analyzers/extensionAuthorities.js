@@ -0,0 +1,156 @@
+// src/analyzers/extensionAuthorities.js - TOKEN-2022 EXTENSION CONTROLS
+//
+// Token-2022 extensions that hand the issuer power over holders' tokens, or
+// over the balances they are shown, beyond the classic mint and freeze
+// authorities. tokenAnalyzer reports them
+// as authority findings; honeypotDetector adds the policy's authorityRisk
+// points under the same key.
+const tokenLayout = require('../utils/tokenLayout');
+const findings = require('../utils/findings');
+
+class ExtensionAuthorities {
+  // Returns [{ key, control, finding }] - `key` names the authorityRisk entry
+  analyze(mintInfo) {
+    const extensions = mintInfo.extensions || [];
+    const controls = [];
+
+    const permanentDelegate = tokenLayout.findExtension(extensions, 'PermanentDelegate');
+    if (permanentDelegate?.config.delegate) {
+      const { delegate } = permanentDelegate.config;
+      controls.push({
+        key: 'permanentDelegate',
+        control: delegate,
+        finding: findings.create('PERMANENT_DELEGATE_ACTIVE', {
+          evidence: { accounts: [delegate] }
+        })
+      });
+    }
+
+    const defaultState = tokenLayout.findExtension(extensions, 'DefaultAccountState');
+    if (defaultState?.config.state === 'Frozen') {
+      // Only the freeze authority can thaw; without one new accounts stay frozen
+      const thawAuthority = mintInfo.freezeAuthority;
+      controls.push({
+        key: 'defaultAccountFrozen',
+        control: thawAuthority,
+        finding: findings.create('DEFAULT_ACCOUNT_FROZEN', {
+          message: thawAuthority
+            ? `🔴 NEW ACCOUNTS START FROZEN - only ${thawAuthority} can thaw them!`
+            : '🔴 NEW ACCOUNTS START FROZEN - and no freeze authority is left to thaw them!',
+          evidence: { accounts: [thawAuthority], defaultState: 'Frozen' }
+        })
+      });
+    }
+
+    if (tokenLayout.findExtension(extensions, 'NonTransferable')) {
+      controls.push({
+        key: 'nonTransferable',
+        control: mintInfo.mintAuthority,
+        finding: findings.create('NON_TRANSFERABLE_TOKEN', {
+          evidence: { accounts: [mintInfo.mintAddress, mintInfo.mintAuthority] }
+        })
+      });
+    }
+
+    const closeAuthority = tokenLayout.findExtension(extensions, 'MintCloseAuthority');
+    if (closeAuthority?.config.closeAuthority) {
+      const authority = closeAuthority.config.closeAuthority;
+      controls.push({
+        key: 'mintCloseAuthority',
+        control: authority,
+        finding: findings.create('MINT_CLOSE_AUTHORITY_ACTIVE', {
+          evidence: { accounts: [authority] }
+        })
+      });
+    }
+
+    const pausable = tokenLayout.findExtension(extensions, 'Pausable');
+    if (pausable) {
+      const { authority, paused } = pausable.config;
+      if (authority) {
+        controls.push({
+          key: 'pauseAuthority',
+          control: authority,
+          finding: findings.create('PAUSE_AUTHORITY_ACTIVE', {
+            evidence: { accounts: [authority], paused }
+          })
+        });
+      }
+      if (paused) {
+        controls.push({
+          key: 'paused',
+          control: authority,
+          finding: findings.create('TOKEN_PAUSED', {
+            message: authority
+              ? `🔴 TOKEN IS PAUSED - no transfers until ${authority} resumes it!`
+              : '🔴 TOKEN IS PAUSED - and no pause authority is left to resume it!',
+            evidence: { accounts: [mintInfo.mintAddress, authority], paused }
+          })
+        });
+      }
+    }
+
+    const interestBearing = tokenLayout.findExtension(extensions, 'InterestBearingConfig');
+    if (interestBearing?.config.rateAuthority) {
+      const { rateAuthority, currentRate } = interestBearing.config;
+      controls.push({
+        key: 'interestRateAuthority',
+        control: rateAuthority,
+        finding: findings.create('INTEREST_RATE_AUTHORITY_ACTIVE', {
+          message: `🟡 Interest rate authority can change displayed balances (currently ${currentRate / 100}% a year)`,
+          evidence: { accounts: [rateAuthority], currentRateBps: currentRate }
+        })
+      });
+    }
+
+    const scaledUiAmount = tokenLayout.findExtension(extensions, 'ScaledUiAmount');
+    if (scaledUiAmount?.config.authority) {
+      const { authority, multiplier } = scaledUiAmount.config;
+      controls.push({
+        key: 'uiMultiplierAuthority',
+        control: authority,
+        finding: findings.create('UI_MULTIPLIER_AUTHORITY_ACTIVE', {
+          message: `🟡 UI multiplier authority can change displayed balances (currently x${multiplier})`,
+          evidence: { accounts: [authority], multiplier }
+        })
+      });
+    }
+
+    const pendingMultiplier = this.getPendingMultiplier(scaledUiAmount);
+    if (pendingMultiplier) {
+      controls.push({
+        key: 'uiMultiplierChange',
+        control: scaledUiAmount.config.authority,
+        finding: findings.create('UI_MULTIPLIER_CHANGE_SCHEDULED', {
+          message: `🟡 Displayed balances change from x${pendingMultiplier.from} to x${pendingMultiplier.to} on ${new Date(pendingMultiplier.effectiveAt).toISOString()}`,
+          evidence: { accounts: [scaledUiAmount.config.authority], ...pendingMultiplier }
+        })
+      });
+    }
+
+    return controls;
+  }
+
+  // A multiplier change that has not taken effect yet
+  getPendingMultiplier(scaledUiAmount, now = Date.now()) {
+    if (!scaledUiAmount || scaledUiAmount.config.decodeError) return null;
+
+    const { multiplier, newMultiplier, newMultiplierEffectiveTimestamp } = scaledUiAmount.config;
+    const effectiveAt = newMultiplierEffectiveTimestamp * 1000;
+    if (effectiveAt <= now || newMultiplier === multiplier) return null;
+
+    return { from: multiplier, to: newMultiplier, effectiveAt };
+  }
+
+  // A paused mint rejects every transfer, sells included
+  isPaused(mintInfo) {
+    return tokenLayout.findExtension(mintInfo.extensions || [], 'Pausable')?.config.paused === true;
+  }
+
+  // Non-transferable (soulbound) tokens cannot move at all, so never sell
+  isNonTransferable(mintInfo) {
+    return Boolean(tokenLayout.findExtension(mintInfo.extensions || [], 'NonTransferable'));
+  }
+}
+
+module.exports = new ExtensionAuthorities();
@@ -1,7 +1,11 @@
 // src/analyzers/holderAnalyzer.js - WITH PROPER RATE LIMITING
 const solanaService = require('../services/solanaService');
-const rateLimiter = require('../config/rateLimit'); // Import rate limiter
-const { SECURITY } = require('../config/constants');
+const AnalysisContext = require('./analysisContext'); // Rate-limited, shared lookups
+const confidentialTransfers = require('./confidentialTransfers');
+const policyManager = require('../config/policy');
+const findings = require('../utils/findings');
+const tokenAmounts = require('../utils/tokenAmounts');
+const abort = require('../utils/abort');
 const logger = require('../utils/logger');
 
 class HolderAnalyzer {
@@ -13,46 +17,34 @@ class HolderAnalyzer {
     ]);
   }
 
-  async analyzeHolderDistribution(mintAddress) {
+  async analyzeHolderDistribution(mintAddress, context) {
     try {
       logger.info(`Analyzing holder distribution for token: ${mintAddress}`);
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const { inspect, detailed } = ctx.depth.holders;
       
       // Get largest token accounts
-      const largestAccounts = await rateLimiter.executeRequest(async () => {
-        return await solanaService.getTokenLargestAccounts(mintAddress, 10); // Reduced from 20 to 10
-      }, 1);
+      const largestAccounts = await ctx.getLargestAccounts(inspect);
       
       if (!largestAccounts || largestAccounts.length === 0) {
-        return {
-          holders: [],
-          concentration: null,
-          issues: ['No holder data available'],
-          warnings: [],
-          score: 0,
-          severity: 'CRITICAL',
-          holderCount: 0
-        };
+        return this.emptyResult(findings.create('HOLDER_DATA_UNAVAILABLE', {
+          evidence: { accounts: [mintAddress] }
+        }));
       }
 
       logger.info(`Retrieved ${largestAccounts.length} holder accounts`);
 
-      // Get token supply
-      const supply = await rateLimiter.executeRequest(async () => {
-        return await solanaService.getTokenSupply(mintAddress);
-      }, 1);
+      // Get token supply. Shares are computed on raw base units: the displayed
+      // amounts of interest-bearing and scaled mints drift over time
+      const supply = await ctx.getSupply();
 
+      const rawSupply = supply.amount;
       const totalSupply = parseFloat(supply.uiAmountString || '0');
 
-      if (totalSupply === 0) {
-        return {
-          holders: [],
-          concentration: null,
-          issues: ['Token has zero supply'],
-          warnings: [],
-          score: 0,
-          severity: 'CRITICAL',
-          holderCount: 0
-        };
+      if (tokenAmounts.isZero(rawSupply)) {
+        return this.emptyResult(findings.create('ZERO_SUPPLY', {
+          evidence: { accounts: [mintAddress] }
+        }));
       }
 
       // Process holders with rate limiting - SEQUENTIAL PROCESSING
@@ -62,27 +54,26 @@ class HolderAnalyzer {
       console.log('   📊 Processing holders (rate limited to 15/sec)...');
 
       for (const account of largestAccounts) {
-        if (!account.uiAmount || account.uiAmount === 0) continue;
+        if (tokenAmounts.isZero(account.amount)) continue;
         if (!this.isValidBase58Address(account.address)) continue;
         if (this.knownBurnAddresses.has(account.address)) continue;
 
-        const percentage = (account.uiAmount / totalSupply) * 100;
+        const percentage = tokenAmounts.percentage(account.amount, rawSupply);
         
         // Basic holder info without detailed account analysis to save API calls
         const holder = {
           address: account.address,
-          amount: account.uiAmount,
+          amount: account.uiAmount, // Displayed amount
+          rawAmount: account.amount,
           percentage,
           type: 'HOLDER', // Simplified - avoid extra API calls
           analyzed: false
         };
 
-        // Only do detailed analysis for top 3 holders to save API calls
-        if (processedCount < 3) {
+        // Only do detailed analysis for the top holders to save API calls
+        if (processedCount < detailed) {
           try {
-            const holderDetails = await rateLimiter.executeRequest(async () => {
-              return await this.getBasicHolderInfo(account.address);
-            }, 1);
+            const holderDetails = await this.getBasicHolderInfo(account.address, ctx);
             
             holder.type = holderDetails.type;
             holder.lamports = holderDetails.lamports;
@@ -90,6 +81,7 @@ class HolderAnalyzer {
             
             console.log(`   ✅ Analyzed holder ${processedCount + 1}: ${percentage.toFixed(2)}% (${holderDetails.type})`);
           } catch (error) {
+            if (abort.isAbortError(error)) throw error;
             console.log(`   ⚠️  Holder ${processedCount + 1}: ${percentage.toFixed(2)}% (analysis skipped)`);
           }
         } else {
@@ -104,40 +96,64 @@ class HolderAnalyzer {
       const concentration = this.calculateConcentration(validHolders, totalSupply);
       
       // Generate risk assessment
-      const riskAssessment = this.assessHolderRisks(concentration, validHolders);
+      const riskAssessment = this.assessHolderRisks(concentration, validHolders, ctx.policy);
+
+      // Confidential balances never show up among the largest accounts
+      const visibility = await confidentialTransfers.analyzeVisibility(mintAddress, ctx);
+      if (visibility) {
+        riskAssessment.findings.push(...visibility.findings);
+        riskAssessment.issues = findings.toIssues(riskAssessment.findings);
+        riskAssessment.warnings = findings.toWarnings(riskAssessment.findings);
+        console.log(`   🕶️  Confidential transfers: ${visibility.visiblePercentage?.toFixed(2) ?? '?'}% of supply visible`);
+      }
 
       const result = {
         holders: validHolders.sort((a, b) => b.percentage - a.percentage),
-        totalSupply,
+        totalSupply, // Displayed supply
+        rawSupply,
         concentration,
+        findings: riskAssessment.findings,
         issues: riskAssessment.issues,
         warnings: riskAssessment.warnings,
         score: riskAssessment.score,
         severity: riskAssessment.severity,
         holderCount: validHolders.length,
-        detailedAnalysisCount: validHolders.filter(h => h.analyzed).length
+        detailedAnalysisCount: validHolders.filter(h => h.analyzed).length,
+        confidentialTransfers: visibility,
+        confidence: visibility ? visibility.confidence : 1
       };
 
       logger.info(`Holder analysis completed - ${result.holderCount} holders, ${result.detailedAnalysisCount} detailed`);
       return result;
 
     } catch (error) {
+      if (abort.isAbortError(error)) throw error;
       logger.error(`Failed to analyze holder distribution for ${mintAddress}:`, error.message);
-      return {
-        holders: [],
-        concentration: null,
-        issues: ['Failed to analyze holder distribution: ' + error.message],
-        warnings: [],
-        score: 0,
-        severity: 'CRITICAL',
-        holderCount: 0
-      };
+      return this.emptyResult(findings.create('CHECK_FAILED', {
+        message: 'Failed to analyze holder distribution: ' + error.message,
+        severity: 'CRITICAL'
+      }));
     }
   }
 
-  async getBasicHolderInfo(address) {
+  emptyResult(finding) {
+    return {
+      holders: [],
+      concentration: null,
+      findings: [finding],
+      issues: findings.toIssues([finding]),
+      warnings: findings.toWarnings([finding]),
+      score: 0,
+      severity: 'CRITICAL',
+      holderCount: 0
+    };
+  }
+
+  async getBasicHolderInfo(address, context) {
     try {
-      const accountInfo = await solanaService.getAccountInfo(address);
+      const accountInfo = context
+        ? await context.getAccountInfo(address)
+        : await solanaService.getAccountInfo(address);
       
       if (!accountInfo) {
         return {
@@ -160,6 +176,7 @@ class HolderAnalyzer {
       };
 
     } catch (error) {
+      if (abort.isAbortError(error)) throw error;
       return {
         type: 'ERROR',
         lamports: 0,
@@ -209,49 +226,75 @@ class HolderAnalyzer {
     };
   }
 
-  assessHolderRisks(concentration, holders) {
-    const issues = [];
-    const warnings = [];
+  assessHolderRisks(concentration, holders, policy = policyManager.defaultPolicy) {
+    const thresholds = policy.holders;
+    const { penalties } = thresholds;
+    const riskFindings = [];
+    const topHolder = holders[0]?.address;
+    const top10Holders = holders.slice(0, 10).map(h => h.address);
     let score = 100;
 
     // Concentration risk assessment
-    if (concentration.top1Percentage > 50) {
-      issues.push(`🔴 Single holder controls ${concentration.top1Percentage.toFixed(2)}% of supply`);
-      score -= 40;
-    } else if (concentration.top1Percentage > 30) {
-      warnings.push(`🟡 Top holder controls ${concentration.top1Percentage.toFixed(2)}% of supply`);
-      score -= 20;
+    if (concentration.top1Percentage > thresholds.topHolderCritical) {
+      riskFindings.push(findings.create('TOP_HOLDER_MAJORITY', {
+        message: `🔴 Single holder controls ${concentration.top1Percentage.toFixed(2)}% of supply`,
+        evidence: { accounts: [topHolder], percentage: concentration.top1Percentage }
+      }));
+      score -= penalties.topHolderMajority;
+    } else if (concentration.top1Percentage > thresholds.topHolderHigh) {
+      riskFindings.push(findings.create('TOP_HOLDER_HIGH', {
+        message: `🟡 Top holder controls ${concentration.top1Percentage.toFixed(2)}% of supply`,
+        evidence: { accounts: [topHolder], percentage: concentration.top1Percentage }
+      }));
+      score -= penalties.topHolderHigh;
     }
 
-    if (concentration.top10Percentage > 80) {
-      issues.push(`🔴 Top 10 holders control ${concentration.top10Percentage.toFixed(2)}% of supply`);
-      score -= 30;
-    } else if (concentration.top10Percentage > 60) {
-      warnings.push(`🟡 Top 10 holders control ${concentration.top10Percentage.toFixed(2)}% of supply`);
-      score -= 15;
+    if (concentration.top10Percentage > thresholds.top10Critical) {
+      riskFindings.push(findings.create('TOP10_CONCENTRATION_CRITICAL', {
+        message: `🔴 Top 10 holders control ${concentration.top10Percentage.toFixed(2)}% of supply`,
+        evidence: { accounts: top10Holders, percentage: concentration.top10Percentage }
+      }));
+      score -= penalties.top10Critical;
+    } else if (concentration.top10Percentage > thresholds.top10High) {
+      riskFindings.push(findings.create('TOP10_CONCENTRATION_HIGH', {
+        message: `🟡 Top 10 holders control ${concentration.top10Percentage.toFixed(2)}% of supply`,
+        evidence: { accounts: top10Holders, percentage: concentration.top10Percentage }
+      }));
+      score -= penalties.top10High;
     }
 
     // Herfindahl Index assessment
-    if (concentration.herfindahlIndex > 0.25) {
-      issues.push('🔴 Extremely concentrated holder distribution');
-      score -= 25;
-    } else if (concentration.herfindahlIndex > 0.15) {
-      warnings.push('🟡 Highly concentrated holder distribution');
-      score -= 15;
+    if (concentration.herfindahlIndex > thresholds.hhiExtreme) {
+      riskFindings.push(findings.create('HHI_EXTREME', {
+        evidence: { herfindahlIndex: concentration.herfindahlIndex }
+      }));
+      score -= penalties.hhiExtreme;
+    } else if (concentration.herfindahlIndex > thresholds.hhiHigh) {
+      riskFindings.push(findings.create('HHI_HIGH', {
+        evidence: { herfindahlIndex: concentration.herfindahlIndex }
+      }));
+      score -= penalties.hhiHigh;
     }
 
     // Check for program-controlled holders
-    const programHolders = holders.filter(h => h.type === 'PROGRAM').length;
-    if (programHolders > 0) {
-      warnings.push(`🟡 ${programHolders} program-controlled holder accounts detected`);
-      score -= 10;
+    const programHolders = holders.filter(h => h.type === 'PROGRAM');
+    if (programHolders.length > 0) {
+      riskFindings.push(findings.create('PROGRAM_CONTROLLED_HOLDERS', {
+        message: `🟡 ${programHolders.length} program-controlled holder accounts detected`,
+        evidence: { accounts: programHolders.map(h => h.address) }
+      }));
+      score -= penalties.programHolders;
     }
 
+    const issues = findings.toIssues(riskFindings);
+    const warnings = findings.toWarnings(riskFindings);
+
     const severity = issues.length > 0 ? 'CRITICAL' : 
                     warnings.length > 2 ? 'HIGH' :
                     warnings.length > 0 ? 'MEDIUM' : 'LOW';
 
     return {
+      findings: riskFindings,
       issues,
       warnings,
       score: Math.max(0, score),
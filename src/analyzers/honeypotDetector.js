@@ -1,6 +1,14 @@
 // src/analyzers/honeypotDetector.js - FIXED VERSION
-const solanaService = require('../services/solanaService');
 const jupiterService = require('../services/jupiterService');
+const AnalysisContext = require('./analysisContext');
+const transferFeeAnalyzer = require('./transferFeeAnalyzer');
+const extensionAuthorities = require('./extensionAuthorities');
+const tokenLayout = require('../utils/tokenLayout');
+const programLayout = require('../utils/programLayout');
+const policyManager = require('../config/policy');
+const findings = require('../utils/findings');
+const tokenAmounts = require('../utils/tokenAmounts');
+const abort = require('../utils/abort');
 const logger = require('../utils/logger');
 
 class HoneypotDetector {
@@ -8,9 +16,10 @@ class HoneypotDetector {
         logger.info('Enhanced honeypot detector initialized');
     }
 
-    async detectHoneypot(mintAddress) {
+    async detectHoneypot(mintAddress, context) {
         try {
             logger.info(`Starting comprehensive honeypot detection for: ${mintAddress}`);
+            const ctx = AnalysisContext.for(mintAddress, context);
             
             const analysis = {
                 mintAddress,
@@ -19,31 +28,39 @@ class HoneypotDetector {
                 honeypotProbability: { overall: 0, confidence: 0 }
             };
 
-            // 1. Authority-based detection
-            console.log('   🔍 Checking authorities...');
-            analysis.tests.authorityAnalysis = await this.analyzeAuthorities(mintAddress);
-            
-            // 2. Program analysis
-            console.log('   🔍 Analyzing program...');
-            analysis.tests.programAnalysis = await this.analyzeProgram(mintAddress);
-            
-            // 3. Supply analysis  
-            console.log('   🔍 Checking supply mechanics...');
-            analysis.tests.supplyAnalysis = await this.analyzeSupplyMetrics(mintAddress);
+            // 1-3. Authority, program, supply and Token-2022 extension checks share the cached mint data
+            console.log('   🔍 Checking authorities, program and supply mechanics...');
+            const [authorityAnalysis, programAnalysis, supplyAnalysis, transferFee, transferHook] = await Promise.all([
+                this.analyzeAuthorities(mintAddress, ctx),
+                this.analyzeProgram(mintAddress, ctx),
+                this.analyzeSupplyMetrics(mintAddress, ctx),
+                this.analyzeTransferFee(mintAddress, ctx),
+                this.analyzeTransferHook(mintAddress, ctx)
+            ]);
+            analysis.tests.authorityAnalysis = authorityAnalysis;
+            analysis.tests.programAnalysis = programAnalysis;
+            analysis.tests.supplyAnalysis = supplyAnalysis;
+            // Only Token-2022 mints with the matching extension get these tests
+            if (transferFee) analysis.tests.transferFee = transferFee;
+            if (transferHook) analysis.tests.transferHook = transferHook;
             
             // 4. Trading simulation (Jupiter)
             console.log('   🔍 Running trading simulation...');
-            analysis.tests.tradingSimulation = await this.runTradingSimulation(mintAddress);
+            analysis.tests.tradingSimulation = await this.runTradingSimulation(mintAddress, ctx.signal, ctx.policy);
             
             // 5. Calculate final probability
-            analysis.honeypotProbability = this.calculateHoneypotProbability(analysis.tests);
-            analysis.verdict = this.generateVerdict(analysis.honeypotProbability);
+            analysis.honeypotProbability = this.calculateHoneypotProbability(analysis.tests, ctx.policy);
+            analysis.verdict = this.generateVerdict(analysis.honeypotProbability, ctx.policy);
             analysis.recommendations = this.generateRecommendations(analysis.tests);
+            analysis.findings = findings.collect(
+                ...Object.values(analysis.tests).map(test => test?.findings || [])
+            );
 
             logger.info(`Honeypot detection completed - Risk: ${analysis.honeypotProbability.overall}%`);
             return analysis;
 
         } catch (error) {
+            if (abort.isAbortError(error)) throw error;
             logger.error(`Honeypot detection failed for ${mintAddress}:`, error.message);
             return {
                 mintAddress,
@@ -51,46 +68,72 @@ class HoneypotDetector {
                 tests: {},
                 honeypotProbability: { overall: 50, confidence: 0.3, method: 'ERROR' },
                 verdict: 'ANALYSIS_FAILED',
+                findings: [findings.create('CHECK_FAILED', { message: error.message })],
                 error: error.message
             };
         }
     }
 
-    async analyzeAuthorities(mintAddress) {
+    async analyzeAuthorities(mintAddress, context) {
         try {
-            const mintInfo = await solanaService.getTokenMintInfo(mintAddress);
+            const ctx = AnalysisContext.for(mintAddress, context);
+            const risk = ctx.policy.honeypot.authorityRisk;
+            const mintInfo = await ctx.getMintInfo();
             
-            const issues = [];
+            const testFindings = [];
             let riskScore = 0;
 
             if (mintInfo.mintAuthority) {
-                issues.push('MINT_AUTHORITY_ACTIVE');
-                riskScore += 40;
+                testFindings.push(findings.create('MINT_AUTHORITY_ACTIVE', {
+                    evidence: { accounts: [mintInfo.mintAuthority] }
+                }));
+                riskScore += risk.mintAuthority;
             }
 
             if (mintInfo.freezeAuthority) {
-                issues.push('FREEZE_AUTHORITY_ACTIVE');
-                riskScore += 50;
+                testFindings.push(findings.create('FREEZE_AUTHORITY_ACTIVE', {
+                    evidence: { accounts: [mintInfo.freezeAuthority] }
+                }));
+                riskScore += risk.freezeAuthority;
             }
 
+            extensionAuthorities.analyze(mintInfo).forEach(({ key, finding }) => {
+                testFindings.push(finding);
+                riskScore += risk[key];
+            });
+
+            riskScore = Math.min(100, riskScore);
+            const paused = extensionAuthorities.isPaused(mintInfo);
+            const nonTransferable = extensionAuthorities.isNonTransferable(mintInfo);
+
             return {
                 mintAuthority: mintInfo.mintAuthority,
                 freezeAuthority: mintInfo.freezeAuthority,
-                issues,
+                paused,
+                nonTransferable,
+                // No blending needed - a paused or non-transferable token cannot be sold
+                cannotSell: paused || nonTransferable,
+                findings: testFindings,
                 riskScore,
                 severity: riskScore > 70 ? 'CRITICAL' : riskScore > 30 ? 'HIGH' : 'LOW'
             };
         } catch (error) {
-            return { issues: ['AUTHORITY_ANALYSIS_FAILED'], riskScore: 30, severity: 'MEDIUM' };
+            return this.failedTest('AUTHORITY_ANALYSIS_FAILED', error, 30);
         }
     }
 
-    async analyzeProgram(mintAddress) {
+    async analyzeProgram(mintAddress, context) {
         try {
-            const accountInfo = await solanaService.getAccountInfo(mintAddress);
+            const ctx = AnalysisContext.for(mintAddress, context);
+            const risk = ctx.policy.honeypot.programRisk;
+            const accountInfo = await ctx.getAccountInfo(mintAddress);
             
             if (!accountInfo) {
-                return { issues: ['ACCOUNT_NOT_FOUND'], riskScore: 90, severity: 'CRITICAL' };
+                return {
+                    findings: [findings.create('ACCOUNT_NOT_FOUND', { evidence: { accounts: [mintAddress] } })],
+                    riskScore: risk.accountNotFound,
+                    severity: 'CRITICAL'
+                };
             }
 
             const standardPrograms = [
@@ -103,83 +146,224 @@ class HoneypotDetector {
             return {
                 owner: accountInfo.owner,
                 isStandardProgram: isStandard,
-                issues: isStandard ? [] : ['NON_STANDARD_PROGRAM'],
-                riskScore: isStandard ? 0 : 60,
+                findings: isStandard ? [] : [findings.create('NON_STANDARD_PROGRAM', {
+                    message: `🔴 Non-standard program owner: ${accountInfo.owner}`,
+                    evidence: { accounts: [accountInfo.owner] }
+                })],
+                riskScore: isStandard ? 0 : risk.nonStandard,
                 severity: isStandard ? 'LOW' : 'HIGH'
             };
         } catch (error) {
-            return { issues: ['PROGRAM_ANALYSIS_FAILED'], riskScore: 40, severity: 'MEDIUM' };
+            return this.failedTest('PROGRAM_ANALYSIS_FAILED', error, 40);
+        }
+    }
+
+    // The hook program runs on every transfer, so whoever can change it - the
+    // hook authority by pointing at another program, or the upgrade authority
+    // by redeploying it - can turn sells off after launch
+    async analyzeTransferHook(mintAddress, context) {
+        try {
+            const ctx = AnalysisContext.for(mintAddress, context);
+            const risk = ctx.policy.honeypot.transferHookRisk;
+            const mintInfo = await ctx.getMintInfo();
+            const extension = tokenLayout.findExtension(mintInfo.extensions, 'TransferHook');
+
+            if (!extension) return null;
+
+            const { authority, programId } = extension.config;
+            if (!authority && !programId) return null;
+
+            const testFindings = [];
+            let riskScore = 0;
+            let program = null;
+
+            if (programId) {
+                console.log(`   🪝 Transfer hook program: ${programId}`);
+                testFindings.push(findings.create('TRANSFER_HOOK_PRESENT', {
+                    evidence: { accounts: [programId] }
+                }));
+                riskScore += risk.present;
+
+                program = await this.inspectProgram(programId, ctx);
+
+                if (!program.deployed) {
+                    testFindings.push(findings.create('TRANSFER_HOOK_PROGRAM_MISSING', {
+                        evidence: { accounts: [programId], owner: program.owner }
+                    }));
+                    riskScore += risk.programMissing;
+                } else if (program.upgradeable) {
+                    testFindings.push(findings.create('TRANSFER_HOOK_UPGRADEABLE', {
+                        message: `🔴 Transfer-hook program is upgradeable by ${program.upgradeAuthority}`,
+                        evidence: {
+                            accounts: [programId, program.upgradeAuthority, program.programDataAddress].filter(Boolean),
+                            loader: program.loader,
+                            lastDeploySlot: program.lastDeploySlot
+                        }
+                    }));
+                    riskScore += risk.upgradeable;
+                }
+            }
+
+            if (authority) {
+                testFindings.push(findings.create('TRANSFER_HOOK_AUTHORITY_ACTIVE', {
+                    evidence: { accounts: [authority], programId }
+                }));
+                riskScore += risk.authorityActive;
+            }
+
+            riskScore = Math.min(100, riskScore);
+
+            return {
+                programId,
+                authority,
+                program,
+                // Every transfer invokes the hook, so a missing program fails them all
+                cannotSell: Boolean(program) && !program.deployed,
+                findings: testFindings,
+                riskScore,
+                severity: riskScore > 70 ? 'CRITICAL' : riskScore > 30 ? 'HIGH' : 'LOW'
+            };
+        } catch (error) {
+            return this.failedTest('TRANSFER_HOOK_ANALYSIS_FAILED', error, 40);
+        }
+    }
+
+    // Resolves who, if anyone, can replace a program's code
+    async inspectProgram(programId, ctx) {
+        const account = await ctx.getAccountInfo(programId);
+        const loader = account ? programLayout.getLoader(account.owner) : null;
+
+        if (!account || !account.executable || !loader) {
+            return { programId, deployed: false, owner: account?.owner || null };
+        }
+
+        if (loader === 'bpf-upgradeable') {
+            const { programDataAddress } = programLayout.decodeUpgradeableState(account.data);
+            const programData = await ctx.getAccountInfo(programDataAddress);
+            if (!programData) {
+                throw new Error(`ProgramData account ${programDataAddress} not found`);
+            }
+
+            const { slot, upgradeAuthority } = programLayout.decodeUpgradeableState(programData.data);
+            return {
+                programId,
+                deployed: true,
+                loader,
+                programDataAddress,
+                lastDeploySlot: slot,
+                upgradeAuthority,
+                upgradeable: Boolean(upgradeAuthority)
+            };
+        }
+
+        if (loader === 'loader-v4') {
+            const { slot, authority, status } = programLayout.decodeLoaderV4State(account.data);
+            return {
+                programId,
+                deployed: status !== 'Retracted',
+                loader,
+                status,
+                lastDeploySlot: slot,
+                upgradeAuthority: authority,
+                upgradeable: Boolean(authority)
+            };
         }
+
+        // Programs owned by the original BPF loaders are immutable
+        return { programId, deployed: true, loader, upgradeAuthority: null, upgradeable: false };
     }
 
-    async analyzeSupplyMetrics(mintAddress) {
+    async analyzeSupplyMetrics(mintAddress, context) {
         try {
-            const supply = await solanaService.getTokenSupply(mintAddress);
-            const mintInfo = await solanaService.getTokenMintInfo(mintAddress);
+            const ctx = AnalysisContext.for(mintAddress, context);
+            const risk = ctx.policy.honeypot.supplyRisk;
+            const [supply, mintInfo] = await Promise.all([ctx.getSupply(), ctx.getMintInfo()]);
             
-            const totalSupply = parseFloat(supply.uiAmountString || '0');
+            // Base units, not the displayed amount - interest-bearing and
+            // scaled mints show a supply their issuer can move
+            const rawSupply = supply.amount;
+            const totalSupply = tokenAmounts.toTokens(rawSupply, mintInfo.decimals);
             let riskScore = 0;
-            const issues = [];
-
-            if (totalSupply === 0) {
-                issues.push('ZERO_SUPPLY');
-                riskScore += 80;
-            } else if (totalSupply > 1e12) {
-                issues.push('EXTREMELY_HIGH_SUPPLY');
-                riskScore += 15;
+            const testFindings = [];
+
+            if (tokenAmounts.isZero(rawSupply)) {
+                testFindings.push(findings.create('ZERO_SUPPLY', { evidence: { accounts: [mintAddress] } }));
+                riskScore += risk.zeroSupply;
+            } else if (totalSupply > risk.extremelyHighSupplyThreshold) {
+                testFindings.push(findings.create('EXTREMELY_HIGH_SUPPLY', { evidence: { totalSupply } }));
+                riskScore += risk.extremelyHighSupply;
             }
 
             if (mintInfo.decimals > 18 || mintInfo.decimals === 0) {
-                issues.push('UNUSUAL_DECIMALS');
-                riskScore += 10;
+                testFindings.push(findings.create('UNUSUAL_DECIMALS', { evidence: { decimals: mintInfo.decimals } }));
+                riskScore += risk.unusualDecimals;
             }
 
             return {
                 totalSupply,
+                rawSupply,
+                displayedSupply: supply.uiAmountString,
                 decimals: mintInfo.decimals,
-                issues,
+                findings: testFindings,
                 riskScore,
                 severity: riskScore > 60 ? 'CRITICAL' : riskScore > 20 ? 'MEDIUM' : 'LOW'
             };
         } catch (error) {
-            return { issues: ['SUPPLY_ANALYSIS_FAILED'], riskScore: 30, severity: 'MEDIUM' };
+            return this.failedTest('SUPPLY_ANALYSIS_FAILED', error, 30);
+        }
+    }
+
+    async analyzeTransferFee(mintAddress, context) {
+        try {
+            return await transferFeeAnalyzer.analyzeTransferFee(mintAddress, context);
+        } catch (error) {
+            return this.failedTest('TRANSFER_FEE_ANALYSIS_FAILED', error, 30);
         }
     }
 
-    async runTradingSimulation(mintAddress) {
+    async runTradingSimulation(mintAddress, signal, policy = policyManager.defaultPolicy) {
+        const risk = policy.honeypot.tradingRisk;
+
         try {
             // Check if Jupiter API is available
-            const isAvailable = await jupiterService.testConnectivity();
+            const isAvailable = await jupiterService.testConnectivity({ signal });
             
             if (!isAvailable) {
                 return {
                     simulation: 'SKIPPED',
                     reason: 'JUPITER_API_UNAVAILABLE',
-                    riskScore: 20,
+                    riskScore: risk.apiUnavailable,
                     severity: 'LOW'
                 };
             }
 
-            const result = await jupiterService.simulateSwap(mintAddress);
+            const result = await jupiterService.simulateSwap(mintAddress, undefined, {
+                signal,
+                thresholds: policy.honeypot.trading
+            });
             
             let riskScore = 0;
-            const issues = [];
+            const testFindings = [];
 
             if (!result.canBuy) {
-                issues.push('CANNOT_BUY_TOKEN');
-                riskScore += 80;
+                testFindings.push(findings.create('CANNOT_BUY_TOKEN', { evidence: { accounts: [mintAddress] } }));
+                riskScore += risk.cannotBuy;
             }
 
             if (!result.canSell) {
-                issues.push('CANNOT_SELL_TOKEN');
-                riskScore += 90;
+                testFindings.push(findings.create('CANNOT_SELL_TOKEN', { evidence: { accounts: [mintAddress] } }));
+                riskScore += risk.cannotSell;
             }
 
             if (result.honeypotAnalysis) {
                 riskScore = Math.max(riskScore, result.honeypotAnalysis.probability || 0);
-                if (result.honeypotAnalysis.indicators) {
-                    issues.push(...result.honeypotAnalysis.indicators);
-                }
+                (result.honeypotAnalysis.indicators || []).forEach(indicator => {
+                    // Jupiter reports CANNOT_SELL for the same condition as CANNOT_SELL_TOKEN above
+                    const code = indicator === 'CANNOT_SELL' ? 'CANNOT_SELL_TOKEN' : indicator;
+                    if (!findings.hasCode(testFindings, code)) {
+                        testFindings.push(findings.create(code, { evidence: { accounts: [mintAddress] } }));
+                    }
+                });
             }
 
             return {
@@ -187,36 +371,40 @@ class HoneypotDetector {
                 canBuy: result.canBuy,
                 canSell: result.canSell,
                 honeypotAnalysis: result.honeypotAnalysis,
-                issues,
+                findings: testFindings,
                 riskScore,
                 severity: riskScore > 80 ? 'CRITICAL' : riskScore > 50 ? 'HIGH' : 'LOW'
             };
 
         } catch (error) {
             return {
+                ...this.failedTest('TRADING_SIMULATION_ERROR', error, 40),
                 simulation: 'FAILED',
-                issues: ['TRADING_SIMULATION_ERROR'],
-                riskScore: 40,
-                severity: 'MEDIUM',
                 error: error.message
             };
         }
     }
 
-    calculateHoneypotProbability(tests) {
-        const weights = {
-            authorityAnalysis: 0.3,
-            programAnalysis: 0.2,
-            supplyAnalysis: 0.15,
-            tradingSimulation: 0.35
+    failedTest(code, error, riskScore) {
+        // A cancelled test is not a failed one - let the abort reach detectHoneypot
+        if (abort.isAbortError(error)) throw error;
+
+        return {
+            findings: [findings.create(code, { evidence: { error: error.message } })],
+            riskScore,
+            severity: 'MEDIUM'
         };
+    }
+
+    calculateHoneypotProbability(tests, policy = policyManager.defaultPolicy) {
+        const { weights, defaultWeight } = policy.honeypot;
 
         let totalRisk = 0;
         let totalWeight = 0;
 
         Object.entries(tests).forEach(([testName, result]) => {
             if (result && typeof result.riskScore === 'number') {
-                const weight = weights[testName] || 0.1;
+                const weight = weights[testName] ?? defaultWeight;
                 totalRisk += result.riskScore * weight;
                 totalWeight += weight;
             }
@@ -224,21 +412,28 @@ class HoneypotDetector {
 
         const overall = totalWeight > 0 ? Math.round(totalRisk / totalWeight) : 30;
         const confidence = Math.min(0.9, totalWeight);
+        const breakdown = this.getScoreBreakdown(tests, weights, defaultWeight);
+
+        // A test that proves selling is impossible settles the verdict on its own
+        const blockedBy = Object.keys(tests).filter(testName => tests[testName]?.cannotSell);
+        if (blockedBy.length > 0) {
+            return { overall: 100, confidence: 1, method: 'CANNOT_SELL', blockedBy, breakdown };
+        }
 
         return {
             overall: Math.max(0, Math.min(100, overall)),
             confidence,
             method: 'COMPREHENSIVE_ANALYSIS',
-            breakdown: this.getScoreBreakdown(tests, weights)
+            breakdown
         };
     }
 
-    getScoreBreakdown(tests, weights) {
+    getScoreBreakdown(tests, weights, defaultWeight) {
         const breakdown = {};
         Object.entries(tests).forEach(([testName, result]) => {
             if (result) {
                 breakdown[testName] = {
-                    weight: weights[testName] || 0.1,
+                    weight: weights[testName] ?? defaultWeight,
                     riskScore: result.riskScore || 0,
                     severity: result.severity || 'UNKNOWN'
                 };
@@ -247,11 +442,12 @@ class HoneypotDetector {
         return breakdown;
     }
 
-    generateVerdict(probability) {
-        if (probability.overall >= 80) return 'CONFIRMED_HONEYPOT';
-        if (probability.overall >= 60) return 'LIKELY_HONEYPOT';
-        if (probability.overall >= 40) return 'SUSPICIOUS';
-        if (probability.overall >= 20) return 'CAUTION_ADVISED';
+    generateVerdict(probability, policy = policyManager.defaultPolicy) {
+        const { verdicts } = policy.honeypot;
+        if (probability.overall >= verdicts.CONFIRMED_HONEYPOT) return 'CONFIRMED_HONEYPOT';
+        if (probability.overall >= verdicts.LIKELY_HONEYPOT) return 'LIKELY_HONEYPOT';
+        if (probability.overall >= verdicts.SUSPICIOUS) return 'SUSPICIOUS';
+        if (probability.overall >= verdicts.CAUTION_ADVISED) return 'CAUTION_ADVISED';
         return 'LOW_RISK';
     }
 
@@ -259,18 +455,42 @@ class HoneypotDetector {
         const recommendations = [];
         
         Object.values(tests).forEach(test => {
-            if (test.issues) {
-                test.issues.forEach(issue => {
-                    switch (issue) {
+            if (test.findings) {
+                test.findings.forEach(({ code }) => {
+                    switch (code) {
                         case 'MINT_AUTHORITY_ACTIVE':
                             recommendations.push('⚠️ Mint authority not revoked - supply can be manipulated');
                             break;
                         case 'FREEZE_AUTHORITY_ACTIVE':
                             recommendations.push('⚠️ Freeze authority not revoked - accounts can be frozen');
                             break;
+                        case 'PERMANENT_DELEGATE_ACTIVE':
+                            recommendations.push('🚨 Permanent delegate can take or burn any holder\'s tokens');
+                            break;
+                        case 'DEFAULT_ACCOUNT_FROZEN':
+                            recommendations.push('🚨 New token accounts start frozen - bought tokens may never be sellable');
+                            break;
+                        case 'MINT_CLOSE_AUTHORITY_ACTIVE':
+                            recommendations.push('⚠️ Mint close authority set - the mint address can be closed and reused');
+                            break;
+                        case 'PAUSE_AUTHORITY_ACTIVE':
+                            recommendations.push('🚨 Pause authority set - all transfers can be halted at any time');
+                            break;
+                        case 'TOKEN_PAUSED':
+                        case 'NON_TRANSFERABLE_TOKEN':
                         case 'CANNOT_SELL_TOKEN':
                             recommendations.push('🚨 CRITICAL: Cannot sell tokens - confirmed honeypot');
                             break;
+                        case 'TRANSFER_FEE_AUTHORITY_ACTIVE':
+                            recommendations.push('🚨 Transfer fee authority not revoked - sell fees can be raised at any time');
+                            break;
+                        case 'TRANSFER_HOOK_UPGRADEABLE':
+                        case 'TRANSFER_HOOK_AUTHORITY_ACTIVE':
+                            recommendations.push('🚨 Transfer-hook program can be changed - sells may be blocked later');
+                            break;
+                        case 'TRANSFER_HOOK_PROGRAM_MISSING':
+                            recommendations.push('🚨 CRITICAL: Transfer-hook program is missing - transfers cannot succeed');
+                            break;
                         case 'NON_STANDARD_PROGRAM':
                             recommendations.push('⚠️ Uses non-standard token program - higher risk');
                             break;
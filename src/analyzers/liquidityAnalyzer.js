@@ -1,5 +1,13 @@
 // src/analyzers/liquidityAnalyzer.js - COMPLETE IMPLEMENTATION
 const solanaService = require('../services/solanaService');
+const AnalysisContext = require('./analysisContext');
+const confidentialTransfers = require('./confidentialTransfers');
+const tokenLayout = require('../utils/tokenLayout');
+const poolLayout = require('../utils/poolLayout');
+const { DEX_PROGRAMS, RAYDIUM_AMM_AUTHORITY } = require('../config/constants');
+const policyManager = require('../config/policy');
+const findings = require('../utils/findings');
+const abort = require('../utils/abort');
 const logger = require('../utils/logger');
 
 class LiquidityAnalyzer {
@@ -16,7 +24,8 @@ class LiquidityAnalyzer {
             RAYDIUM_V4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
             ORCA_WHIRLPOOLS: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
             ORCA_V1: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM',
-            METEORA: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB'
+            METEORA: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB',
+            PUMP_SWAP: DEX_PROGRAMS.PUMP_SWAP
         };
         
         // Known liquidity locker contracts
@@ -26,8 +35,9 @@ class LiquidityAnalyzer {
         ]);
     }
 
-    async analyzeLiquidity(tokenMint) {
+    async analyzeLiquidity(tokenMint, context) {
         try {
+            const ctx = AnalysisContext.for(tokenMint, context);
             console.log('   💧 Analyzing liquidity security...');
             
             const analysis = {
@@ -36,18 +46,33 @@ class LiquidityAnalyzer {
                 pools: [],
                 overallStatus: 'UNKNOWN',
                 securedPercentage: 0,
+                findings: [],
                 riskFactors: [],
                 warnings: [],
                 lpProviders: 0,
-                liquidityUSD: 0
+                liquidityUSD: 0,
+                confidence: 1
             };
 
+            // Pool reserves are public, but hidden balances make the share of
+            // supply in pools look larger than it is
+            const visibility = await confidentialTransfers.analyzeVisibility(tokenMint, ctx);
+            if (visibility) {
+                analysis.confidentialTransfers = visibility;
+                analysis.confidence = visibility.confidence;
+                analysis.findings.push(...visibility.findings);
+            }
+
             // 1. Find liquidity pools (simplified approach)
-            const pools = await this.findLiquidityPools(tokenMint);
+            const pools = await this.findLiquidityPools(tokenMint, ctx);
             analysis.pools = pools;
 
             if (pools.length === 0) {
-                analysis.riskFactors.push('🔴 No liquidity pools detected');
+                analysis.findings.push(findings.create('NO_LIQUIDITY_POOLS', {
+                    evidence: { accounts: [tokenMint] }
+                }));
+                analysis.riskFactors = findings.toIssues(analysis.findings);
+                analysis.warnings = findings.toWarnings(analysis.findings);
                 analysis.overallStatus = 'NO_LIQUIDITY';
                 return analysis;
             }
@@ -56,29 +81,34 @@ class LiquidityAnalyzer {
 
             // 2. Analyze each pool's security
             for (const pool of pools) {
-                await this.analyzePoolSecurity(pool);
+                await this.analyzePoolSecurity(pool, ctx.policy);
             }
 
             // 3. Calculate overall metrics
-            this.calculateOverallMetrics(analysis);
+            this.calculateOverallMetrics(analysis, ctx.policy);
 
             // 4. Assess risks
-            this.assessLiquidityRisks(analysis);
+            this.assessLiquidityRisks(analysis, ctx.policy);
 
             return analysis;
 
         } catch (error) {
+            if (abort.isAbortError(error)) throw error;
             logger.error(`Liquidity analysis failed: ${error.message}`);
+            const failure = findings.create('LIQUIDITY_ANALYSIS_FAILED', {
+                message: `Analysis failed: ${error.message}`
+            });
             return {
                 tokenMint,
                 overallStatus: 'ERROR',
-                riskFactors: [`Analysis failed: ${error.message}`],
+                findings: [failure],
+                riskFactors: findings.toIssues([failure]),
                 warnings: []
             };
         }
     }
 
-    async findLiquidityPools(tokenMint) {
+    async findLiquidityPools(tokenMint, context) {
         const pools = [];
         
         try {
@@ -89,26 +119,25 @@ class LiquidityAnalyzer {
             // containing this token (simplified implementation)
             
             // For now, we'll use a heuristic approach looking at holder patterns
-            const largestHolders = await solanaService.getTokenLargestAccounts(tokenMint, 20);
+            const largestHolders = await context.getLargestAccounts(20);
             
-            for (const holder of largestHolders) {
-                // Check if holder address pattern suggests it's a DEX pool
-                const poolCandidate = await this.analyzeHolderForPool(holder, tokenMint);
-                if (poolCandidate) {
-                    pools.push(poolCandidate);
-                }
-            }
+            // Check if holder address pattern suggests it's a DEX pool
+            const candidates = await Promise.all(
+                largestHolders.map(holder => this.analyzeHolderForPool(holder, tokenMint, context))
+            );
+            pools.push(...candidates.filter(Boolean));
             
         } catch (error) {
+            if (abort.isAbortError(error)) throw error;
             logger.warn('Pool discovery failed:', error.message);
         }
 
         return pools;
     }
 
-    async analyzeHolderForPool(holder, tokenMint) {
+    async analyzeHolderForPool(holder, tokenMint, context) {
         try {
-            const accountInfo = await solanaService.getAccountInfo(holder.address);
+            const accountInfo = await context.getAccountInfo(holder.address);
             
             if (!accountInfo) return null;
             
@@ -128,30 +157,67 @@ class LiquidityAnalyzer {
                 };
             }
             
+            // Pool vaults are ordinary token accounts - the pool shows in who controls them
+            if (tokenLayout.isTokenProgram(accountInfo.owner)) {
+                return await this.analyzeVaultOwner(holder, accountInfo, context);
+            }
+            
         } catch (error) {
-            // Ignore individual failures
+            // Ignore individual failures, but stop on cancellation
+            if (abort.isAbortError(error)) throw error;
         }
         
         return null;
     }
 
+    // Raydium v4 vaults share one authority; PumpSwap vaults belong to the
+    // pool account itself, which also records the LP mint
+    async analyzeVaultOwner(holder, accountInfo, context) {
+        const authority = tokenLayout.decodeTokenAccountOwner(accountInfo.data);
+        
+        if (authority === RAYDIUM_AMM_AUTHORITY) {
+            return {
+                address: holder.address, // The vault - the pool id is not stored in it
+                dex: 'Raydium',
+                tokenBalance: holder.uiAmount,
+                program: this.DEX_PROGRAMS.RAYDIUM_V4,
+                lpMint: null,
+                detected: true
+            };
+        }
+        
+        const authorityInfo = await context.getAccountInfo(authority);
+        if (authorityInfo?.owner !== this.DEX_PROGRAMS.PUMP_SWAP) return null;
+        
+        const pool = poolLayout.decodePumpSwapPool(authorityInfo.data);
+        return {
+            address: authority,
+            dex: 'PumpSwap',
+            tokenBalance: holder.uiAmount,
+            program: authorityInfo.owner,
+            lpMint: pool.lpMint,
+            detected: true
+        };
+    }
+
     getDEXName(programId) {
         const programMap = {
             '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': 'Raydium',
             'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc': 'Orca',
             '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM': 'Orca V1',
-            'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'Meteora'
+            'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB': 'Meteora',
+            [DEX_PROGRAMS.PUMP_SWAP]: 'PumpSwap'
         };
         
         return programMap[programId] || 'Unknown DEX';
     }
 
-    async analyzePoolSecurity(pool) {
+    async analyzePoolSecurity(pool, policy = policyManager.defaultPolicy) {
         try {
             if (!pool.lpMint) {
                 // If we don't have LP mint, estimate security based on patterns
                 pool.securityStatus = 'ESTIMATED';
-                pool.securedPercentage = 50; // Conservative estimate
+                pool.securedPercentage = policy.liquidity.estimatedSecuredPercentage; // Conservative estimate
                 return;
             }
             
@@ -178,7 +244,7 @@ class LiquidityAnalyzer {
             pool.lockedAmount = lockedAmount;
             pool.burnedAmount = burnedAmount;
             pool.securedPercentage = securedPercentage;
-            pool.securityStatus = this.getSecurityStatus(securedPercentage);
+            pool.securityStatus = this.getSecurityStatus(securedPercentage, policy);
             
         } catch (error) {
             logger.warn(`Failed to analyze pool security: ${error.message}`);
@@ -186,15 +252,16 @@ class LiquidityAnalyzer {
         }
     }
 
-    getSecurityStatus(securedPercentage) {
-        if (securedPercentage >= 95) return 'EXCELLENT';
-        if (securedPercentage >= 80) return 'GOOD';
-        if (securedPercentage >= 60) return 'MODERATE';
-        if (securedPercentage >= 30) return 'POOR';
+    getSecurityStatus(securedPercentage, policy = policyManager.defaultPolicy) {
+        const bands = policy.liquidity.securityBands;
+        if (securedPercentage >= bands.EXCELLENT) return 'EXCELLENT';
+        if (securedPercentage >= bands.GOOD) return 'GOOD';
+        if (securedPercentage >= bands.MODERATE) return 'MODERATE';
+        if (securedPercentage >= bands.POOR) return 'POOR';
         return 'DANGEROUS';
     }
 
-    calculateOverallMetrics(analysis) {
+    calculateOverallMetrics(analysis, policy) {
         if (analysis.pools.length === 0) return;
         
         // Calculate average security across all pools
@@ -209,35 +276,48 @@ class LiquidityAnalyzer {
         });
         
         analysis.securedPercentage = validPools > 0 ? totalSecurity / validPools : 0;
-        analysis.overallStatus = this.getSecurityStatus(analysis.securedPercentage);
+        analysis.overallStatus = this.getSecurityStatus(analysis.securedPercentage, policy);
         analysis.lpProviders = analysis.pools.length;
     }
 
-    assessLiquidityRisks(analysis) {
-        const risks = [];
-        const warnings = [];
+    assessLiquidityRisks(analysis, policy = policyManager.defaultPolicy) {
+        const thresholds = policy.liquidity;
+        // Keeps findings raised before the assessment (confidential balances)
+        const riskFindings = [...analysis.findings];
+        const poolAddresses = analysis.pools.map(pool => pool.address);
         
         // Security assessment
-        if (analysis.securedPercentage < 30) {
-            risks.push('🔴 Very low liquidity security (<30% locked/burned)');
-        } else if (analysis.securedPercentage < 60) {
-            warnings.push('🟡 Moderate liquidity security - Some rug pull risk');
+        if (analysis.securedPercentage < thresholds.veryLowSecurity) {
+            riskFindings.push(findings.create('LIQUIDITY_SECURITY_VERY_LOW', {
+                evidence: { accounts: poolAddresses, securedPercentage: analysis.securedPercentage }
+            }));
+        } else if (analysis.securedPercentage < thresholds.moderateSecurity) {
+            riskFindings.push(findings.create('LIQUIDITY_SECURITY_MODERATE', {
+                evidence: { accounts: poolAddresses, securedPercentage: analysis.securedPercentage }
+            }));
         }
         
         // Pool count assessment
         if (analysis.pools.length === 1) {
-            warnings.push('🟡 Single liquidity pool detected');
+            riskFindings.push(findings.create('SINGLE_LIQUIDITY_POOL', {
+                evidence: { accounts: poolAddresses }
+            }));
         } else if (analysis.pools.length === 0) {
-            risks.push('🔴 No liquidity pools found');
+            riskFindings.push(findings.create('NO_LIQUIDITY_POOLS', {
+                evidence: { accounts: [analysis.tokenMint] }
+            }));
         }
         
         // Provider count assessment
-        if (analysis.lpProviders < 3) {
-            warnings.push('🟡 Low LP provider count - Centralization risk');
+        if (analysis.lpProviders < thresholds.minLpProviders) {
+            riskFindings.push(findings.create('LOW_LP_PROVIDER_COUNT', {
+                evidence: { accounts: poolAddresses, lpProviders: analysis.lpProviders }
+            }));
         }
         
-        analysis.riskFactors = risks;
-        analysis.warnings = warnings;
+        analysis.findings = riskFindings;
+        analysis.riskFactors = findings.toIssues(riskFindings);
+        analysis.warnings = findings.toWarnings(riskFindings);
     }
 
     // Quick analysis for immediate use
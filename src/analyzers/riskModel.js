@@ -0,0 +1,164 @@
+// src/analyzers/riskModel.js - SINGLE RISK SCORE MODEL FOR CLI AND MONITORS
+//
+// Individual checks report a health `score` (100 = check passed cleanly).
+// Every score exposed on an analysis (`riskScore`, `enhancedRiskScore`) is a
+// RISK score: 0 = no risk found, 100 = extremely dangerous.
+//
+// Band thresholds and liquidity adjustments come from the risk policy
+// (config/policy.js); every method falls back to the default policy.
+const policyManager = require('../config/policy');
+
+class RiskModel {
+  constructor() {
+    // Per-check weights come from checkRegistry; this covers unregistered ones
+    this.defaultCheckWeight = 10;
+
+    // Ordered from most to least dangerous; first band whose policy minimum is
+    // reached wins. MINIMAL catches everything below the LOW threshold.
+    this.bands = [
+      {
+        level: 'CRITICAL',
+        safetyLevel: '🔴 EXTREMELY DANGEROUS',
+        recommendation: '🚨 DO NOT TRADE - Multiple critical security flaws detected'
+      },
+      {
+        level: 'HIGH',
+        safetyLevel: '🟠 HIGH RISK',
+        recommendation: '⚠️ AVOID - High risk of rug pull or scam'
+      },
+      {
+        level: 'MODERATE',
+        safetyLevel: '🟡 MODERATE RISK',
+        recommendation: '⚠️ PROCEED WITH EXTREME CAUTION'
+      },
+      {
+        level: 'LOW',
+        safetyLevel: '🟢 LOW RISK',
+        recommendation: '✅ RELATIVELY SAFE - Always DYOR'
+      },
+      {
+        level: 'MINIMAL',
+        safetyLevel: '✅ APPEARS SAFE',
+        recommendation: '✅ APPEARS SECURE - Good security practices detected'
+      }
+    ];
+  }
+
+  calculateRiskScore(checks, weights = {}) {
+    return this.attributeChecks(checks, weights).riskScore;
+  }
+
+  // Per-check breakdown of the risk score. A counted check adds
+  // (100 - score) * weight / totalWeight risk points, so the contributions
+  // sum to the risk score before rounding. Skipped and timed-out checks are
+  // listed but carry no weight.
+  attributeChecks(checks, weights = {}) {
+    const entries = Object.entries(checks)
+      .filter(([, result]) => result)
+      .map(([id, result]) => ({
+        id,
+        status: this.getCheckStatus(result),
+        rawScore: typeof result.score === 'number' ? result.score : null,
+        weight: weights[id] ?? this.defaultCheckWeight,
+        counted: typeof result.score === 'number' && !result.skipped,
+        findings: (result.findings || []).map(finding => finding.code)
+      }));
+
+    const totalWeight = entries
+      .filter(entry => entry.counted)
+      .reduce((sum, entry) => sum + entry.weight, 0);
+
+    entries.forEach(entry => {
+      const share = entry.counted && totalWeight > 0 ? entry.weight / totalWeight : 0;
+      entry.weightShare = Math.round(share * 1000) / 1000;
+      entry.contribution = entry.counted
+        ? Math.round((100 - entry.rawScore) * share * 100) / 100
+        : 0;
+    });
+
+    // Nothing to weigh - report the neutral midpoint rather than "safe"
+    const riskScore = totalWeight === 0
+      ? 50
+      : this.clamp(Math.round(entries.reduce((sum, entry) => {
+        return entry.counted ? sum + (100 - entry.rawScore) * entry.weight / totalWeight : sum;
+      }, 0)));
+
+    return {
+      riskScore,
+      totalWeight,
+      fallback: totalWeight === 0,
+      checks: entries
+    };
+  }
+
+  getCheckStatus(result) {
+    const codes = (result.findings || []).map(finding => finding.code);
+
+    if (result.skipped) {
+      return codes.includes('CHECK_TIMED_OUT') ? 'TIMED_OUT' : 'SKIPPED';
+    }
+    if (codes.includes('CHECK_FAILED')) return 'FAILED';
+    if (typeof result.score !== 'number') return 'UNSCORED';
+    return 'SCORED';
+  }
+
+  // Full explanation of an analysis' final score: per-check attribution,
+  // score adjustments and the band the final score landed in
+  explain(analysis, weights, policy = policyManager.defaultPolicy) {
+    const attribution = this.attributeChecks(analysis.checks, weights);
+    const adjustments = [];
+
+    if (analysis.liquidity) {
+      adjustments.push({
+        source: 'liquidity',
+        status: analysis.liquidity.overallStatus || 'UNKNOWN',
+        points: this.getLiquidityAdjustment(analysis.liquidity, policy)
+      });
+    }
+
+    const finalScore = this.getEffectiveScore(analysis);
+    const band = this.getBand(finalScore, policy);
+
+    return {
+      ...attribution,
+      adjustments,
+      finalScore,
+      band: { level: band.level, min: policy.riskBands[band.level] ?? 0 }
+    };
+  }
+
+  getLiquidityAdjustment(liquidityAnalysis, policy = policyManager.defaultPolicy) {
+    return policy.liquidityAdjustments[liquidityAnalysis?.overallStatus] || 0;
+  }
+
+  applyLiquidityAdjustment(riskScore, liquidityAnalysis, policy = policyManager.defaultPolicy) {
+    return this.clamp(riskScore + this.getLiquidityAdjustment(liquidityAnalysis, policy));
+  }
+
+  // Score every entry point should display: liquidity-adjusted when available
+  getEffectiveScore(analysis) {
+    return typeof analysis.enhancedRiskScore === 'number'
+      ? analysis.enhancedRiskScore
+      : analysis.riskScore;
+  }
+
+  getBand(riskScore, policy = policyManager.defaultPolicy) {
+    const score = typeof riskScore === 'number' ? riskScore : 50;
+    return this.bands.find(band => score >= (policy.riskBands[band.level] ?? 0)) ||
+      this.bands[this.bands.length - 1];
+  }
+
+  getSafetyLevel(riskScore, policy) {
+    return this.getBand(riskScore, policy).safetyLevel;
+  }
+
+  getRecommendation(riskScore, policy) {
+    return this.getBand(riskScore, policy).recommendation;
+  }
+
+  clamp(score) {
+    return Math.max(0, Math.min(100, score));
+  }
+}
+
+module.exports = new RiskModel();
@@ -0,0 +1,278 @@
+// src/analyzers/ruleEngine.js - USER-DEFINED RULES EVALUATED AGAINST ANALYSIS RESULTS
+//
+// A rule raises a finding with its own code when its condition holds:
+//
+//   {
+//     id: 'CONCENTRATED_UNVERIFIED',        // becomes the finding code
+//     severity: 'HIGH',                     // any findingCodes SEVERITY
+//     category: 'HOLDERS',                  // optional, defaults to CUSTOM
+//     message: 'Top holder above 30% and no Metaplex metadata',
+//     recommendation: '...',                // optional, added to recommendations
+//     when: {
+//       all: [
+//         { fact: 'checks.holders.concentration.top1Percentage', op: '>', value: 30 },
+//         { fact: 'checks.metadata.metadata.source', op: '==', value: 'BASIC' }
+//       ]
+//     }
+//   }
+//
+// Conditions combine with all / any / not, one of them per condition. A leaf either compares a fact
+// (dot path into the analysis result, arrays expose .length) using one of
+// OPERATORS, optionally against another fact via `value: { fact: '...' }`,
+// or tests for a finding code with `{ finding: 'NO_LIQUIDITY_POOLS' }`.
+//
+// Rules are loaded from every .js, .json, .yaml and .yml file in a rules
+// directory; each file holds one rule or an array of them.
+const fs = require('fs');
+const path = require('path');
+const findings = require('../utils/findings');
+const policyManager = require('../config/policy');
+const { SEVERITY, CATEGORY, FINDINGS } = require('../config/findingCodes');
+
+const DEFAULT_RULES_DIR = path.join(__dirname, '../../rules');
+const RULE_EXTENSIONS = ['.js', '.json', '.yaml', '.yml'];
+const RULE_KEYS = ['id', 'severity', 'category', 'message', 'recommendation', 'when'];
+
+const OPERATORS = {
+  '==': (actual, expected) => actual === expected,
+  '!=': (actual, expected) => actual !== expected,
+  '>': (actual, expected) => typeof actual === 'number' && actual > expected,
+  '>=': (actual, expected) => typeof actual === 'number' && actual >= expected,
+  '<': (actual, expected) => typeof actual === 'number' && actual < expected,
+  '<=': (actual, expected) => typeof actual === 'number' && actual <= expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  notIn: (actual, expected) => Array.isArray(expected) && !expected.includes(actual),
+  contains: (actual, expected) =>
+    (Array.isArray(actual) || typeof actual === 'string') && actual.includes(expected),
+  exists: actual => actual !== undefined && actual !== null,
+  missing: actual => actual === undefined || actual === null
+};
+
+// A condition holds exactly one of these
+const CONDITION_KEYS = ['all', 'any', 'not', 'finding', 'fact'];
+
+// Operators that only look at the fact itself
+const UNARY_OPERATORS = new Set(['exists', 'missing']);
+
+class RuleEngine {
+  constructor() {
+    this.cache = new Map();
+    this.empty = Object.freeze({ source: 'none', rules: Object.freeze([]) });
+  }
+
+  // Accepts nothing (the default rules directory), false (no rules), a
+  // directory or file path, an array of rule objects or an already loaded set
+  resolve(selection) {
+    if (selection === false) return this.empty;
+
+    if (selection === undefined || selection === null) {
+      return fs.existsSync(DEFAULT_RULES_DIR) ? this.resolve(DEFAULT_RULES_DIR) : this.empty;
+    }
+
+    if (typeof selection === 'string') {
+      const target = path.resolve(selection);
+      if (!this.cache.has(target)) {
+        this.cache.set(target, this.load(target));
+      }
+      return this.cache.get(target);
+    }
+
+    if (Array.isArray(selection)) {
+      return this.create(selection, 'inline');
+    }
+
+    if (Object.isFrozen(selection) && Array.isArray(selection.rules)) return selection;
+
+    throw new Error('Rules must be a path, an array of rules or false');
+  }
+
+  load(target) {
+    let files;
+    try {
+      files = fs.statSync(target).isDirectory()
+        ? fs.readdirSync(target)
+          .filter(file => RULE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+          .sort()
+          .map(file => path.join(target, file))
+        : [target];
+    } catch (error) {
+      throw new Error(`Failed to load rules from ${target}: ${error.message}`);
+    }
+
+    const rules = files.flatMap(file => {
+      try {
+        const loaded = path.extname(file).toLowerCase() === '.js'
+          ? require(file)
+          : policyManager.parse(fs.readFileSync(file, 'utf8'), file);
+        return [].concat(loaded || []);
+      } catch (error) {
+        throw new Error(`Failed to load rules file ${file}: ${error.message}`);
+      }
+    });
+
+    return this.create(rules, target);
+  }
+
+  create(rules, source) {
+    const errors = [];
+    const seen = new Set();
+
+    rules.forEach((rule, index) => {
+      const label = rule?.id ? `Rule ${rule.id}` : `Rule #${index + 1}`;
+      this.validateRule(rule, label, errors);
+      if (rule?.id && seen.has(rule.id)) errors.push(`${label}: duplicate id`);
+      seen.add(rule?.id);
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid rules in ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    // Rule ids are finding codes from here on
+    rules.forEach(rule => {
+      findings.define(rule.id, {
+        severity: rule.severity,
+        category: rule.category || CATEGORY.CUSTOM,
+        message: rule.message
+      });
+    });
+
+    return policyManager.freeze({ source, rules: rules.map(rule => ({ ...rule })) });
+  }
+
+  validateRule(rule, label, errors) {
+    if (!policyManager.isPlainObject(rule)) {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+
+    Object.keys(rule).forEach(key => {
+      if (!RULE_KEYS.includes(key)) errors.push(`${label}: unknown key "${key}"`);
+    });
+
+    if (typeof rule.id !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(rule.id)) {
+      errors.push(`${label}: id must be an UPPER_SNAKE_CASE string`);
+    } else if (FINDINGS[rule.id]) {
+      errors.push(`${label}: id clashes with built-in finding code ${rule.id}`);
+    }
+
+    if (!Object.values(SEVERITY).includes(rule.severity)) {
+      errors.push(`${label}: severity must be one of ${Object.values(SEVERITY).join(', ')}`);
+    }
+
+    if (typeof rule.message !== 'string' || !rule.message) {
+      errors.push(`${label}: message is required`);
+    }
+
+    ['category', 'recommendation'].forEach(key => {
+      if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+        errors.push(`${label}: ${key} must be a string`);
+      }
+    });
+
+    if (rule.when === undefined) {
+      errors.push(`${label}: when is required`);
+    } else {
+      this.validateCondition(rule.when, `${label}: when`, errors);
+    }
+  }
+
+  validateCondition(condition, label, errors) {
+    if (!policyManager.isPlainObject(condition)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    // Only one would be evaluated, silently ignoring the others
+    const kinds = CONDITION_KEYS.filter(key => key in condition);
+    if (kinds.length > 1) {
+      errors.push(`${label} combines ${kinds.join(', ')} - nest them under all or any instead`);
+      return;
+    }
+
+    if ('all' in condition || 'any' in condition) {
+      const key = 'all' in condition ? 'all' : 'any';
+      if (!Array.isArray(condition[key]) || condition[key].length === 0) {
+        errors.push(`${label}.${key} must be a non-empty array`);
+        return;
+      }
+      condition[key].forEach((child, i) => this.validateCondition(child, `${label}.${key}[${i}]`, errors));
+      return;
+    }
+
+    if ('not' in condition) {
+      this.validateCondition(condition.not, `${label}.not`, errors);
+      return;
+    }
+
+    if ('finding' in condition) {
+      if (typeof condition.finding !== 'string') errors.push(`${label}.finding must be a finding code`);
+      return;
+    }
+
+    if (typeof condition.fact !== 'string' || !condition.fact) {
+      errors.push(`${label} needs all, any, not, finding or fact`);
+      return;
+    }
+
+    if (!OPERATORS[condition.op]) {
+      errors.push(`${label}.op must be one of ${Object.keys(OPERATORS).join(', ')} (got ${JSON.stringify(condition.op)})`);
+    } else if (!UNARY_OPERATORS.has(condition.op) && condition.value === undefined) {
+      errors.push(`${label}.value is required for ${condition.op}`);
+    }
+  }
+
+  // Returns the rules that fired plus the findings and recommendations they raise
+  evaluate(ruleSet, analysis) {
+    const fired = [];
+    const raised = [];
+    const recommendations = [];
+
+    ruleSet.rules.forEach(rule => {
+      const facts = {};
+      if (!this.test(rule.when, analysis, facts)) return;
+
+      fired.push({ id: rule.id, severity: rule.severity, facts });
+      raised.push(findings.create(rule.id, {
+        severity: rule.severity,
+        message: rule.message,
+        evidence: { accounts: [analysis.mintAddress], rule: rule.id, facts }
+      }));
+      if (rule.recommendation) recommendations.push(rule.recommendation);
+    });
+
+    return {
+      source: ruleSet.source,
+      evaluated: ruleSet.rules.length,
+      fired,
+      findings: raised,
+      recommendations
+    };
+  }
+
+  // `facts` collects every value a condition looked at, for the finding evidence
+  test(condition, analysis, facts) {
+    if (condition.all) return condition.all.every(child => this.test(child, analysis, facts));
+    if (condition.any) return condition.any.some(child => this.test(child, analysis, facts));
+    if (condition.not) return !this.test(condition.not, analysis, facts);
+
+    if (condition.finding) {
+      return findings.hasCode(analysis.findings, condition.finding);
+    }
+
+    const actual = this.getFact(analysis, condition.fact, facts);
+    const expected = policyManager.isPlainObject(condition.value) && condition.value.fact
+      ? this.getFact(analysis, condition.value.fact, facts)
+      : condition.value;
+
+    return OPERATORS[condition.op](actual, expected);
+  }
+
+  getFact(analysis, factPath, facts) {
+    const value = factPath.split('.').reduce((node, key) => node?.[key], analysis);
+    facts[factPath] = value === undefined ? null : value;
+    return value;
+  }
+}
+
+module.exports = new RuleEngine();
@@ -1,4 +1,7 @@
 const axios = require('axios');
+const findings = require('../utils/findings');
+const policyManager = require('../config/policy');
+const abort = require('../utils/abort');
 
 class SocialAnalyzer {
     constructor() {
@@ -9,7 +12,7 @@ class SocialAnalyzer {
         ];
     }
 
-    async analyzeSocialPresence(metadata) {
+    async analyzeSocialPresence(metadata, { signal, policy = policyManager.defaultPolicy } = {}) {
         const analysis = {
             hasWebsite: false,
             hasTwitter: false,
@@ -17,18 +20,20 @@ class SocialAnalyzer {
             hasDiscord: false,
             suspiciousContent: [],
             verificationStatus: 'UNVERIFIED',
+            findings: [],
             riskScore: 50
         };
 
         if (!metadata || !metadata.uri) {
             analysis.riskScore = 80;
-            analysis.warnings = ['NO_METADATA_AVAILABLE'];
+            analysis.findings.push(findings.create('NO_METADATA_AVAILABLE'));
+            analysis.warnings = findings.toWarnings(analysis.findings);
             return analysis;
         }
 
         try {
             // Fetch off-chain metadata
-            const response = await axios.get(metadata.uri, { timeout: 10000 });
+            const response = await axios.get(metadata.uri, { timeout: 10000, signal });
             const data = response.data;
 
             // Check for social links
@@ -38,13 +43,19 @@ class SocialAnalyzer {
             this.analyzeSuspiciousContent(data, analysis);
 
             // Calculate risk score
-            analysis.riskScore = this.calculateSocialRiskScore(analysis);
+            analysis.riskScore = this.calculateSocialRiskScore(analysis, policy);
 
         } catch (error) {
+            if (abort.isAbortError(error)) throw error;
             analysis.riskScore = 70;
-            analysis.warnings = ['METADATA_FETCH_FAILED'];
+            analysis.findings.push(findings.create('METADATA_FETCH_FAILED', {
+                evidence: { uri: metadata.uri, error: error.message }
+            }));
         }
 
+        analysis.issues = findings.toIssues(analysis.findings);
+        analysis.warnings = findings.toWarnings(analysis.findings);
+
         return analysis;
     }
 
@@ -69,19 +80,26 @@ class SocialAnalyzer {
                 analysis.suspiciousContent.push(pattern.source);
             }
         }
+
+        if (analysis.suspiciousContent.length > 0) {
+            analysis.findings.push(findings.create('SUSPICIOUS_SOCIAL_CONTENT', {
+                evidence: { patterns: [...analysis.suspiciousContent] }
+            }));
+        }
     }
 
-    calculateSocialRiskScore(analysis) {
-        let score = 50; // Base score
+    calculateSocialRiskScore(analysis, policy = policyManager.defaultPolicy) {
+        const weights = policy.social;
+        let score = weights.baseScore;
 
         // Reduce risk for legitimate social presence
-        if (analysis.hasWebsite) score -= 10;
-        if (analysis.hasTwitter) score -= 10;
-        if (analysis.hasTelegram) score -= 5;
-        if (analysis.hasDiscord) score -= 5;
+        if (analysis.hasWebsite) score -= weights.websiteBonus;
+        if (analysis.hasTwitter) score -= weights.twitterBonus;
+        if (analysis.hasTelegram) score -= weights.telegramBonus;
+        if (analysis.hasDiscord) score -= weights.discordBonus;
 
         // Increase risk for suspicious content
-        score += analysis.suspiciousContent.length * 20;
+        score += analysis.suspiciousContent.length * weights.suspiciousPenalty;
 
         return Math.max(0, Math.min(100, score));
     }
@@ -1,159 +1,452 @@
 // src/analyzers/tokenAnalyzer.js - COMPLETE VERSION WITH ALL CHECKS
-const solanaService = require('../services/solanaService');
+const { setMaxListeners } = require('events');
 const jupiterService = require('../services/jupiterService');
-const metadataService = require('../services/metadataService');
 const holderAnalyzer = require('./holderAnalyzer');
 const honeypotDetector = require('./honeypotDetector');
+const liquidityAnalyzer = require('./liquidityAnalyzer');
+const socialAnalyzer = require('./socialAnalyzer');
+const checkRegistry = require('./checkRegistry');
+const AnalysisContext = require('./analysisContext');
+const riskModel = require('./riskModel');
+const extensionAuthorities = require('./extensionAuthorities');
+const bondingCurveAnalyzer = require('./bondingCurveAnalyzer');
+const creatorAnalyzer = require('./creatorAnalyzer');
+const bundleAnalyzer = require('./bundleAnalyzer');
+const creatorReputationAnalyzer = require('./creatorReputationAnalyzer');
+const ruleEngine = require('./ruleEngine');
+const policyManager = require('../config/policy');
+const profileManager = require('../config/profiles');
+const findings = require('../utils/findings');
+const resultFormat = require('../utils/resultFormat');
+const abort = require('../utils/abort');
 const logger = require('../utils/logger');
 
 class TokenAnalyzer {
-  async analyzeToken(mintAddress, options = {}) {
+  constructor() {
+    this.registerBuiltInChecks();
+  }
+
+  // Public extension point - see checkRegistry.js for the definition shape
+  registerCheck(definition, options) {
+    return checkRegistry.register(definition, options);
+  }
+
+  registerBuiltInChecks() {
+    checkRegistry.register({
+      id: 'basicInfo',
+      label: '🔍 Getting basic token information...',
+      weight: 10,
+      cost: 2,
+      run: (mintAddress, { context }) => this.analyzeBasicInfo(mintAddress, context)
+    });
+
+    checkRegistry.register({
+      id: 'authorities',
+      label: '🔒 Analyzing authorities...',
+      weight: 40, // Most important
+      cost: 1,
+      run: (mintAddress, { context }) => this.analyzeAuthorities(mintAddress, context)
+    });
+
+    checkRegistry.register({
+      id: 'programOwnership',
+      label: '🏗️  Checking program ownership...',
+      weight: 20, // Very important
+      cost: 1,
+      run: (mintAddress, { context }) => this.analyzeProgramOwnership(mintAddress, context)
+    });
+
+    checkRegistry.register({
+      id: 'metadata',
+      label: '📝 Analyzing token metadata...',
+      option: 'includeMetadata',
+      weight: 5,
+      timeoutMs: 5000,
+      cost: 3,
+      timeout: { score: 70, message: 'Metadata analysis timed out', fields: { metadata: null } },
+      run: (mintAddress, { context }) => this.analyzeMetadata(mintAddress, context)
+    });
+
+    checkRegistry.register({
+      id: 'holders',
+      label: '👥 Analyzing holder distribution...',
+      option: 'includeHolderAnalysis',
+      weight: 15,
+      timeoutMs: 10000, // Slow - popular tokens can time out
+      cost: 5,
+      timeout: {
+        score: 70,
+        message: 'Holder analysis skipped - token too popular or network slow',
+        fields: { holders: [] }
+      },
+      run: (mintAddress, { context }) => this.analyzeHolders(mintAddress, context)
+    });
+
+    checkRegistry.register({
+      id: 'honeypot',
+      label: '🍯 Running honeypot detection...',
+      option: 'includeHoneypotDetection',
+      weight: 30, // Very important
+      timeoutMs: 15000, // Jupiter API dependent
+      cost: 8,
+      timeout: {
+        score: 50,
+        message: 'Honeypot detection timed out - Jupiter API may be unavailable',
+        fields: { verdict: 'TIMEOUT', honeypotProbability: { overall: 0, confidence: 0 } }
+      },
+      run: (mintAddress, { context }) => this.runHoneypotDetection(mintAddress, context)
+    });
+
+    checkRegistry.register({
+      id: 'marketData',
+      label: '📊 Fetching market data...',
+      option: 'includeMarketData',
+      weight: 5,
+      timeoutMs: 5000,
+      cost: 1,
+      timeout: { score: 70, message: 'Market data unavailable', fields: { price: null } },
+      run: (mintAddress, { signal }) => this.analyzeMarketData(mintAddress, signal)
+    });
+
+    // Liquidity adjusts the final score through riskModel instead of a weight
+    checkRegistry.register({
+      id: 'liquidity',
+      label: '💧 Analyzing liquidity locks...',
+      option: 'includeLiquidity',
+      weight: 0,
+      cost: 41, // Largest accounts, then each account and the authority behind it
+      run: (mintAddress, { context }) => liquidityAnalyzer.analyzeLiquidity(mintAddress, context)
+    });
+
+    checkRegistry.register({
+      id: 'bondingCurve',
+      label: '📈 Reading pump.fun bonding curve...',
+      option: 'includeBondingCurve',
+      weight: 0, // Informational - launch state, not a security property
+      timeoutMs: 5000,
+      cost: 1,
+      timeout: { message: 'Bonding curve lookup timed out', fields: { isPumpFun: null } },
+      run: (mintAddress, { context }) => this.analyzeBondingCurve(mintAddress, context)
+    });
+
+    // Only pump.fun tokens are scored - for anything else it reports isPumpFun: false
+    checkRegistry.register({
+      id: 'creatorPosition',
+      label: '👤 Tracing the creator\'s position...',
+      option: 'includeCreatorPosition',
+      weight: 15,
+      timeoutMs: 20000, // One transaction fetch per creator transaction examined
+      cost: 25, // Busy mints add a signature page per 1000 transactions to reach the create
+      timeout: { score: 50, message: 'Creator position timed out', fields: { creator: null } },
+      run: (mintAddress, { options, context }) => this.analyzeCreatorPosition(mintAddress, options, context)
+    });
+
+    checkRegistry.register({
+      id: 'creatorReputation',
+      label: '🧾 Reviewing the creator\'s earlier launches...',
+      option: 'includeCreatorReputation',
+      enabledByDefault: false, // Too costly for every token - on in the deep and pump profiles
+      weight: 15,
+      timeoutMs: 30000, // Pages the creator's history and fetches each transaction
+      cost: 255, // 3 signature pages, up to 200 transactions, a balance and an account per judged launch
+      timeout: { score: 50, message: 'Creator reputation timed out', fields: { creator: null } },
+      run: (mintAddress, { options, context }) => this.analyzeCreatorReputation(mintAddress, options, context)
+    });
+
+    checkRegistry.register({
+      id: 'launchBundle',
+      label: '🎯 Checking launch for bundled buys...',
+      option: 'includeLaunchBundle',
+      enabledByDefault: false, // Too costly for every token - on in the deep and pump profiles
+      weight: 15,
+      timeoutMs: 25000, // Traces each early buyer's funding
+      cost: 165, // 3 mint signature pages, 50 window transactions, 5 pages and 5 transactions per traced buyer
+      timeout: { score: 50, message: 'Launch bundle check timed out', fields: { launchSignature: null } },
+      run: (mintAddress, { options, context }) => this.analyzeLaunchBundle(mintAddress, options, context)
+    });
+
+    checkRegistry.register({
+      id: 'tradeHistory',
+      label: '📜 Reviewing recent transactions...',
+      option: 'includeTradeHistory',
+      enabledByDefault: false,
+      weight: 0, // Informational - surfaces findings without moving the score
+      timeoutMs: 15000,
+      cost: 10,
+      timeout: { message: 'Trade history timed out' },
+      run: (mintAddress, { context }) => this.analyzeTradeHistory(mintAddress, context)
+    });
+
+    checkRegistry.register({
+      id: 'social',
+      label: '🌐 Analyzing social presence...',
+      option: 'includeSocial',
+      enabledByDefault: false,
+      dependsOn: ['metadata'],
+      weight: 5,
+      timeoutMs: 10000,
+      cost: 1,
+      timeout: { score: 50, message: 'Social analysis timed out' },
+      run: (mintAddress, { results, context, signal }) =>
+        this.analyzeSocial(results.metadata?.metadata, { signal, policy: context.policy })
+    });
+  }
+
+  // Besides the check toggles, options accept `profile` (profile name, file or
+  // object, see config/profiles.js), `signal` (an AbortSignal that
+  // cancels the whole analysis), `deadlineMs` (overall time budget),
+  // `policy` (risk policy file path or object, see config/policy.js),
+  // `rules` (rules directory, rule array or false, see ruleEngine.js) and
+  // `creationSignature` (the launch transaction, when the caller saw it).
+  // Checks still running when the signal or deadline fires are reported as timed out.
+  async analyzeToken(mintAddress, requestOptions = {}) {
+    const profile = profileManager.resolve(requestOptions.profile);
+    const options = profileManager.apply(profile, requestOptions);
+    const controller = new AbortController();
+    const deadline = options.deadlineMs
+      ? setTimeout(() => {
+        controller.abort(abort.timeoutError(`Analysis deadline of ${options.deadlineMs}ms reached`));
+      }, options.deadlineMs)
+      : null;
+
     try {
       console.log(`\n=== COMPREHENSIVE TOKEN ANALYSIS: ${mintAddress} ===`);
       
+      const policy = policyManager.resolve(options.policy);
+      const ruleSet = ruleEngine.resolve(options.rules);
       const analysis = {
         mintAddress,
         timestamp: new Date().toISOString(),
         checks: {},
-        options
+        options: resultFormat.describeOptions(requestOptions, { profile: profile.name, rules: ruleSet.source }),
+        profile: profile.name,
+        policy: policyManager.describe(policy)
       };
 
-      // 1. Basic Token Information (Fast)
-      console.log('1. 🔍 Getting basic token information...');
-      analysis.checks.basicInfo = await this.analyzeBasicInfo(mintAddress);
-      
-      // 2. Authority Analysis (Fast)  
-      console.log('2. 🔒 Analyzing authorities...');
-      analysis.checks.authorities = await this.analyzeAuthorities(mintAddress);
-      
-      // 3. Program Ownership (Fast)
-      console.log('3. 🏗️  Checking program ownership...');
-      analysis.checks.programOwnership = await this.analyzeProgramOwnership(mintAddress);
-
-      // 4. Metadata Analysis (Medium speed)
-      if (options.includeMetadata !== false) {
-        console.log('4. 📝 Analyzing token metadata...');
-        analysis.checks.metadata = await this.analyzeMetadataWithTimeout(mintAddress, 5000);
-      }
+      const signal = abort.combine(controller.signal, options.signal);
+      // Every pending lookup listens on the analysis signal - deep profiles
+      // easily have more than the default 10 in flight
+      setMaxListeners(0, signal);
+      const context = new AnalysisContext(mintAddress, { ...options, signal, policy });
+      const { ordered, blocked } = checkRegistry.resolve(options);
 
-      // 5. Holder Distribution (Slow - can timeout)
-      if (options.includeHolderAnalysis !== false) {
-        console.log('5. 👥 Analyzing holder distribution...');
-        analysis.checks.holders = await this.analyzeHoldersWithTimeout(mintAddress, 10000);
-      }
+      await this.runChecks(ordered, mintAddress, analysis.checks, options, context);
 
-      // 6. Honeypot Detection (Slow - Jupiter API dependent)
-      if (options.includeHoneypotDetection !== false) {
-        console.log('6. 🍯 Running honeypot detection...');
-        analysis.checks.honeypot = await this.runHoneypotDetection(mintAddress, 15000);
+      if (signal.aborted) {
+        analysis.aborted = { reason: signal.reason?.message || 'Analysis aborted' };
       }
 
-      // 7. Market Data (Medium speed)
-      if (options.includeMarketData !== false) {
-        console.log('7. 📊 Fetching market data...');
-        analysis.checks.marketData = await this.analyzeMarketData(mintAddress, 5000);
-      }
+      blocked.forEach(({ check, missing }) => {
+        analysis.checks[check.id] = this.skippedCheck(
+          `${check.id} skipped - requires disabled check(s): ${missing.join(', ')}`
+        );
+      });
 
       // Calculate overall risk assessment
-      analysis.riskScore = this.calculateRiskScore(analysis.checks);
-      analysis.safetyLevel = this.getSafetyLevel(analysis.riskScore);
+      const weights = { ...checkRegistry.getWeights(), ...policy.checkWeights };
+      analysis.riskScore = riskModel.calculateRiskScore(analysis.checks, weights);
+      if (analysis.checks.liquidity) {
+        analysis.liquidity = analysis.checks.liquidity;
+        analysis.enhancedRiskScore = riskModel.applyLiquidityAdjustment(
+          analysis.riskScore, analysis.liquidity, policy
+        );
+      }
+      const band = riskModel.getBand(riskModel.getEffectiveScore(analysis), policy);
+      analysis.riskLevel = band.level;
+      analysis.safetyLevel = band.safetyLevel;
+      analysis.recommendation = band.recommendation;
+      analysis.attribution = riskModel.explain(analysis, weights, policy);
       analysis.recommendations = this.generateRecommendations(analysis.checks);
+      analysis.findings = findings.collect(
+        ...Object.values(analysis.checks).map(check => check?.findings || [])
+      );
+
+      // Rules see the finished result, including the findings above
+      const { findings: ruleFindings, recommendations, ...ruleReport } = ruleEngine.evaluate(ruleSet, analysis);
+      analysis.rules = ruleReport;
+      analysis.findings = findings.collect(analysis.findings, ruleFindings);
+      analysis.recommendations.push(...recommendations);
+      analysis.rpcUsage = context.getStats();
       
       console.log('✅ Analysis complete!');
-      return analysis;
+      return resultFormat.finalize(analysis);
       
     } catch (error) {
       logger.error(`Failed to analyze token ${mintAddress}:`, error.message);
       throw error;
+    } finally {
+      clearTimeout(deadline);
+      // Stop shared lookups that no check is waiting on any more
+      controller.abort();
+    }
+  }
+
+  // Each check starts as soon as the checks it depends on have finished.
+  // Pass `parallel: false` to run them one after another in registry order.
+  async runChecks(ordered, mintAddress, results, options, context) {
+    const running = new Map();
+
+    for (const [index, check] of ordered.entries()) {
+      const start = async () => {
+        await Promise.all(check.dependsOn.map(dep => running.get(dep)));
+        console.log(`${index + 1}. ${check.label}`);
+        results[check.id] = await this.runCheck(check, mintAddress, results, options, context);
+      };
+
+      if (options.parallel === false) {
+        await start();
+      } else {
+        running.set(check.id, start());
+      }
+    }
+
+    await Promise.all(running.values());
+  }
+
+  // The check's signal aborts on its own timeout or when the analysis is
+  // cancelled, and stops its RPC/HTTP work instead of leaving it running.
+  async runCheck(check, mintAddress, results, options, context) {
+    const controller = new AbortController();
+    const signal = abort.combine(context.signal, controller.signal);
+    setMaxListeners(0, signal);
+    const timeoutMs = options.timeouts?.[check.id] ?? check.timeoutMs;
+    let timer;
+
+    if (timeoutMs) {
+      timer = setTimeout(() => {
+        controller.abort(abort.timeoutError(check.timeout.message || `${check.id} timed out`));
+      }, timeoutMs);
+    }
+
+    try {
+      abort.throwIfAborted(signal);
+      const execution = check.run(mintAddress, {
+        results,
+        options,
+        context: context.scoped(signal),
+        signal
+      });
+      return this.normalizeCheck(check, await abort.race(execution, signal));
+    } catch (error) {
+      if (signal.aborted || abort.isAbortError(error)) {
+        const message = controller.signal.aborted
+          ? signal.reason.message
+          : `${check.id} cancelled - ${signal.reason?.message || 'analysis aborted'}`;
+        console.log(`   ⏰ ${message}`);
+        return this.timedOutCheck(check.timeout.fields || {}, message, check.timeout.score ?? 50);
+      }
+      return this.failedCheck({}, error, 0);
+    } finally {
+      clearTimeout(timer);
+      controller.abort();
     }
   }
 
-  async analyzeBasicInfo(mintAddress) {
+  async analyzeBasicInfo(mintAddress, context) {
     try {
-      const mintInfo = await solanaService.getTokenMintInfo(mintAddress);
-      const supply = await solanaService.getTokenSupply(mintAddress);
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const [mintInfo, supply] = await Promise.all([ctx.getMintInfo(), ctx.getSupply()]);
       
       console.log(`   ✅ Token found - Supply: ${supply.uiAmountString}, Decimals: ${mintInfo.decimals}`);
+      if (mintInfo.tokenProgram === 'spl-token-2022') {
+        const types = mintInfo.extensions.map(extension => extension.type);
+        console.log(`   🧩 Token-2022 extensions: ${types.length > 0 ? types.join(', ') : 'none'}`);
+      }
       
       return {
         mintInfo,
         supply,
+        findings: [],
         issues: [],
         warnings: [],
         score: 100
       };
       
     } catch (error) {
+      if (abort.isAbortError(error)) throw error;
       console.log(`   ❌ Failed: ${error.message}`);
-      return {
-        mintInfo: null,
-        supply: null,
-        issues: [error.message],
-        warnings: [],
-        score: 0
-      };
+      return this.failedCheck({ mintInfo: null, supply: null }, error, 0);
     }
   }
 
-  async analyzeAuthorities(mintAddress) {
+  async analyzeAuthorities(mintAddress, context) {
     try {
-      const mintInfo = await solanaService.getTokenMintInfo(mintAddress);
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const { issuePenalty, warningPenalty } = ctx.policy.authorities;
+      const mintInfo = await ctx.getMintInfo();
       
-      const issues = [];
-      const warnings = [];
+      const checkFindings = [];
       
       if (mintInfo.mintAuthority) {
-        issues.push('🔴 MINT AUTHORITY NOT REVOKED - Supply can be inflated!');
+        checkFindings.push(findings.create('MINT_AUTHORITY_ACTIVE', {
+          evidence: { accounts: [mintInfo.mintAuthority] }
+        }));
         console.log(`   ❌ Mint Authority: ${mintInfo.mintAuthority}`);
       } else {
         console.log('   ✅ Mint Authority: REVOKED');
       }
       
       if (mintInfo.freezeAuthority) {
-        issues.push('🔴 FREEZE AUTHORITY NOT REVOKED - Accounts can be frozen!');
+        checkFindings.push(findings.create('FREEZE_AUTHORITY_ACTIVE', {
+          evidence: { accounts: [mintInfo.freezeAuthority] }
+        }));
         console.log(`   ❌ Freeze Authority: ${mintInfo.freezeAuthority}`);
       } else {
         console.log('   ✅ Freeze Authority: REVOKED');
       }
+
+      const controls = extensionAuthorities.analyze(mintInfo);
+      controls.forEach(({ finding }) => {
+        checkFindings.push(finding);
+        console.log(`   ${findings.isBlocking(finding) ? '❌' : '⚠️ '} ${finding.message}`);
+      });
       
-      const score = 100 - (issues.length * 40) - (warnings.length * 10);
+      const issues = findings.toIssues(checkFindings);
+      const warnings = findings.toWarnings(checkFindings);
+      const score = 100 - (issues.length * issuePenalty) - (warnings.length * warningPenalty);
       
       return {
         mintAuthority: mintInfo.mintAuthority,
         freezeAuthority: mintInfo.freezeAuthority,
+        extensionControls: controls.map(({ key, control, finding }) => ({
+          type: key,
+          authority: control,
+          severity: finding.severity
+        })),
+        paused: extensionAuthorities.isPaused(mintInfo),
+        findings: checkFindings,
         issues,
         warnings,
         score: Math.max(0, score)
       };
       
     } catch (error) {
-      return {
-        mintAuthority: null,
-        freezeAuthority: null,
-        issues: [error.message],
-        warnings: [],
-        score: 0
-      };
+      return this.failedCheck({ mintAuthority: null, freezeAuthority: null }, error, 0);
     }
   }
 
-  async analyzeProgramOwnership(mintAddress) {
+  async analyzeProgramOwnership(mintAddress, context) {
     try {
-      const accountInfo = await solanaService.getAccountInfo(mintAddress);
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const accountInfo = await ctx.getAccountInfo(mintAddress);
       
       if (!accountInfo) {
+        const checkFindings = [findings.create('ACCOUNT_NOT_FOUND', {
+          evidence: { accounts: [mintAddress] }
+        })];
+
         return {
           owner: null,
           isValidProgram: false,
-          issues: ['Token account not found'],
+          findings: checkFindings,
+          issues: findings.toIssues(checkFindings),
           warnings: [],
           score: 0
         };
       }
 
       const owner = accountInfo.owner;
-      const issues = [];
-      const warnings = [];
+      const checkFindings = [];
 
       // Check if owned by standard token program
       const standardPrograms = [
@@ -164,255 +457,427 @@ class TokenAnalyzer {
       const isStandardProgram = standardPrograms.includes(owner);
       
       if (!isStandardProgram) {
-        issues.push(`🔴 Non-standard program owner: ${owner}`);
+        checkFindings.push(findings.create('NON_STANDARD_PROGRAM', {
+          message: `🔴 Non-standard program owner: ${owner}`,
+          evidence: { accounts: [owner] }
+        }));
         console.log(`   ❌ Program Owner: ${owner} (NON-STANDARD)`);
       } else {
         console.log(`   ✅ Program Owner: Standard SPL Token Program`);
       }
 
-      const score = isStandardProgram ? 100 : 20;
+      const score = isStandardProgram ? 100 : ctx.policy.programOwnership.nonStandardScore;
 
       return {
         owner,
         isValidProgram: isStandardProgram,
-        issues,
-        warnings,
+        findings: checkFindings,
+        issues: findings.toIssues(checkFindings),
+        warnings: findings.toWarnings(checkFindings),
         score
       };
       
     } catch (error) {
+      return this.failedCheck({ owner: null, isValidProgram: false }, error, 0);
+    }
+  }
+
+  async analyzeMetadata(mintAddress, context) {
+    try {
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const { issuePenalty, warningPenalty } = ctx.policy.metadata;
+      const metadata = await ctx.getMetadata();
+      
+      const checkFindings = [];
+      
+      if (!metadata || !metadata.name) {
+        checkFindings.push(findings.create('METADATA_NAME_MISSING'));
+      }
+      
+      if (!metadata || !metadata.symbol) {
+        checkFindings.push(findings.create('METADATA_SYMBOL_MISSING'));
+      }
+      
+      if (metadata && metadata.source === 'BASIC') {
+        checkFindings.push(findings.create('METAPLEX_METADATA_MISSING', {
+          evidence: { accounts: [mintAddress] }
+        }));
+      }
+      
+      const issues = findings.toIssues(checkFindings);
+      const warnings = findings.toWarnings(checkFindings);
+      
+      console.log(`   📝 Name: ${metadata?.name || 'Unknown'}`);
+      console.log(`   🏷️  Symbol: ${metadata?.symbol || 'Unknown'}`);
+      console.log(`   📚 Source: ${metadata?.source || 'Unknown'}`);
+      
+      const score = 100 - (issues.length * issuePenalty) - (warnings.length * warningPenalty);
+      
       return {
-        owner: null,
-        isValidProgram: false,
-        issues: [error.message],
-        warnings: [],
-        score: 0
+        metadata,
+        findings: checkFindings,
+        issues,
+        warnings,
+        score: Math.max(0, score)
       };
+      
+    } catch (error) {
+      return this.failedCheck({ metadata: null }, error, 0);
     }
   }
 
-  async analyzeMetadataWithTimeout(mintAddress, timeoutMs = 5000) {
-    return new Promise(async (resolve) => {
-      const timeout = setTimeout(() => {
-        console.log('   ⏰ Metadata analysis timed out');
-        resolve({
-          metadata: null,
-          issues: [],
-          warnings: ['Metadata analysis timed out'],
-          score: 70,
-          skipped: true
-        });
-      }, timeoutMs);
-
-      try {
-        const metadata = await metadataService.getTokenMetadata(mintAddress);
-        clearTimeout(timeout);
-        
-        const issues = [];
-        const warnings = [];
-        
-        if (!metadata || !metadata.name) {
-          warnings.push('🟡 No token name found');
-        }
-        
-        if (!metadata || !metadata.symbol) {
-          warnings.push('🟡 No token symbol found');
-        }
-        
-        if (metadata && metadata.source === 'BASIC') {
-          warnings.push('🟡 No Metaplex metadata found');
+  async analyzeHolders(mintAddress, context) {
+    try {
+      const result = await holderAnalyzer.analyzeHolderDistribution(mintAddress, context);
+      
+      if (result.holderCount > 0) {
+        console.log(`   👥 Analyzed ${result.holderCount} holders`);
+        if (result.concentration?.top1Percentage) {
+          console.log(`   📊 Top holder: ${result.concentration.top1Percentage.toFixed(2)}%`);
         }
-        
-        console.log(`   📝 Name: ${metadata?.name || 'Unknown'}`);
-        console.log(`   🏷️  Symbol: ${metadata?.symbol || 'Unknown'}`);
-        
-        const score = 100 - (issues.length * 20) - (warnings.length * 5);
-        
-        resolve({
-          metadata,
-          issues,
-          warnings,
-          score: Math.max(0, score)
-        });
-        
-      } catch (error) {
-        clearTimeout(timeout);
-        resolve({
-          metadata: null,
-          issues: [error.message],
-          warnings: [],
-          score: 0
-        });
       }
-    });
+      
+      return result;
+      
+    } catch (error) {
+      return this.failedCheck({ holders: [] }, error, 0);
+    }
   }
 
-  async analyzeHoldersWithTimeout(mintAddress, timeoutMs = 10000) {
-    return new Promise(async (resolve) => {
-      const timeout = setTimeout(() => {
-        console.log('   ⏰ Holder analysis timed out (token too popular)');
-        resolve({
-          holders: [],
-          issues: [],
-          warnings: ['Holder analysis skipped - token too popular or network slow'],
-          score: 70,
-          skipped: true
-        });
-      }, timeoutMs);
+  async runHoneypotDetection(mintAddress, context) {
+    try {
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const { highRiskProbability, moderateRiskProbability } = ctx.policy.honeypot;
+      const result = await honeypotDetector.detectHoneypot(mintAddress, ctx);
+      
+      console.log(`   🍯 Honeypot Probability: ${result.honeypotProbability?.overall || 0}%`);
+      console.log(`   🎯 Verdict: ${result.verdict}`);
+      
+      const checkFindings = [];
+      const probability = result.honeypotProbability?.overall;
+      
+      if (probability > highRiskProbability) {
+        checkFindings.push(findings.create('HONEYPOT_RISK_HIGH', {
+          message: `🔴 HIGH HONEYPOT RISK: ${probability}%`,
+          evidence: { accounts: [mintAddress], probability }
+        }));
+      } else if (probability > moderateRiskProbability) {
+        checkFindings.push(findings.create('HONEYPOT_RISK_MODERATE', {
+          message: `🟡 Moderate honeypot risk: ${probability}%`,
+          evidence: { accounts: [mintAddress], probability }
+        }));
+      }
+      
+      if (result.tests?.tradingSimulation?.canSell === false || result.tests?.authorityAnalysis?.cannotSell ||
+        result.tests?.transferHook?.cannotSell) {
+        checkFindings.push(findings.create('CANNOT_SELL_TOKEN', {
+          evidence: { accounts: [mintAddress] }
+        }));
+      }
 
-      try {
-        const result = await holderAnalyzer.analyzeHolderDistribution(mintAddress);
-        clearTimeout(timeout);
-        
-        if (result.holderCount > 0) {
-          console.log(`   👥 Analyzed ${result.holderCount} holders`);
-          if (result.concentration?.top1Percentage) {
-            console.log(`   📊 Top holder: ${result.concentration.top1Percentage.toFixed(2)}%`);
+      // Token-2022 extension findings exist nowhere else in the result
+      ['transferFee', 'transferHook'].forEach(test => {
+        checkFindings.push(...(result.tests?.[test]?.findings || []));
+      });
+
+      const score = Math.max(0, 100 - (probability || 0));
+      
+      return {
+        ...result,
+        findings: checkFindings,
+        issues: findings.toIssues(checkFindings),
+        warnings: findings.toWarnings(checkFindings),
+        score
+      };
+      
+    } catch (error) {
+      return this.failedCheck(
+        { verdict: 'ERROR', honeypotProbability: { overall: 0, confidence: 0 } },
+        error,
+        30
+      );
+    }
+  }
+
+  async analyzeTradeHistory(mintAddress, context) {
+    try {
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const { minTransactions, highFailureRate } = ctx.policy.tradeHistory;
+      const limit = ctx.depth.tradeHistory.signatures;
+      const signatures = await ctx.getSignatures(limit);
+      
+      const failed = signatures.filter(entry => entry.failed);
+      const failureRate = signatures.length > 0 ? (failed.length / signatures.length) * 100 : 0;
+      const blockTimes = signatures.map(entry => entry.blockTime).filter(Boolean);
+      
+      console.log(`   📜 ${signatures.length} recent transactions, ${failed.length} failed`);
+      
+      const checkFindings = [];
+      if (signatures.length >= minTransactions && failureRate >= highFailureRate) {
+        checkFindings.push(findings.create('HIGH_FAILED_TRANSACTION_RATE', {
+          message: `🟡 ${failureRate.toFixed(0)}% of the last ${signatures.length} transactions failed - sells may be blocked`,
+          evidence: {
+            accounts: [mintAddress],
+            signatures: failed.slice(0, 5).map(entry => entry.signature),
+            failureRate
           }
-        }
-        
-        resolve(result);
-        
-      } catch (error) {
-        clearTimeout(timeout);
-        resolve({
-          holders: [],
-          issues: [error.message],
-          warnings: [],
-          score: 0
-        });
+        }));
       }
-    });
+      
+      return {
+        transactionCount: signatures.length,
+        failedCount: failed.length,
+        failureRate,
+        // Fewer signatures than requested means this is the whole history
+        complete: signatures.length < limit,
+        firstSeen: blockTimes.length > 0 ? new Date(Math.min(...blockTimes) * 1000).toISOString() : null,
+        lastSeen: blockTimes.length > 0 ? new Date(Math.max(...blockTimes) * 1000).toISOString() : null,
+        findings: checkFindings,
+        issues: findings.toIssues(checkFindings),
+        warnings: findings.toWarnings(checkFindings)
+      };
+      
+    } catch (error) {
+      if (abort.isAbortError(error)) throw error;
+      return this.failedCheck({ transactionCount: 0 }, error, 0);
+    }
   }
 
-  async runHoneypotDetection(mintAddress, timeoutMs = 15000) {
-    return new Promise(async (resolve) => {
-      const timeout = setTimeout(() => {
-        console.log('   ⏰ Honeypot detection timed out');
-        resolve({
-          verdict: 'TIMEOUT',
-          honeypotProbability: { overall: 0, confidence: 0 },
-          issues: [],
-          warnings: ['Honeypot detection timed out - Jupiter API may be unavailable'],
-          score: 50,
-          skipped: true
-        });
-      }, timeoutMs);
+  async analyzeBondingCurve(mintAddress, context) {
+    try {
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const curve = await bondingCurveAnalyzer.analyzeCurve(mintAddress, ctx);
+      
+      if (!curve) {
+        console.log('   ➖ Not a pump.fun token');
+        return { isPumpFun: false, findings: [], issues: [], warnings: [] };
+      }
+      
+      const { findings: checkFindings, ...state } = curve;
+      console.log(`   📈 ${state.complete ? 'Curve complete' : `${state.progress.toFixed(1)}% to graduation`} - ` +
+        `price ${state.priceSol.toExponential(3)} SOL, market cap ${state.marketCapSol.toFixed(2)} SOL`);
+      
+      return {
+        isPumpFun: true,
+        ...state,
+        findings: checkFindings,
+        issues: findings.toIssues(checkFindings),
+        warnings: findings.toWarnings(checkFindings)
+      };
+      
+    } catch (error) {
+      if (abort.isAbortError(error)) throw error;
+      return this.failedCheck({ isPumpFun: null }, error, 0);
+    }
+  }
 
-      try {
-        const result = await honeypotDetector.detectHoneypot(mintAddress);
-        clearTimeout(timeout);
-        
-        console.log(`   🍯 Honeypot Probability: ${result.honeypotProbability?.overall || 0}%`);
-        console.log(`   🎯 Verdict: ${result.verdict}`);
-        
-        const issues = [];
-        const warnings = [];
-        
-        if (result.honeypotProbability?.overall > 70) {
-          issues.push(`🔴 HIGH HONEYPOT RISK: ${result.honeypotProbability.overall}%`);
-        } else if (result.honeypotProbability?.overall > 40) {
-          warnings.push(`🟡 Moderate honeypot risk: ${result.honeypotProbability.overall}%`);
-        }
-        
-        if (result.tests?.swapSimulation && !result.tests.swapSimulation.canSell) {
-          issues.push('🔴 CANNOT SELL TOKENS - Confirmed honeypot!');
-        }
-        
-        const score = Math.max(0, 100 - (result.honeypotProbability?.overall || 0));
-        
-        resolve({
-          ...result,
-          issues,
-          warnings,
-          score
-        });
-        
-      } catch (error) {
-        clearTimeout(timeout);
-        resolve({
-          verdict: 'ERROR',
-          honeypotProbability: { overall: 0, confidence: 0 },
-          issues: [error.message],
-          warnings: [],
-          score: 30
-        });
+  async analyzeCreatorPosition(mintAddress, options, context) {
+    try {
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const position = await creatorAnalyzer.analyzePosition(mintAddress, ctx, {
+        creationSignature: options.creationSignature
+      });
+      
+      if (!position) {
+        console.log('   ➖ Not a pump.fun token');
+        return { isPumpFun: false, findings: [], issues: [], warnings: [] };
       }
-    });
+      
+      const { findings: checkFindings, score, ...details } = position;
+      if (details.creator) {
+        console.log(`   👤 Creator ${details.creator} holds ${details.holdingPercentage.toFixed(1)}%, ` +
+          `sold ${details.soldPercentage.toFixed(1)}% (${details.transactionsExamined} transactions examined)`);
+      } else {
+        console.log('   ⚠️  Creator could not be determined');
+      }
+      
+      return {
+        isPumpFun: true,
+        ...details,
+        findings: checkFindings,
+        issues: findings.toIssues(checkFindings),
+        warnings: findings.toWarnings(checkFindings),
+        ...(score !== null && { score })
+      };
+      
+    } catch (error) {
+      if (abort.isAbortError(error)) throw error;
+      return this.failedCheck({ creator: null }, error, 0);
+    }
   }
 
-  async analyzeMarketData(mintAddress, timeoutMs = 5000) {
-    return new Promise(async (resolve) => {
-      const timeout = setTimeout(() => {
-        console.log('   ⏰ Market data timed out');
-        resolve({
-          price: null,
-          issues: [],
-          warnings: ['Market data unavailable'],
-          score: 70,
-          skipped: true
-        });
-      }, timeoutMs);
+  async analyzeCreatorReputation(mintAddress, options, context) {
+    try {
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const reputation = await creatorReputationAnalyzer.analyzeReputation(mintAddress, ctx, {
+        creationSignature: options.creationSignature
+      });
+      
+      if (!reputation) {
+        console.log('   ⚠️  Creator could not be determined');
+        return { creator: null, findings: [], issues: [], warnings: [] };
+      }
+      
+      const { findings: checkFindings, score, ...details } = reputation;
+      const rugRate = details.rugRate === null ? 'n/a' : `${details.rugRate.toFixed(0)}%`;
+      console.log(`   🧾 Creator launched ${details.earlierLaunches} earlier token(s), rug rate ${rugRate} ` +
+        `(${details.transactionsExamined} transactions examined)`);
+      
+      return {
+        ...details,
+        findings: checkFindings,
+        issues: findings.toIssues(checkFindings),
+        warnings: findings.toWarnings(checkFindings),
+        score
+      };
+      
+    } catch (error) {
+      if (abort.isAbortError(error)) throw error;
+      return this.failedCheck({ creator: null }, error, 0);
+    }
+  }
 
-      try {
-        const price = await jupiterService.getPrice(mintAddress);
-        clearTimeout(timeout);
-        
-        if (price && price.price > 0) {
-          console.log(`   💰 Price: $${price.price}`);
-        } else {
-          console.log(`   ⚠️  No price data available`);
-        }
-        
-        resolve({
-          price,
-          issues: [],
-          warnings: price ? [] : ['No price data available'],
-          score: price ? 100 : 50
-        });
-        
-      } catch (error) {
-        clearTimeout(timeout);
-        resolve({
-          price: null,
-          issues: [],
-          warnings: ['Failed to fetch price data'],
-          score: 50
-        });
+  async analyzeLaunchBundle(mintAddress, options, context) {
+    try {
+      const ctx = AnalysisContext.for(mintAddress, context);
+      const launch = await bundleAnalyzer.analyzeLaunch(mintAddress, ctx, {
+        creationSignature: options.creationSignature
+      });
+      
+      if (!launch) {
+        console.log('   ➖ Not a pump.fun token');
+        return { isPumpFun: false, findings: [], issues: [], warnings: [] };
       }
-    });
+      
+      const { findings: checkFindings, score, ...details } = launch;
+      if (details.launchSignature) {
+        const bundled = details.wallets.filter(wallet => wallet.bundled).length;
+        console.log(`   🎯 ${details.wallets.length} early buyer(s) took ${details.sniperPercentage.toFixed(1)}%, ` +
+          `${bundled} bundled with ${details.bundledPercentage.toFixed(1)}%`);
+      } else {
+        console.log('   ⚠️  Launch transaction could not be found');
+      }
+      
+      return {
+        isPumpFun: true,
+        ...details,
+        findings: checkFindings,
+        issues: findings.toIssues(checkFindings),
+        warnings: findings.toWarnings(checkFindings),
+        ...(score !== null && { score })
+      };
+      
+    } catch (error) {
+      if (abort.isAbortError(error)) throw error;
+      return this.failedCheck({ launchSignature: null }, error, 0);
+    }
+  }
+
+  async analyzeMarketData(mintAddress, signal) {
+    try {
+      const price = await jupiterService.getPrice(mintAddress, 'USDC', { signal });
+      
+      if (price && price.price > 0) {
+        console.log(`   💰 Price: $${price.price}`);
+      } else {
+        console.log(`   ⚠️  No price data available`);
+      }
+      
+      const checkFindings = price ? [] : [findings.create('NO_PRICE_DATA')];
+      
+      return {
+        price,
+        findings: checkFindings,
+        issues: [],
+        warnings: findings.toWarnings(checkFindings),
+        score: price ? 100 : 50
+      };
+      
+    } catch (error) {
+      if (abort.isAbortError(error)) throw error;
+      const checkFindings = [findings.create('PRICE_FETCH_FAILED')];
+      return {
+        price: null,
+        findings: checkFindings,
+        issues: [],
+        warnings: findings.toWarnings(checkFindings),
+        score: 50
+      };
+    }
   }
 
-  calculateRiskScore(checks) {
-    const weights = {
-      basicInfo: 10,
-      authorities: 40,      // Most important
-      programOwnership: 20, // Very important  
-      metadata: 5,
-      holders: 15,
-      honeypot: 30,        // Very important
-      marketData: 5
+  async analyzeSocial(metadata, options = {}) {
+    const result = await socialAnalyzer.analyzeSocialPresence(metadata, options);
+
+    console.log(`   🌐 Social risk: ${result.riskScore}/100`);
+
+    return {
+      ...result,
+      score: 100 - result.riskScore
     };
+  }
 
-    let totalScore = 0;
-    let totalWeight = 0;
+  // Custom checks may return just a score - fill in the shared fields the
+  // result schema requires, and fail only this check on a malformed result
+  normalizeCheck(check, result) {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) {
+      return this.failedCheck({}, new Error(`${check.id} returned no result object`), 0);
+    }
 
-    Object.entries(checks).forEach(([checkName, result]) => {
-      if (result && typeof result.score === 'number' && !result.skipped) {
-        const weight = weights[checkName] || 10;
-        totalScore += result.score * weight;
-        totalWeight += weight;
-      }
-    });
+    // A null score means unscored, like a missing one
+    const { score, ...fields } = result;
+    const scored = score !== undefined && score !== null;
+    if (scored && !(typeof score === 'number' && score >= 0 && score <= 100)) {
+      return this.failedCheck({}, new Error(`${check.id} returned an invalid score: ${score}`), 0);
+    }
+
+    const checkFindings = Array.isArray(result.findings) ? result.findings : [];
+    return {
+      ...fields,
+      ...(scored && { score }),
+      findings: checkFindings,
+      issues: result.issues || findings.toIssues(checkFindings),
+      warnings: result.warnings || findings.toWarnings(checkFindings)
+    };
+  }
+
+  failedCheck(fields, error, score) {
+    // Cancellation is reported by runCheck as a timeout, not as a failure
+    if (abort.isAbortError(error)) throw error;
+
+    const checkFindings = [findings.create('CHECK_FAILED', { message: error.message })];
 
-    return totalWeight > 0 ? Math.round(totalScore / totalWeight) : 50;
+    return {
+      ...fields,
+      findings: checkFindings,
+      issues: findings.toIssues(checkFindings),
+      warnings: [],
+      score
+    };
   }
 
-  getSafetyLevel(score) {
-    if (score >= 80) return '🟢 SAFE';
-    if (score >= 60) return '🟡 CAUTION'; 
-    if (score >= 40) return '🟠 RISKY';
-    return '🔴 DANGEROUS';
+  skippedCheck(message) {
+    const checkFindings = [findings.create('CHECK_SKIPPED', { message })];
+
+    return {
+      findings: checkFindings,
+      issues: [],
+      warnings: [],
+      skipped: true
+    };
+  }
+
+  timedOutCheck(fields, message, score) {
+    const checkFindings = [findings.create('CHECK_TIMED_OUT', { message })];
+
+    return {
+      ...fields,
+      findings: checkFindings,
+      issues: [],
+      warnings: findings.toWarnings(checkFindings),
+      score,
+      skipped: true
+    };
   }
 
   generateRecommendations(checks) {
@@ -0,0 +1,114 @@
+// src/analyzers/transferFeeAnalyzer.js - TOKEN-2022 TRANSFER FEE RISK
+//
+// TransferFeeConfig stores two fee schedules. The newer one takes effect at
+// its epoch; until then the older one applies. A fee authority can replace
+// the newer schedule at any time (effective two epochs later), which makes
+// it a soft-honeypot vector: sells keep working but lose most of their value.
+const AnalysisContext = require('./analysisContext');
+const tokenLayout = require('../utils/tokenLayout');
+const findings = require('../utils/findings');
+
+const MAX_FEE_BPS = 10000;
+
+class TransferFeeAnalyzer {
+  // Returns null for mints without a TransferFeeConfig extension
+  async analyzeTransferFee(mintAddress, context) {
+    const ctx = AnalysisContext.for(mintAddress, context);
+    const mintInfo = await ctx.getMintInfo();
+    const extension = tokenLayout.findExtension(mintInfo.extensions, 'TransferFeeConfig');
+
+    if (!extension) return null;
+
+    const { config } = extension;
+    const risk = ctx.policy.honeypot.transferFeeRisk;
+    const thresholds = ctx.policy.honeypot.transferFee;
+    const epochInfo = await ctx.getEpochInfo();
+
+    const { currentFee, scheduledFee } = this.getFeeSchedule(config, epochInfo.epoch);
+    const testFindings = [];
+    let riskScore = 0;
+
+    if (config.transferFeeConfigAuthority) {
+      testFindings.push(findings.create('TRANSFER_FEE_AUTHORITY_ACTIVE', {
+        evidence: {
+          accounts: [config.transferFeeConfigAuthority],
+          currentBasisPoints: currentFee.basisPoints
+        }
+      }));
+      riskScore += risk.authorityActive;
+    }
+
+    const feeLevel = this.getFeeLevel(currentFee.basisPoints, thresholds);
+    if (feeLevel) {
+      testFindings.push(findings.create(feeLevel === 'HIGH' ? 'TRANSFER_FEE_HIGH' : 'TRANSFER_FEE_MODERATE', {
+        message: `${feeLevel === 'HIGH' ? '🔴 High' : '🟡'} transfer fee: ${currentFee.percentage}% (max ${currentFee.maximumFee} base units)`,
+        evidence: { accounts: [mintAddress], basisPoints: currentFee.basisPoints }
+      }));
+      riskScore += feeLevel === 'HIGH' ? risk.highFee : risk.moderateFee;
+    }
+
+    if (scheduledFee && scheduledFee.basisPoints > currentFee.basisPoints) {
+      testFindings.push(findings.create('TRANSFER_FEE_INCREASE_SCHEDULED', {
+        message: `🔴 Transfer fee rises from ${currentFee.percentage}% to ${scheduledFee.percentage}% at epoch ${scheduledFee.epoch}`,
+        evidence: {
+          accounts: [mintAddress],
+          currentBasisPoints: currentFee.basisPoints,
+          scheduledBasisPoints: scheduledFee.basisPoints,
+          epoch: scheduledFee.epoch
+        }
+      }));
+      riskScore += risk.scheduledIncrease;
+    }
+
+    if (config.withdrawWithheldAuthority) {
+      testFindings.push(findings.create('WITHHELD_FEE_AUTHORITY_ACTIVE', {
+        evidence: { accounts: [config.withdrawWithheldAuthority] }
+      }));
+    }
+
+    riskScore = Math.min(100, riskScore);
+    console.log(`   💸 Transfer fee: ${currentFee.percentage}%${scheduledFee ? ` → ${scheduledFee.percentage}% at epoch ${scheduledFee.epoch}` : ''}`);
+
+    return {
+      currentEpoch: epochInfo.epoch,
+      currentFee,
+      scheduledFee,
+      transferFeeConfigAuthority: config.transferFeeConfigAuthority,
+      withdrawWithheldAuthority: config.withdrawWithheldAuthority,
+      withheldAmount: config.withheldAmount,
+      findings: testFindings,
+      riskScore,
+      severity: riskScore > 70 ? 'CRITICAL' : riskScore > 30 ? 'HIGH' : 'LOW'
+    };
+  }
+
+  // The newer schedule applies from its epoch on; before that it is pending
+  getFeeSchedule(config, currentEpoch) {
+    const older = this.describeFee(config.olderTransferFee);
+    const newer = this.describeFee(config.newerTransferFee);
+    const newerActive = BigInt(currentEpoch) >= BigInt(newer.epoch);
+
+    if (newerActive) {
+      return { currentFee: newer, scheduledFee: null };
+    }
+
+    return { currentFee: older, scheduledFee: newer };
+  }
+
+  describeFee(fee) {
+    return {
+      epoch: fee.epoch,
+      basisPoints: fee.transferFeeBasisPoints,
+      percentage: (Math.min(fee.transferFeeBasisPoints, MAX_FEE_BPS) / 100).toFixed(2),
+      maximumFee: fee.maximumFee
+    };
+  }
+
+  getFeeLevel(basisPoints, thresholds) {
+    if (basisPoints >= thresholds.highFeeBps) return 'HIGH';
+    if (basisPoints >= thresholds.moderateFeeBps) return 'MODERATE';
+    return null;
+  }
+}
+
+module.exports = new TransferFeeAnalyzer();
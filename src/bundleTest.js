@@ -0,0 +1,169 @@
+// src/bundleTest.js - LAUNCH BUNDLE DETECTION AND SCORING
+//
+// Offline: a pump.fun launch buried behind a busy mint history, five early
+// buyers and their funding transfers, served to bundleAnalyzer from fixtures.
+const assert = require('assert');
+const bundleAnalyzer = require('./analyzers/bundleAnalyzer');
+const AnalysisContext = require('./analyzers/analysisContext');
+const profileManager = require('./config/profiles');
+const pumpLayout = require('./utils/pumpLayout');
+const fixtures = require('./testFixtures');
+const testRunner = require('./testRunner');
+const { PUMP_FUN } = require('./config/constants');
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const SUPPLY = 1000000000000000n;
+const MINT = fixtures.key(1);
+const CREATOR = fixtures.key(2);
+const SHARED_FUNDER = fixtures.key(3);
+const BUYERS = { A: fixtures.key(11), B: fixtures.key(12), C: fixtures.key(13), D: fixtures.key(14), E: fixtures.key(15) };
+
+// A buys in the creation slot, B and C share a funder, D is funded by the
+// creator and E is an unrelated sniper. Percentages of supply.
+const BUYS = [
+  { wallet: 'A', slot: 100, share: 5, funder: fixtures.key(4) },
+  { wallet: 'B', slot: 101, share: 4, funder: SHARED_FUNDER },
+  { wallet: 'C', slot: 102, share: 3, funder: SHARED_FUNDER },
+  { wallet: 'D', slot: 102, share: 2, funder: CREATOR },
+  { wallet: 'E', slot: 102, share: 6, funder: fixtures.key(5) }
+];
+
+const amount = share => (SUPPLY * BigInt(share)) / 100n;
+
+const createTransaction = fixtures.transaction({
+  slot: 100,
+  signers: [CREATOR],
+  instructions: [{
+    programId: PUMP_FUN.PROGRAM_ID,
+    accounts: [MINT, fixtures.key(20), fixtures.key(21), fixtures.key(22), fixtures.key(23), fixtures.key(24), fixtures.key(25), CREATOR],
+    data: Buffer.concat([
+      fixtures.discriminator('global:create'),
+      fixtures.string('Test'), fixtures.string('TEST'), fixtures.string('https://example.com'),
+      fixtures.publicKey(CREATOR)
+    ])
+  }]
+});
+
+const buyTransaction = ({ wallet, slot, share }) => fixtures.transaction({
+  slot,
+  signers: [BUYERS[wallet]],
+  meta: {
+    logMessages: fixtures.eventLogs(Buffer.concat([
+      fixtures.discriminator('event:TradeEvent'),
+      fixtures.publicKey(MINT), fixtures.u64(1000000000), fixtures.u64(amount(share)), fixtures.bool(true),
+      fixtures.publicKey(BUYERS[wallet]), fixtures.i64(1700000000),
+      fixtures.u64(30000000000), fixtures.u64(1073000000000000)
+    ]))
+  }
+});
+
+const fundingTransaction = ({ wallet, funder }) => fixtures.transaction({
+  slot: 90,
+  signers: [funder],
+  instructions: [{ programId: SYSTEM_PROGRAM, accounts: [funder, BUYERS[wallet]], data: Buffer.alloc(12) }],
+  meta: { lamports: { [funder]: [10000000000, 8999995000], [BUYERS[wallet]]: [0, 1000000000] } }
+});
+
+const curveAccount = () => ({
+  owner: PUMP_FUN.PROGRAM_ID,
+  data: Buffer.concat([
+    fixtures.discriminator('account:BondingCurve'),
+    fixtures.u64(1073000000000000), fixtures.u64(30000000000), fixtures.u64(793100000000000),
+    fixtures.u64(0), fixtures.u64(SUPPLY), fixtures.bool(false), fixtures.publicKey(CREATOR)
+  ])
+});
+
+function serveLaunch() {
+  const transactions = { create: createTransaction };
+  const walletHistories = {};
+
+  BUYS.forEach(buy => {
+    transactions[`buy${buy.wallet}`] = buyTransaction(buy);
+    transactions[`fund${buy.wallet}`] = fundingTransaction(buy);
+    walletHistories[BUYERS[buy.wallet]] = fixtures.signaturePages([
+      { signature: `buy${buy.wallet}`, slot: buy.slot, failed: false },
+      { signature: `fund${buy.wallet}`, slot: 90, failed: false }
+    ]);
+  });
+
+  // 1500 later trades push the launch past the first page of mint history
+  const later = Array.from({ length: 1500 }, (_, index) => ({ signature: `later${index}`, slot: 3000 - index, failed: false }));
+  const window = [...BUYS]
+    .sort((a, b) => b.slot - a.slot)
+    .map(buy => ({ signature: `buy${buy.wallet}`, slot: buy.slot, failed: false }));
+  const mintHistory = fixtures.signaturePages([...later, ...window, { signature: 'create', slot: 100, failed: false }]);
+  const curveAddress = pumpLayout.getBondingCurveAddress(MINT);
+
+  return fixtures.stubSolanaService({
+    getSignaturesForAddress: async (address, limit, { before } = {}) => {
+      if (address === MINT) return mintHistory(limit, before);
+      return walletHistories[address] ? walletHistories[address](limit, before) : [];
+    },
+    getTransaction: async signature => transactions[signature] || null,
+    getAccountInfo: async address => (address === curveAddress ? curveAccount() : null),
+    // Only A still holds its tokens
+    getTokenBalance: async owner => (owner === BUYERS.A ? String(amount(5)) : '0')
+  });
+}
+
+async function analyze(depth = {}) {
+  const restore = serveLaunch();
+  try {
+    const ctx = new AnalysisContext(MINT, { depth: profileManager.resolve({ depth }).depth });
+    return await bundleAnalyzer.analyzeLaunch(MINT, ctx);
+  } finally {
+    restore();
+  }
+}
+
+const TESTS = {
+  'Finds the launch without a creation signature behind a busy history': async () => {
+    const launch = await analyze();
+    assert.strictEqual(launch.launchSignature, 'create');
+    assert.strictEqual(launch.creator, CREATOR);
+    assert.strictEqual(launch.buyCount, 5);
+    assert.strictEqual(launch.windowComplete, true);
+    assert.strictEqual(launch.fundingTraced, true);
+  },
+
+  'Flags same-slot, creator-funded and shared-funder buyers as bundled': async () => {
+    const launch = await analyze();
+    const bundled = launch.wallets.filter(wallet => wallet.bundled).map(wallet => wallet.wallet).sort();
+    assert.deepStrictEqual(bundled, [BUYERS.A, BUYERS.B, BUYERS.C, BUYERS.D].sort());
+
+    const byWallet = Object.fromEntries(launch.wallets.map(wallet => [wallet.wallet, wallet]));
+    assert.strictEqual(byWallet[BUYERS.A].sameSlot, true);
+    assert.strictEqual(byWallet[BUYERS.B].sharedFunder, true);
+    assert.strictEqual(byWallet[BUYERS.D].fundedByCreator, true);
+    assert.strictEqual(byWallet[BUYERS.E].bundled, false);
+  },
+
+  'Scores the bundled share against the default policy': async () => {
+    const launch = await analyze();
+    assert.strictEqual(launch.sniperPercentage, 20);
+    assert.strictEqual(launch.bundledPercentage, 14);
+    assert.strictEqual(launch.bundledHeldPercentage, 5);
+    assert.deepStrictEqual(launch.findings.map(finding => finding.code), ['BUNDLED_LAUNCH_HIGH', 'CREATOR_FUNDED_BUYERS']);
+    // 100 - bundledHigh 40 - creatorFunded 30; a 20% sniper share is at, not over, the limit
+    assert.strictEqual(launch.score, 30);
+  },
+
+  'Leaves the score out when buyer funding is not traced back to launch': async () => {
+    const launch = await analyze({ bundle: { walletSignatures: 1, walletPages: 1 } });
+    assert.strictEqual(launch.fundingTraced, false);
+    assert.strictEqual(launch.score, null);
+  },
+
+  'Leaves the score out when the launch window is not reached': async () => {
+    const launch = await analyze({ bundle: { pages: 1 } });
+    assert.strictEqual(launch.launchSignature, 'create');
+    assert.strictEqual(launch.windowComplete, false);
+    assert.strictEqual(launch.score, null);
+  }
+};
+
+if (require.main === module) {
+  testRunner.run('bundle', TESTS);
+}
+
+module.exports = { TESTS };
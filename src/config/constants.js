@@ -24,7 +24,11 @@ module.exports = {
     TOKEN_PROGRAM: 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
     TOKEN_2022_PROGRAM: 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb',
     ASSOCIATED_TOKEN_PROGRAM: 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL',
-    SYSTEM_PROGRAM: '11111111111111111111111111111111'
+    SYSTEM_PROGRAM: '11111111111111111111111111111111',
+    BPF_LOADER: 'BPFLoader2111111111111111111111111111111111',
+    BPF_LOADER_DEPRECATED: 'BPFLoader1111111111111111111111111111111111',
+    BPF_UPGRADEABLE_LOADER: 'BPFLoaderUpgradeab1e11111111111111111111111',
+    LOADER_V4: 'LoaderV411111111111111111111111111111111111'
   },
 
   // DEX Programs
@@ -32,10 +36,36 @@ module.exports = {
     RAYDIUM_V4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
     ORCA: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM',
     JUPITER: 'JUP4Fb2cqiRUcaTHdrPC8h2gNsA2ETXiPDD33WcGuJB',
-    METEORA: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB'
+    METEORA: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB',
+    PUMP_SWAP: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'
   },
 
-  // Security Thresholds
+  // Raydium AMM v4 vaults are all held by this one authority PDA
+  RAYDIUM_AMM_AUTHORITY: '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1',
+
+  // pump.fun launchpad - curve figures are the program's launch defaults
+  PUMP_FUN: {
+    PROGRAM_ID: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+    BONDING_CURVE_SEED: 'bonding-curve',
+    TOKEN_DECIMALS: 6,
+    INITIAL_REAL_TOKEN_RESERVES: '793100000000000' // Tokens sold on the curve before it completes
+  },
+
+  // Jito block engine - bundles pay a SOL tip to one of these accounts
+  JITO: {
+    TIP_ACCOUNTS: [
+      '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+      'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+      'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+      'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+      'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+      'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+      'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+      '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+    ]
+  },
+
+  // Security Thresholds - holder and sniper limits seed the default risk policy (config/policy.js)
   SECURITY: {
     // Holder concentration thresholds
     MAX_HOLDER_PERCENTAGE: 50, // Max % for single holder
@@ -55,7 +85,7 @@ module.exports = {
     SUSPICIOUS_TX_THRESHOLD: 10 // Threshold for suspicious patterns
   },
 
-  // Risk Scores
+  // Risk Scores - legacy; scoring weights now come from the risk policy (config/policy.js)
   RISK_WEIGHTS: {
     MINT_AUTHORITY: 25,
     FREEZE_AUTHORITY: 20,
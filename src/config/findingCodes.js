@@ -0,0 +1,158 @@
+// src/config/findingCodes.js - STABLE FINDING CODES SHARED BY ALL ANALYZERS
+
+const SEVERITY = {
+  CRITICAL: 'CRITICAL',
+  HIGH: 'HIGH',
+  MEDIUM: 'MEDIUM',
+  LOW: 'LOW',
+  INFO: 'INFO'
+};
+
+const CATEGORY = {
+  ANALYSIS: 'ANALYSIS',
+  AUTHORITY: 'AUTHORITY',
+  PROGRAM: 'PROGRAM',
+  SUPPLY: 'SUPPLY',
+  METADATA: 'METADATA',
+  HOLDERS: 'HOLDERS',
+  HONEYPOT: 'HONEYPOT',
+  TRADING: 'TRADING',
+  MARKET: 'MARKET',
+  LIQUIDITY: 'LIQUIDITY',
+  SOCIAL: 'SOCIAL',
+  CUSTOM: 'CUSTOM' // Default for findings raised by rules (see analyzers/ruleEngine.js)
+};
+
+// Codes are part of the public output - never rename one, add a new code instead.
+// Messages are the default human text and may be overridden per finding.
+const FINDINGS = {
+  // Generic analysis state
+  CHECK_FAILED: { severity: SEVERITY.HIGH, category: CATEGORY.ANALYSIS, message: 'Check failed' },
+  CHECK_TIMED_OUT: { severity: SEVERITY.LOW, category: CATEGORY.ANALYSIS, message: 'Check timed out' },
+  CHECK_SKIPPED: { severity: SEVERITY.INFO, category: CATEGORY.ANALYSIS, message: 'Check skipped' },
+
+  // Authorities
+  MINT_AUTHORITY_ACTIVE: { severity: SEVERITY.CRITICAL, category: CATEGORY.AUTHORITY, message: '🔴 MINT AUTHORITY NOT REVOKED - Supply can be inflated!' },
+  FREEZE_AUTHORITY_ACTIVE: { severity: SEVERITY.CRITICAL, category: CATEGORY.AUTHORITY, message: '🔴 FREEZE AUTHORITY NOT REVOKED - Accounts can be frozen!' },
+  PERMANENT_DELEGATE_ACTIVE: { severity: SEVERITY.CRITICAL, category: CATEGORY.AUTHORITY, message: '🔴 PERMANENT DELEGATE SET - Any holder\'s tokens can be moved or burned!' },
+  DEFAULT_ACCOUNT_FROZEN: { severity: SEVERITY.CRITICAL, category: CATEGORY.AUTHORITY, message: '🔴 NEW ACCOUNTS START FROZEN - Buyers cannot move tokens until thawed!' },
+  NON_TRANSFERABLE_TOKEN: { severity: SEVERITY.CRITICAL, category: CATEGORY.AUTHORITY, message: '🔴 TOKEN IS NON-TRANSFERABLE - It can never be sold!' },
+  MINT_CLOSE_AUTHORITY_ACTIVE: { severity: SEVERITY.HIGH, category: CATEGORY.AUTHORITY, message: '🔴 MINT CLOSE AUTHORITY SET - Mint can be closed and its address re-created!' },
+  PAUSE_AUTHORITY_ACTIVE: { severity: SEVERITY.CRITICAL, category: CATEGORY.AUTHORITY, message: '🔴 PAUSE AUTHORITY SET - All transfers can be halted!' },
+  TOKEN_PAUSED: { severity: SEVERITY.CRITICAL, category: CATEGORY.HONEYPOT, message: '🔴 TOKEN IS PAUSED - No transfers are possible!' },
+  INTEREST_RATE_AUTHORITY_ACTIVE: { severity: SEVERITY.MEDIUM, category: CATEGORY.AUTHORITY, message: '🟡 Interest rate authority can change displayed balances' },
+  UI_MULTIPLIER_AUTHORITY_ACTIVE: { severity: SEVERITY.MEDIUM, category: CATEGORY.AUTHORITY, message: '🟡 UI multiplier authority can change displayed balances' },
+  UI_MULTIPLIER_CHANGE_SCHEDULED: { severity: SEVERITY.MEDIUM, category: CATEGORY.AUTHORITY, message: '🟡 Displayed balances are scheduled to change' },
+  AUTHORITY_ANALYSIS_FAILED: { severity: SEVERITY.MEDIUM, category: CATEGORY.AUTHORITY, message: 'Authority analysis failed' },
+
+  // Program ownership
+  ACCOUNT_NOT_FOUND: { severity: SEVERITY.CRITICAL, category: CATEGORY.PROGRAM, message: 'Token account not found' },
+  NON_STANDARD_PROGRAM: { severity: SEVERITY.HIGH, category: CATEGORY.PROGRAM, message: '🔴 Non-standard program owner' },
+  PROGRAM_ANALYSIS_FAILED: { severity: SEVERITY.MEDIUM, category: CATEGORY.PROGRAM, message: 'Program analysis failed' },
+
+  // Supply
+  ZERO_SUPPLY: { severity: SEVERITY.CRITICAL, category: CATEGORY.SUPPLY, message: 'Token has zero supply' },
+  EXTREMELY_HIGH_SUPPLY: { severity: SEVERITY.LOW, category: CATEGORY.SUPPLY, message: 'Extremely high token supply' },
+  UNUSUAL_DECIMALS: { severity: SEVERITY.LOW, category: CATEGORY.SUPPLY, message: 'Unusual decimals configuration' },
+  SUPPLY_ANALYSIS_FAILED: { severity: SEVERITY.MEDIUM, category: CATEGORY.SUPPLY, message: 'Supply analysis failed' },
+
+  // Metadata
+  METADATA_NAME_MISSING: { severity: SEVERITY.MEDIUM, category: CATEGORY.METADATA, message: '🟡 No token name found' },
+  METADATA_SYMBOL_MISSING: { severity: SEVERITY.MEDIUM, category: CATEGORY.METADATA, message: '🟡 No token symbol found' },
+  METAPLEX_METADATA_MISSING: { severity: SEVERITY.MEDIUM, category: CATEGORY.METADATA, message: '🟡 No Metaplex or Token-2022 metadata found' },
+  METADATA_NAME_CONTAINS_TEST: { severity: SEVERITY.LOW, category: CATEGORY.METADATA, message: 'Token name contains "test"' },
+  METADATA_SYMBOL_TOO_LONG: { severity: SEVERITY.LOW, category: CATEGORY.METADATA, message: 'Symbol is unusually long' },
+  METADATA_URI_INACCESSIBLE: { severity: SEVERITY.MEDIUM, category: CATEGORY.METADATA, message: 'Off-chain metadata URI is not accessible' },
+  METADATA_URI_MISSING: { severity: SEVERITY.LOW, category: CATEGORY.METADATA, message: 'No off-chain metadata URI provided' },
+  METADATA_CREATORS_UNVERIFIED: { severity: SEVERITY.LOW, category: CATEGORY.METADATA, message: 'No verified creators found' },
+  METADATA_CREATORS_MISSING: { severity: SEVERITY.LOW, category: CATEGORY.METADATA, message: 'No creators specified' },
+
+  // Holder distribution
+  HOLDER_DATA_UNAVAILABLE: { severity: SEVERITY.CRITICAL, category: CATEGORY.HOLDERS, message: 'No holder data available' },
+  TOP_HOLDER_MAJORITY: { severity: SEVERITY.CRITICAL, category: CATEGORY.HOLDERS, message: '🔴 Single holder controls majority of supply' },
+  TOP_HOLDER_HIGH: { severity: SEVERITY.MEDIUM, category: CATEGORY.HOLDERS, message: '🟡 Top holder controls a large share of supply' },
+  TOP10_CONCENTRATION_CRITICAL: { severity: SEVERITY.HIGH, category: CATEGORY.HOLDERS, message: '🔴 Top 10 holders control most of supply' },
+  TOP10_CONCENTRATION_HIGH: { severity: SEVERITY.MEDIUM, category: CATEGORY.HOLDERS, message: '🟡 Top 10 holders control a large share of supply' },
+  HHI_EXTREME: { severity: SEVERITY.HIGH, category: CATEGORY.HOLDERS, message: '🔴 Extremely concentrated holder distribution' },
+  HHI_HIGH: { severity: SEVERITY.MEDIUM, category: CATEGORY.HOLDERS, message: '🟡 Highly concentrated holder distribution' },
+  PROGRAM_CONTROLLED_HOLDERS: { severity: SEVERITY.LOW, category: CATEGORY.HOLDERS, message: '🟡 Program-controlled holder accounts detected' },
+
+  // Honeypot / trading
+  HONEYPOT_RISK_HIGH: { severity: SEVERITY.CRITICAL, category: CATEGORY.HONEYPOT, message: '🔴 HIGH HONEYPOT RISK' },
+  HONEYPOT_RISK_MODERATE: { severity: SEVERITY.MEDIUM, category: CATEGORY.HONEYPOT, message: '🟡 Moderate honeypot risk' },
+  CANNOT_BUY_TOKEN: { severity: SEVERITY.CRITICAL, category: CATEGORY.TRADING, message: 'No buy route available' },
+  CANNOT_SELL_TOKEN: { severity: SEVERITY.CRITICAL, category: CATEGORY.TRADING, message: '🔴 CANNOT SELL TOKENS - Confirmed honeypot!' },
+  NO_BUY_ROUTE: { severity: SEVERITY.CRITICAL, category: CATEGORY.TRADING, message: 'No buy route found on Jupiter' },
+  HIGH_BUY_IMPACT: { severity: SEVERITY.MEDIUM, category: CATEGORY.TRADING, message: 'High price impact on buy' },
+  HIGH_SELL_IMPACT: { severity: SEVERITY.HIGH, category: CATEGORY.TRADING, message: 'High price impact on sell' },
+  LIMITED_ROUTES: { severity: SEVERITY.LOW, category: CATEGORY.TRADING, message: 'Only a single swap route available' },
+  SIMULATION_FAILED: { severity: SEVERITY.MEDIUM, category: CATEGORY.TRADING, message: 'Swap simulation failed' },
+  TRADING_SIMULATION_ERROR: { severity: SEVERITY.MEDIUM, category: CATEGORY.TRADING, message: 'Trading simulation error' },
+
+  // Token-2022 transfer fees
+  TRANSFER_FEE_AUTHORITY_ACTIVE: { severity: SEVERITY.CRITICAL, category: CATEGORY.HONEYPOT, message: '🔴 Transfer fee authority active - fee can be raised at any time' },
+  TRANSFER_FEE_HIGH: { severity: SEVERITY.HIGH, category: CATEGORY.HONEYPOT, message: '🔴 High transfer fee' },
+  TRANSFER_FEE_MODERATE: { severity: SEVERITY.MEDIUM, category: CATEGORY.HONEYPOT, message: '🟡 Transfer fee charged on every transfer' },
+  TRANSFER_FEE_INCREASE_SCHEDULED: { severity: SEVERITY.HIGH, category: CATEGORY.HONEYPOT, message: '🔴 Transfer fee increase scheduled' },
+  WITHHELD_FEE_AUTHORITY_ACTIVE: { severity: SEVERITY.LOW, category: CATEGORY.AUTHORITY, message: '🟡 Withheld transfer fees can be withdrawn by a single authority' },
+  TRANSFER_FEE_ANALYSIS_FAILED: { severity: SEVERITY.MEDIUM, category: CATEGORY.HONEYPOT, message: 'Transfer fee analysis failed' },
+
+  // Token-2022 transfer hooks
+  TRANSFER_HOOK_PRESENT: { severity: SEVERITY.HIGH, category: CATEGORY.HONEYPOT, message: '🔴 Every transfer calls a transfer-hook program that can reject it' },
+  TRANSFER_HOOK_PROGRAM_MISSING: { severity: SEVERITY.CRITICAL, category: CATEGORY.HONEYPOT, message: '🔴 Transfer-hook program is not a deployed program - transfers will fail' },
+  TRANSFER_HOOK_UPGRADEABLE: { severity: SEVERITY.CRITICAL, category: CATEGORY.HONEYPOT, message: '🔴 Transfer-hook program is upgradeable - its code can start blocking sells' },
+  TRANSFER_HOOK_AUTHORITY_ACTIVE: { severity: SEVERITY.HIGH, category: CATEGORY.HONEYPOT, message: '🔴 Transfer-hook authority can swap the hook program' },
+  TRANSFER_HOOK_ANALYSIS_FAILED: { severity: SEVERITY.MEDIUM, category: CATEGORY.HONEYPOT, message: 'Transfer-hook analysis failed' },
+
+  // Token-2022 confidential transfers
+  CONFIDENTIAL_TRANSFERS_ENABLED: { severity: SEVERITY.MEDIUM, category: CATEGORY.HOLDERS, message: '🟡 Confidential transfers enabled - some balances are hidden' },
+  CONFIDENTIAL_SUPPLY_HIDDEN: { severity: SEVERITY.HIGH, category: CATEGORY.HOLDERS, message: '🔴 Large share of supply in confidential balances - holder concentration may be understated' },
+  CONFIDENTIAL_AUDITOR_KEY: { severity: SEVERITY.MEDIUM, category: CATEGORY.AUTHORITY, message: '🟡 Auditor key set - its holder can decrypt every confidential transfer' },
+  CONFIDENTIAL_MANUAL_APPROVAL: { severity: SEVERITY.MEDIUM, category: CATEGORY.AUTHORITY, message: '🟡 Confidential transfer authority must approve each account' },
+
+  // pump.fun bonding curve
+  BONDING_CURVE_ACTIVE: { severity: SEVERITY.LOW, category: CATEGORY.LIQUIDITY, message: '🟡 Trading on the pump.fun bonding curve - no DEX pool until it completes' },
+  BONDING_CURVE_COMPLETE: { severity: SEVERITY.INFO, category: CATEGORY.LIQUIDITY, message: 'pump.fun bonding curve complete - liquidity has migrated to a DEX pool' },
+
+  // pump.fun creator position
+  CREATOR_DUMPED: { severity: SEVERITY.CRITICAL, category: CATEGORY.HOLDERS, message: '🔴 CREATOR DUMPED - the token\'s creator has sold nearly all their tokens' },
+  CREATOR_SOLD: { severity: SEVERITY.MEDIUM, category: CATEGORY.HOLDERS, message: '🟡 Creator has sold part of their tokens' },
+  CREATOR_HOLDS_OVER_THRESHOLD: { severity: SEVERITY.HIGH, category: CATEGORY.HOLDERS, message: '🔴 Creator still holds a large share of supply' },
+  CREATOR_DISTRIBUTED_TOKENS: { severity: SEVERITY.HIGH, category: CATEGORY.HOLDERS, message: '🔴 Creator moved tokens to other wallets' },
+
+  // Creator deployment history
+  SERIAL_DEPLOYER: { severity: SEVERITY.HIGH, category: CATEGORY.HOLDERS, message: '🔴 Serial deployer - the creator has launched many tokens before this one' },
+  CREATOR_RUG_HISTORY: { severity: SEVERITY.CRITICAL, category: CATEGORY.HOLDERS, message: '🔴 Creator dumped most of their earlier launches' },
+
+  // pump.fun launch bundles and snipers
+  BUNDLED_LAUNCH_HIGH: { severity: SEVERITY.CRITICAL, category: CATEGORY.HOLDERS, message: '🔴 BUNDLED LAUNCH - coordinated wallets bought a large share of supply at launch' },
+  BUNDLED_LAUNCH: { severity: SEVERITY.MEDIUM, category: CATEGORY.HOLDERS, message: '🟡 Coordinated wallets bought at launch' },
+  CREATOR_FUNDED_BUYERS: { severity: SEVERITY.HIGH, category: CATEGORY.HOLDERS, message: '🔴 Creator funded wallets that bought at launch' },
+  SNIPER_SHARE_HIGH: { severity: SEVERITY.HIGH, category: CATEGORY.HOLDERS, message: '🔴 Large share of supply bought in the launch slots' },
+
+  // Market data
+  NO_PRICE_DATA: { severity: SEVERITY.LOW, category: CATEGORY.MARKET, message: 'No price data available' },
+  PRICE_FETCH_FAILED: { severity: SEVERITY.LOW, category: CATEGORY.MARKET, message: 'Failed to fetch price data' },
+
+  // Trade history
+  HIGH_FAILED_TRANSACTION_RATE: { severity: SEVERITY.MEDIUM, category: CATEGORY.TRADING, message: '🟡 High share of failed transactions - sells may be blocked' },
+
+  // Liquidity
+  NO_LIQUIDITY_POOLS: { severity: SEVERITY.CRITICAL, category: CATEGORY.LIQUIDITY, message: '🔴 No liquidity pools detected' },
+  LIQUIDITY_SECURITY_VERY_LOW: { severity: SEVERITY.CRITICAL, category: CATEGORY.LIQUIDITY, message: '🔴 Very low liquidity security (<30% locked/burned)' },
+  LIQUIDITY_SECURITY_MODERATE: { severity: SEVERITY.MEDIUM, category: CATEGORY.LIQUIDITY, message: '🟡 Moderate liquidity security - Some rug pull risk' },
+  SINGLE_LIQUIDITY_POOL: { severity: SEVERITY.LOW, category: CATEGORY.LIQUIDITY, message: '🟡 Single liquidity pool detected' },
+  LOW_LP_PROVIDER_COUNT: { severity: SEVERITY.LOW, category: CATEGORY.LIQUIDITY, message: '🟡 Low LP provider count - Centralization risk' },
+  LIQUIDITY_ANALYSIS_FAILED: { severity: SEVERITY.HIGH, category: CATEGORY.LIQUIDITY, message: 'Liquidity analysis failed' },
+
+  // Social presence
+  NO_METADATA_AVAILABLE: { severity: SEVERITY.MEDIUM, category: CATEGORY.SOCIAL, message: 'No metadata available for social analysis' },
+  METADATA_FETCH_FAILED: { severity: SEVERITY.LOW, category: CATEGORY.SOCIAL, message: 'Failed to fetch off-chain metadata' },
+  SUSPICIOUS_SOCIAL_CONTENT: { severity: SEVERITY.HIGH, category: CATEGORY.SOCIAL, message: 'Suspicious promotional content detected' }
+};
+
+module.exports = {
+  SEVERITY,
+  CATEGORY,
+  FINDINGS
+};
@@ -0,0 +1,424 @@
+// src/config/policy.js - RISK POLICY: EVERY WEIGHT, THRESHOLD AND BAND IN ONE PLACE
+//
+// A policy file (JSON or YAML) only lists what it changes; everything else
+// falls back to DEFAULT_POLICY below. Files are validated on load and each
+// analysis records the policy name and a hash of the effective settings.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SECURITY } = require('./constants');
+
+const DEFAULT_POLICY = {
+  name: 'default',
+
+  // Overrides for the weights checks register with (see checkRegistry.js)
+  checkWeights: {},
+
+  // Minimum risk score for each band; anything lower is MINIMAL
+  riskBands: {
+    CRITICAL: 80,
+    HIGH: 60,
+    MODERATE: 40,
+    LOW: 20
+  },
+
+  // Risk points added (or removed) by the liquidity security status
+  liquidityAdjustments: {
+    DANGEROUS: 30,
+    POOR: 20,
+    EXCELLENT: -15
+  },
+
+  // Health points deducted per blocking issue / warning in tokenAnalyzer checks
+  authorities: { issuePenalty: 40, warningPenalty: 10 },
+  metadata: { issuePenalty: 20, warningPenalty: 5 },
+  programOwnership: { nonStandardScore: 20 },
+
+  holders: {
+    topHolderCritical: SECURITY.MAX_HOLDER_PERCENTAGE,
+    topHolderHigh: 30,
+    top10Critical: SECURITY.TOP_10_HOLDER_THRESHOLD,
+    top10High: 60,
+    hhiExtreme: 0.25,
+    hhiHigh: 0.15,
+    penalties: {
+      topHolderMajority: 40,
+      topHolderHigh: 20,
+      top10Critical: 30,
+      top10High: 15,
+      hhiExtreme: 25,
+      hhiHigh: 15,
+      programHolders: 10
+    }
+  },
+
+  honeypot: {
+    // Blend of the detector's test risk scores into the honeypot probability
+    weights: {
+      authorityAnalysis: 0.3,
+      programAnalysis: 0.2,
+      supplyAnalysis: 0.15,
+      tradingSimulation: 0.35,
+      transferFee: 0.35, // Token-2022 mints with TransferFeeConfig only
+      transferHook: 0.35 // Token-2022 mints with TransferHook only
+    },
+    defaultWeight: 0.1,
+    authorityRisk: {
+      mintAuthority: 40,
+      freezeAuthority: 50,
+      permanentDelegate: 80,
+      defaultAccountFrozen: 70,
+      nonTransferable: 100,
+      mintCloseAuthority: 30,
+      pauseAuthority: 60,
+      paused: 100,
+      interestRateAuthority: 10,
+      uiMultiplierAuthority: 15,
+      uiMultiplierChange: 10
+    },
+    programRisk: { accountNotFound: 90, nonStandard: 60 },
+    supplyRisk: {
+      zeroSupply: 80,
+      extremelyHighSupply: 15,
+      extremelyHighSupplyThreshold: 1e12,
+      unusualDecimals: 10
+    },
+    tradingRisk: { cannotBuy: 80, cannotSell: 90, apiUnavailable: 20 },
+    transferFeeRisk: { authorityActive: 80, highFee: 70, moderateFee: 30, scheduledIncrease: 50 },
+    transferHookRisk: { present: 40, programMissing: 100, upgradeable: 50, authorityActive: 40 },
+    // Fee levels in basis points (100 = 1%) checked against the current and scheduled fee
+    transferFee: { highFeeBps: 1000, moderateFeeBps: 100 },
+    // Price-impact heuristics applied to the Jupiter buy/sell quotes
+    trading: {
+      highBuyImpactPct: 10,
+      highSellImpactPct: 15,
+      buyImpactRisk: 20,
+      sellImpactRisk: 30,
+      limitedRoutesRisk: 10,
+      cannotSellRisk: 95
+    },
+    // Honeypot probability (%) that raises a HONEYPOT_RISK_* finding
+    highRiskProbability: 70,
+    moderateRiskProbability: 40,
+    verdicts: {
+      CONFIRMED_HONEYPOT: 80,
+      LIKELY_HONEYPOT: 60,
+      SUSPICIOUS: 40,
+      CAUTION_ADVISED: 20
+    }
+  },
+
+  liquidity: {
+    // Minimum secured (locked + burned) LP percentage per status; below POOR is DANGEROUS
+    securityBands: {
+      EXCELLENT: 95,
+      GOOD: 80,
+      MODERATE: 60,
+      POOR: 30
+    },
+    veryLowSecurity: 30,
+    moderateSecurity: 60,
+    minLpProviders: 3,
+    estimatedSecuredPercentage: 50
+  },
+
+  // Failed mint transactions are often sells a honeypot rejected
+  tradeHistory: {
+    minTransactions: 20,  // Below this the failure rate is not meaningful
+    highFailureRate: 50   // Percentage of failed transactions that raises a finding
+  },
+
+  // pump.fun creator position (creatorPosition check)
+  creator: {
+    holdingHigh: 10,     // Percentage of supply the creator still holds that raises a finding
+    dumpedSoldShare: 90, // Percentage of the creator's tokens sold that counts as a dump
+    penalties: {
+      dumped: 40,
+      sold: 15,
+      holdingHigh: 25,
+      distributed: 30
+    }
+  },
+
+  // Creator's earlier launches (creatorReputation check)
+  reputation: {
+    serialDeployerLaunches: 3, // Earlier launches by the same creator that raise a finding
+    rugRateHigh: 50,           // Percentage of judged earlier launches the creator dumped
+    minJudgedLaunches: 2,      // Judged launches needed before the rug rate counts
+    deadAfterHours: 24,        // An unfinished curve this old is dead...
+    deadCurveSol: 1,           // ...once its real SOL reserves are below this
+    penalties: {
+      serialDeployer: 30,
+      rugHistory: 40
+    }
+  },
+
+  // Early buys around a pump.fun launch (bundle check)
+  bundle: {
+    launchSlots: 2,              // Slots after the create that still count as the launch
+    fundingLookbackSlots: 9000,  // How far before launch (~1 hour) a SOL transfer counts as funding
+    sniperShareHigh: SECURITY.MAX_SNIPER_PERCENTAGE, // Percentage of supply bought in the launch window that raises a finding
+    bundledShareHigh: 10,        // Percentage of supply bought by bundled wallets that counts as critical
+    penalties: {
+      bundledHigh: 40,
+      bundled: 20,
+      sniperShare: 25,
+      creatorFunded: 30
+    }
+  },
+
+  // Token-2022 confidential transfers hide balances from holder analysis
+  confidential: {
+    hiddenSupplyHigh: 10,           // Percentage of supply in confidential balances that raises a finding
+    unknownVisibilityConfidence: 50 // Confidence (%) when public balances cannot be summed
+  },
+
+  social: {
+    baseScore: 50,
+    websiteBonus: 10,
+    twitterBonus: 10,
+    telegramBonus: 5,
+    discordBonus: 5,
+    suspiciousPenalty: 20
+  }
+};
+
+// Maps whose keys are not fixed by DEFAULT_POLICY (custom checks add their own)
+const OPEN_MAPS = new Set(['checkWeights']);
+
+// [path, keys] pairs that must be strictly descending
+const DESCENDING = [
+  ['riskBands', ['CRITICAL', 'HIGH', 'MODERATE', 'LOW']],
+  ['honeypot.verdicts', ['CONFIRMED_HONEYPOT', 'LIKELY_HONEYPOT', 'SUSPICIOUS', 'CAUTION_ADVISED']],
+  ['liquidity.securityBands', ['EXCELLENT', 'GOOD', 'MODERATE', 'POOR']],
+  ['holders', ['topHolderCritical', 'topHolderHigh']],
+  ['holders', ['top10Critical', 'top10High']],
+  ['holders', ['hhiExtreme', 'hhiHigh']],
+  ['honeypot', ['highRiskProbability', 'moderateRiskProbability']],
+  ['honeypot.transferFee', ['highFeeBps', 'moderateFeeBps']],
+  ['liquidity', ['moderateSecurity', 'veryLowSecurity']]
+];
+
+// Sections holding 0-100 scores or percentages
+const PERCENT_SECTIONS = [
+  'riskBands',
+  'honeypot.verdicts',
+  'liquidity.securityBands',
+  'honeypot.authorityRisk',
+  'honeypot.programRisk',
+  'honeypot.tradingRisk',
+  'honeypot.transferFeeRisk',
+  'honeypot.transferHookRisk',
+  'confidential'
+];
+
+// Sections where negative numbers make no sense
+const NON_NEGATIVE_SECTIONS = [
+  'checkWeights',
+  'honeypot.weights',
+  'holders.penalties',
+  'honeypot.transferFee',
+  'authorities',
+  'metadata',
+  'tradeHistory',
+  'confidential',
+  'creator.penalties',
+  'reputation',
+  'reputation.penalties',
+  'bundle',
+  'bundle.penalties'
+];
+
+class PolicyManager {
+  constructor() {
+    this.defaultPolicy = this.create({}, 'built-in');
+    this.cache = new Map();
+  }
+
+  // Accepts nothing (default), a file path, an inline object or an already
+  // resolved policy, so callers can pass whatever they were given
+  resolve(selection) {
+    if (!selection) return this.defaultPolicy;
+
+    if (typeof selection === 'string') {
+      const filePath = path.resolve(selection);
+      if (!this.cache.has(filePath)) {
+        this.cache.set(filePath, this.load(filePath));
+      }
+      return this.cache.get(filePath);
+    }
+
+    if (Object.isFrozen(selection) && selection.hash) return selection;
+
+    return this.create(selection, 'inline');
+  }
+
+  load(filePath) {
+    let raw;
+    try {
+      raw = this.parse(fs.readFileSync(filePath, 'utf8'), filePath);
+    } catch (error) {
+      throw new Error(`Failed to load risk policy ${filePath}: ${error.message}`);
+    }
+
+    return this.create({
+      name: path.basename(filePath, path.extname(filePath)),
+      ...raw
+    }, filePath);
+  }
+
+  parse(text, filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.yaml' || extension === '.yml') {
+      let yaml;
+      try {
+        yaml = require('js-yaml');
+      } catch {
+        throw new Error('YAML policies need the js-yaml package (npm install js-yaml)');
+      }
+      return yaml.load(text) || {};
+    }
+
+    if (extension === '.json') {
+      return JSON.parse(text);
+    }
+
+    throw new Error(`Unsupported policy format: ${extension || 'no extension'} (use .json, .yaml or .yml)`);
+  }
+
+  create(overrides, source) {
+    if (!this.isPlainObject(overrides)) {
+      throw new Error('Risk policy must be an object');
+    }
+
+    const { name = DEFAULT_POLICY.name, ...settings } = overrides;
+    const merged = this.merge(DEFAULT_POLICY, settings);
+    delete merged.name;
+
+    const errors = this.validate(settings, merged);
+    if (errors.length > 0) {
+      throw new Error(`Invalid risk policy "${name}":\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return this.freeze({
+      ...merged,
+      name: String(name),
+      source,
+      hash: this.hash(merged)
+    });
+  }
+
+  // `settings` is checked for unknown keys, `merged` for types and ranges
+  validate(settings, merged) {
+    const errors = [];
+
+    this.checkShape(settings, DEFAULT_POLICY, '', errors);
+    if (errors.length > 0) return errors;
+
+    NON_NEGATIVE_SECTIONS.forEach(section => {
+      Object.entries(this.get(merged, section)).forEach(([key, value]) => {
+        if (value < 0) errors.push(`${section}.${key} must not be negative (got ${value})`);
+      });
+    });
+
+    PERCENT_SECTIONS.forEach(section => {
+      Object.entries(this.get(merged, section)).forEach(([key, value]) => {
+        if (value < 0 || value > 100) errors.push(`${section}.${key} must be between 0 and 100 (got ${value})`);
+      });
+    });
+
+    DESCENDING.forEach(([section, keys]) => {
+      const values = this.get(merged, section);
+      for (let i = 1; i < keys.length; i++) {
+        if (!(values[keys[i - 1]] > values[keys[i]])) {
+          errors.push(`${section}.${keys[i - 1]} must be greater than ${section}.${keys[i]}`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  checkShape(value, template, prefix, errors) {
+    Object.entries(value).forEach(([key, entry]) => {
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+
+      if (OPEN_MAPS.has(keyPath)) {
+        if (!this.isPlainObject(entry)) {
+          errors.push(`${keyPath} must be an object`);
+          return;
+        }
+        Object.entries(entry).forEach(([id, weight]) => {
+          if (!Number.isFinite(weight)) errors.push(`${keyPath}.${id} must be a number`);
+        });
+        return;
+      }
+
+      if (!(key in template)) {
+        errors.push(`Unknown setting: ${keyPath}`);
+        return;
+      }
+
+      const expected = template[key];
+      if (this.isPlainObject(expected)) {
+        if (!this.isPlainObject(entry)) {
+          errors.push(`${keyPath} must be an object`);
+        } else {
+          this.checkShape(entry, expected, keyPath, errors);
+        }
+      } else if (!Number.isFinite(entry)) {
+        errors.push(`${keyPath} must be a number (got ${JSON.stringify(entry)})`);
+      }
+    });
+  }
+
+  // Stable across key order, so equal settings always hash the same
+  hash(settings) {
+    return crypto.createHash('sha256').update(this.canonicalize(settings)).digest('hex');
+  }
+
+  canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalize(item)).join(',')}]`;
+    }
+    if (this.isPlainObject(value)) {
+      return `{${Object.keys(value).sort()
+        .map(key => `${JSON.stringify(key)}:${this.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  // What gets stored on every analysis result
+  describe(policy) {
+    return { name: policy.name, hash: policy.hash };
+  }
+
+  merge(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+      merged[key] = this.isPlainObject(value) && this.isPlainObject(base[key])
+        ? this.merge(base[key], value)
+        : value;
+    });
+    return merged;
+  }
+
+  freeze(object) {
+    Object.values(object).forEach(value => {
+      if (value && typeof value === 'object') this.freeze(value);
+    });
+    return Object.freeze(object);
+  }
+
+  get(object, keyPath) {
+    return keyPath.split('.').reduce((node, key) => node?.[key], object) || {};
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = new PolicyManager();
@@ -0,0 +1,306 @@
+// src/config/profiles.js - NAMED ANALYSIS PROFILES (WHICH CHECKS, HOW LONG, HOW DEEP)
+//
+// A profile picks the checks an analysis runs and how much work each may do:
+// {
+//   name: 'myProfile',
+//   description: 'What it is for',
+//   extends: 'standard',              // built-in or defined profile to start from
+//   checks: ['authorities'],          // base set to run (omit for the registry defaults)
+//   enable: ['social'],               // added to the base set
+//   disable: ['marketData'],          // removed from the base set
+//   timeouts: { holders: 30000 },     // per-check timeout overrides (ms)
+//   deadlineMs: 60000,                // overall budget for the analysis
+//   depth: { holders: { inspect: 20 } }
+// }
+//
+// Options passed to analyzeToken win over the profile, so callers can still
+// flip a single include* toggle or set their own deadline.
+const fs = require('fs');
+const path = require('path');
+const policyManager = require('./policy');
+
+// getTokenLargestAccounts never returns more than 20 accounts
+const MAX_HOLDERS_INSPECTED = 20;
+// getSignaturesForAddress returns at most 1000 signatures per call
+const MAX_SIGNATURES = 1000;
+// Pages of history walked back (mint to its launch, creator to earlier launches)
+const MAX_HISTORY_PAGES = 50;
+
+const DEFAULT_DEPTH = {
+  holders: {
+    inspect: 10, // Largest accounts included in the distribution
+    detailed: 3  // Of those, how many get an owner lookup
+  },
+  tradeHistory: {
+    signatures: 100 // Most recent mint transactions examined
+  },
+  launch: {
+    signatures: 1000, // Mint signatures per page while walking back to its creation
+    pages: 10         // Pages walked before giving up on finding the creation
+  },
+  creator: {
+    signatures: 100,  // Most recent creator signatures listed
+    transactions: 20  // Of those since launch, how many are fetched and decoded
+  },
+  reputation: {
+    signatures: 1000,   // Creator signatures per page
+    pages: 3,           // Pages of creator history walked back
+    transactions: 100,  // Launch and sell transactions kept from the creator's history
+    fetches: 200,       // Creator transactions fetched while looking for them
+    launches: 25        // Most recent launches judged
+  },
+  bundle: {
+    signatures: 1000,      // Mint signatures per page while walking back to the launch
+    pages: 3,              // Pages walked before giving up on older launches
+    transactions: 50,      // Launch-window transactions fetched and decoded
+    wallets: 10,           // Early buyers traced back to their funding
+    walletSignatures: 100, // Buyer signatures per page while walking back to before launch
+    walletPages: 5,        // Pages walked per buyer before giving up on its funding
+    funding: 5             // Of those before launch, how many are fetched per buyer
+  }
+};
+
+const DEPTH_LIMITS = {
+  'holders.inspect': MAX_HOLDERS_INSPECTED,
+  'holders.detailed': MAX_HOLDERS_INSPECTED,
+  'tradeHistory.signatures': MAX_SIGNATURES,
+  'creator.signatures': MAX_SIGNATURES,
+  'creator.transactions': MAX_SIGNATURES,
+  'launch.signatures': MAX_SIGNATURES,
+  'launch.pages': MAX_HISTORY_PAGES,
+  'reputation.signatures': MAX_SIGNATURES,
+  'reputation.pages': MAX_HISTORY_PAGES,
+  'reputation.transactions': MAX_SIGNATURES,
+  'reputation.fetches': MAX_HISTORY_PAGES * MAX_SIGNATURES,
+  'reputation.launches': MAX_SIGNATURES,
+  'bundle.signatures': MAX_SIGNATURES,
+  'bundle.pages': MAX_HISTORY_PAGES,
+  'bundle.transactions': MAX_SIGNATURES,
+  'bundle.wallets': MAX_SIGNATURES,
+  'bundle.walletSignatures': MAX_SIGNATURES,
+  'bundle.walletPages': MAX_HISTORY_PAGES,
+  'bundle.funding': MAX_SIGNATURES
+};
+
+const BUILT_IN_PROFILES = {
+  quick: {
+    description: 'Mint/freeze authorities and program owner only',
+    checks: ['authorities', 'programOwnership'],
+    deadlineMs: 15000
+  },
+  standard: {
+    description: 'Every check enabled by default'
+  },
+  // What the pump.fun monitors run on every new token
+  monitor: {
+    description: 'Standard without market data - new tokens have no price yet',
+    disable: ['marketData']
+  },
+  // Slower than monitor - for pump.fun launches worth a closer look
+  pump: {
+    description: 'Monitor plus launch bundles and the creator\'s earlier launches',
+    extends: 'monitor',
+    enable: ['launchBundle', 'creatorReputation'],
+    deadlineMs: 90000
+  },
+  deep: {
+    description: 'Standard plus social presence, trade history, launch bundles and creator reputation, with deeper holder inspection',
+    enable: ['social', 'tradeHistory', 'launchBundle', 'creatorReputation'],
+    timeouts: {
+      metadata: 10000,
+      holders: 30000,
+      honeypot: 30000,
+      social: 15000
+    },
+    depth: {
+      holders: { inspect: MAX_HOLDERS_INSPECTED, detailed: 10 },
+      tradeHistory: { signatures: MAX_SIGNATURES },
+      launch: { pages: MAX_HISTORY_PAGES },
+      creator: { signatures: MAX_SIGNATURES, transactions: 100 },
+      reputation: { pages: 20, transactions: 500, launches: 100 },
+      bundle: { pages: 10, transactions: 200, wallets: 50, funding: 10 }
+    }
+  }
+};
+
+const PROFILE_KEYS = ['name', 'description', 'extends', 'checks', 'enable', 'disable', 'timeouts', 'deadlineMs', 'depth'];
+const CHECK_LISTS = ['checks', 'enable', 'disable'];
+
+class ProfileManager {
+  constructor() {
+    this.profiles = new Map();
+    this.cache = new Map();
+
+    Object.entries(BUILT_IN_PROFILES).forEach(([name, definition]) => {
+      this.define(name, definition, 'built-in');
+    });
+    this.defaultProfile = this.profiles.get('standard');
+  }
+
+  // Makes a profile selectable by name, e.g. from code that embeds the validator
+  define(name, definition, source = 'inline') {
+    const profile = this.create({ ...definition, name }, source);
+    this.profiles.set(name, profile);
+    return profile;
+  }
+
+  list() {
+    return [...this.profiles.values()];
+  }
+
+  // Accepts nothing (standard), a profile name, a file path, an inline
+  // object or an already resolved profile
+  resolve(selection) {
+    if (!selection) return this.defaultProfile;
+
+    if (typeof selection === 'string') {
+      if (this.profiles.has(selection)) return this.profiles.get(selection);
+
+      const filePath = path.resolve(selection);
+      if (!fs.existsSync(filePath)) {
+        throw new Error(
+          `Unknown analysis profile: ${selection} (use ${[...this.profiles.keys()].join(', ')} or a profile file)`
+        );
+      }
+      if (!this.cache.has(filePath)) {
+        this.cache.set(filePath, this.load(filePath));
+      }
+      return this.cache.get(filePath);
+    }
+
+    if (Object.isFrozen(selection) && selection.source) return selection;
+
+    return this.create(selection, 'inline');
+  }
+
+  load(filePath) {
+    let raw;
+    try {
+      raw = policyManager.parse(fs.readFileSync(filePath, 'utf8'), filePath);
+    } catch (error) {
+      throw new Error(`Failed to load analysis profile ${filePath}: ${error.message}`);
+    }
+
+    return this.create({
+      name: path.basename(filePath, path.extname(filePath)),
+      ...raw
+    }, filePath);
+  }
+
+  create(definition, source) {
+    if (!policyManager.isPlainObject(definition)) {
+      throw new Error('Analysis profile must be an object');
+    }
+
+    const name = String(definition.name || 'custom');
+    const errors = this.validate(definition);
+    if (errors.length > 0) {
+      throw new Error(`Invalid analysis profile "${name}":\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const base = definition.extends ? this.resolve(definition.extends) : null;
+    const merged = {
+      description: definition.description ?? base?.description ?? '',
+      checks: definition.checks ?? base?.checks ?? null,
+      enable: definition.enable ?? base?.enable ?? [],
+      disable: definition.disable ?? base?.disable ?? [],
+      timeouts: { ...base?.timeouts, ...definition.timeouts },
+      deadlineMs: definition.deadlineMs ?? base?.deadlineMs ?? null,
+      depth: policyManager.merge(base?.depth || DEFAULT_DEPTH, definition.depth || {})
+    };
+
+    return policyManager.freeze({ name, source, ...merged });
+  }
+
+  validate(definition) {
+    const errors = [];
+
+    Object.keys(definition).forEach(key => {
+      if (!PROFILE_KEYS.includes(key)) errors.push(`Unknown setting: ${key}`);
+    });
+
+    if (definition.extends !== undefined && typeof definition.extends !== 'string') {
+      errors.push('extends must be a profile name or file');
+    }
+
+    CHECK_LISTS.forEach(key => {
+      const list = definition[key];
+      if (list !== undefined && (!Array.isArray(list) || list.some(id => typeof id !== 'string'))) {
+        errors.push(`${key} must be a list of check ids`);
+      }
+    });
+
+    if (definition.deadlineMs !== undefined && !this.isPositiveInteger(definition.deadlineMs)) {
+      errors.push(`deadlineMs must be a positive number of milliseconds (got ${JSON.stringify(definition.deadlineMs)})`);
+    }
+
+    if (definition.timeouts !== undefined) {
+      if (!policyManager.isPlainObject(definition.timeouts)) {
+        errors.push('timeouts must map check ids to milliseconds');
+      } else {
+        Object.entries(definition.timeouts).forEach(([id, ms]) => {
+          if (!this.isPositiveInteger(ms)) errors.push(`timeouts.${id} must be a positive number of milliseconds`);
+        });
+      }
+    }
+
+    if (definition.depth !== undefined) {
+      this.validateDepth(definition.depth, errors);
+    }
+
+    return errors;
+  }
+
+  validateDepth(depth, errors) {
+    if (!policyManager.isPlainObject(depth)) {
+      errors.push('depth must be an object');
+      return;
+    }
+
+    Object.entries(depth).forEach(([section, values]) => {
+      if (!DEFAULT_DEPTH[section]) {
+        errors.push(`Unknown setting: depth.${section}`);
+        return;
+      }
+      if (!policyManager.isPlainObject(values)) {
+        errors.push(`depth.${section} must be an object`);
+        return;
+      }
+      Object.entries(values).forEach(([key, value]) => {
+        const keyPath = `${section}.${key}`;
+        if (!(key in DEFAULT_DEPTH[section])) {
+          errors.push(`Unknown setting: depth.${keyPath}`);
+        } else if (!this.isPositiveInteger(value) || value > DEPTH_LIMITS[keyPath]) {
+          errors.push(`depth.${keyPath} must be a whole number from 1 to ${DEPTH_LIMITS[keyPath]}`);
+        }
+      });
+    });
+  }
+
+  // Turns a profile into analyzeToken options underneath the caller's own
+  apply(profile, options = {}) {
+    const applied = {
+      ...options,
+      depth: policyManager.merge(profile.depth, options.depth || {}),
+      timeouts: { ...profile.timeouts, ...options.timeouts }
+    };
+
+    if (profile.checks && !options.checks) applied.checks = [...profile.checks];
+    // Kept apart from the caller's enableChecks/disableChecks, which - like the
+    // include* toggles - still override the profile (see checkRegistry.isEnabled)
+    if (profile.enable.length > 0 || profile.disable.length > 0) {
+      applied.profileChecks = { enable: [...profile.enable], disable: [...profile.disable] };
+    }
+    if (profile.deadlineMs && options.deadlineMs === undefined) {
+      applied.deadlineMs = profile.deadlineMs;
+    }
+
+    return applied;
+  }
+
+  isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+  }
+}
+
+module.exports = new ProfileManager();
@@ -1,6 +1,7 @@
 // src/config/rateLimit.js
 const Bottleneck = require('bottleneck');
 const { RATE_LIMITS } = require('./constants');
+const abort = require('../utils/abort');
 
 class RateLimitManager {
   constructor() {
@@ -29,6 +30,9 @@ class RateLimitManager {
 
   setupErrorHandling() {
     this.mainLimiter.on('failed', (error, jobInfo) => {
+      // Cancelled work is never retried
+      if (abort.isAbortError(error)) return;
+
       const retryDelay = RATE_LIMITS.RETRY_DELAY * Math.pow(2, jobInfo.retryCount || 0);
       console.warn(`Rate limiter job failed: ${error.message}. Retrying in ${retryDelay}ms`);
       if ((jobInfo.retryCount || 0) < RATE_LIMITS.RETRY_ATTEMPTS) {
@@ -41,18 +45,27 @@ class RateLimitManager {
     });
   }
 
-  async executeRequest(requestFunc, credits = 1) {
+  // `signal` cancels the job: a queued job never runs once it has aborted and a
+  // running one is abandoned. Credits are only charged for completed requests.
+  async executeRequest(requestFunc, credits = 1, { signal } = {}) {
+    abort.throwIfAborted(signal);
+
     // Check credit limit
     if (this.creditsUsed + credits > this.maxCredits) {
       throw new Error(`Credit limit exceeded. Used: ${this.creditsUsed}, Required: ${credits}, Max: ${this.maxCredits}`);
     }
 
     try {
-      const result = await this.mainLimiter.schedule({ priority: 5, weight: credits }, requestFunc);
+      const result = await this.mainLimiter.schedule({ priority: 5, weight: credits }, () => {
+        abort.throwIfAborted(signal);
+        return abort.race(requestFunc(signal), signal);
+      });
       this.creditsUsed += credits;
       return result;
     } catch (error) {
-      console.error(`Rate limited request failed: ${error.message}`);
+      if (!abort.isAbortError(error)) {
+        console.error(`Rate limited request failed: ${error.message}`);
+      }
       throw error;
     }
   }
@@ -0,0 +1,270 @@
+// src/config/resultSchema.js - JSON SCHEMA FOR tokenAnalyzer.analyzeToken RESULTS
+//
+// Kept as a module (not a .json file) so it can reuse the finding catalog.
+// `node src/index.js schema` prints it as JSON for publishing.
+//
+// Bump SCHEMA_VERSION on any breaking change and add a step to
+// utils/resultFormat.js that upgrades results stored under the old version.
+const { SEVERITY, CATEGORY } = require('./findingCodes');
+
+const SCHEMA_VERSION = 2;
+
+const RISK_LEVELS = ['CRITICAL', 'HIGH', 'MODERATE', 'LOW', 'MINIMAL'];
+const CHECK_STATUSES = ['SCORED', 'SKIPPED', 'TIMED_OUT', 'FAILED', 'UNSCORED'];
+const LIQUIDITY_STATUSES = ['UNKNOWN', 'NO_LIQUIDITY', 'EXCELLENT', 'GOOD', 'MODERATE', 'POOR', 'DANGEROUS', 'ERROR'];
+
+const riskScore = { type: 'number', minimum: 0, maximum: 100 };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+const RESULT_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:solana-token-validator:analysis-result:${SCHEMA_VERSION}`,
+  title: 'Token analysis result',
+  type: 'object',
+  required: [
+    'schemaVersion',
+    'mintAddress',
+    'timestamp',
+    'policy',
+    'checks',
+    'riskScore',
+    'riskLevel',
+    'safetyLevel',
+    'recommendation',
+    'recommendations',
+    'findings'
+  ],
+  additionalProperties: false,
+  properties: {
+    schemaVersion: { const: SCHEMA_VERSION },
+    mintAddress: { type: 'string', minLength: 32 },
+    timestamp: { type: 'string', format: 'date-time' },
+    // What the caller asked for - the profile, policy and rules themselves
+    // are reported by name (profile, policy, rules.source)
+    options: {
+      type: 'object',
+      required: ['profile', 'rules'],
+      additionalProperties: false,
+      properties: {
+        profile: { type: 'string' },
+        rules: { type: 'string' },
+        toggles: { type: 'object', additionalProperties: { type: 'boolean' } },
+        checks: stringList,
+        enableChecks: stringList,
+        disableChecks: stringList,
+        deadlineMs: { type: 'number', minimum: 0 }
+      }
+    },
+    profile: { type: 'string' },
+    policy: {
+      type: 'object',
+      required: ['name', 'hash'],
+      properties: {
+        name: { type: 'string' },
+        hash: { type: ['string', 'null'] }
+      }
+    },
+    checks: {
+      type: 'object',
+      properties: {
+        honeypot: { $ref: '#/$defs/honeypotCheck' },
+        liquidity: { $ref: '#/$defs/liquidity' }
+      },
+      additionalProperties: { $ref: '#/$defs/checkResult' }
+    },
+    // Same object as checks.liquidity when the liquidity check ran
+    liquidity: { $ref: '#/$defs/liquidity' },
+    riskScore,
+    enhancedRiskScore: riskScore,
+    riskLevel: { enum: RISK_LEVELS },
+    safetyLevel: { type: 'string' },
+    recommendation: { type: 'string' },
+    recommendations: stringList,
+    findings: { type: 'array', items: { $ref: '#/$defs/finding' } },
+    // Absent on results migrated from before score attribution existed
+    attribution: { $ref: '#/$defs/attribution' },
+    rules: {
+      type: 'object',
+      required: ['source', 'evaluated', 'fired'],
+      properties: {
+        source: { type: 'string' },
+        evaluated: { type: 'integer', minimum: 0 },
+        fired: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'severity', 'facts'],
+            properties: {
+              id: { type: 'string' },
+              severity: { enum: Object.values(SEVERITY) },
+              facts: { type: 'object' }
+            }
+          }
+        }
+      }
+    },
+    rpcUsage: {
+      type: 'object',
+      required: ['requests', 'cacheHits'],
+      properties: {
+        requests: { type: 'integer', minimum: 0 },
+        cacheHits: { type: 'integer', minimum: 0 }
+      }
+    },
+    aborted: {
+      type: 'object',
+      required: ['reason'],
+      properties: { reason: { type: 'string' } }
+    }
+  },
+  $defs: {
+    finding: {
+      type: 'object',
+      required: ['code', 'severity', 'category', 'message', 'evidence'],
+      properties: {
+        code: { type: 'string' },
+        severity: { enum: Object.values(SEVERITY) },
+        // Custom codes registered through findings.define may add categories
+        category: { type: 'string', examples: Object.values(CATEGORY) },
+        message: { type: 'string' },
+        evidence: {
+          type: 'object',
+          required: ['accounts', 'signatures'],
+          properties: {
+            accounts: stringList,
+            signatures: stringList
+          }
+        }
+      }
+    },
+    // Shape shared by every check; checks add their own fields on top
+    checkResult: {
+      type: 'object',
+      required: ['findings'],
+      properties: {
+        score: { type: 'number', minimum: 0, maximum: 100 },
+        skipped: { type: 'boolean' },
+        findings: { type: 'array', items: { $ref: '#/$defs/finding' } },
+        issues: stringList,
+        warnings: stringList
+      }
+    },
+    honeypotCheck: {
+      allOf: [
+        { $ref: '#/$defs/checkResult' },
+        {
+          type: 'object',
+          properties: {
+            verdict: { type: 'string' },
+            honeypotProbability: {
+              type: 'object',
+              required: ['overall'],
+              properties: {
+                overall: { type: 'number', minimum: 0, maximum: 100 },
+                confidence: { type: 'number' }
+              }
+            },
+            tests: {
+              type: 'object',
+              properties: {
+                authorityAnalysis: { $ref: '#/$defs/honeypotTest' },
+                programAnalysis: { $ref: '#/$defs/honeypotTest' },
+                supplyAnalysis: { $ref: '#/$defs/honeypotTest' },
+                tradingSimulation: { $ref: '#/$defs/tradingSimulation' }
+              },
+              additionalProperties: { $ref: '#/$defs/honeypotTest' }
+            }
+          }
+        }
+      ]
+    },
+    honeypotTest: {
+      type: 'object',
+      properties: {
+        riskScore: { type: 'number' },
+        severity: { type: 'string' },
+        findings: { type: 'array', items: { $ref: '#/$defs/finding' } }
+      }
+    },
+    tradingSimulation: {
+      allOf: [
+        { $ref: '#/$defs/honeypotTest' },
+        {
+          type: 'object',
+          properties: {
+            simulation: { enum: ['COMPLETED', 'SKIPPED', 'FAILED'] },
+            canBuy: { type: 'boolean' },
+            canSell: { type: 'boolean' }
+          }
+        }
+      ]
+    },
+    liquidity: {
+      allOf: [
+        { $ref: '#/$defs/checkResult' },
+        {
+          type: 'object',
+          properties: {
+            overallStatus: { enum: LIQUIDITY_STATUSES },
+            securedPercentage: { type: 'number' },
+            pools: { type: 'array', items: { type: 'object' } },
+            riskFactors: stringList,
+            lpProviders: { type: 'integer', minimum: 0 }
+          }
+        }
+      ]
+    },
+    attribution: {
+      type: 'object',
+      required: ['riskScore', 'totalWeight', 'fallback', 'checks', 'adjustments', 'finalScore', 'band'],
+      properties: {
+        riskScore,
+        totalWeight: { type: 'number', minimum: 0 },
+        fallback: { type: 'boolean' },
+        checks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id', 'status', 'rawScore', 'weight', 'counted', 'weightShare', 'contribution', 'findings'],
+            properties: {
+              id: { type: 'string' },
+              status: { enum: CHECK_STATUSES },
+              rawScore: { type: ['number', 'null'] },
+              weight: { type: 'number', minimum: 0 },
+              counted: { type: 'boolean' },
+              weightShare: { type: 'number', minimum: 0, maximum: 1 },
+              contribution: { type: 'number' },
+              findings: stringList
+            }
+          }
+        },
+        adjustments: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['source', 'points'],
+            properties: {
+              source: { type: 'string' },
+              status: { type: 'string' },
+              points: { type: 'number' }
+            }
+          }
+        },
+        finalScore: riskScore,
+        band: {
+          type: 'object',
+          required: ['level', 'min'],
+          properties: {
+            level: { enum: RISK_LEVELS },
+            min: { type: 'number' }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  SCHEMA_VERSION,
+  RESULT_SCHEMA
+};
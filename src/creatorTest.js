@@ -0,0 +1,160 @@
+// src/creatorTest.js - CREATOR LAUNCH LOOKUP AND SELL CLASSIFICATION
+//
+// Offline: solanaService is served from fixtures, so creatorAnalyzer runs
+// against a known history without an RPC.
+const assert = require('assert');
+const creatorAnalyzer = require('./analyzers/creatorAnalyzer');
+const AnalysisContext = require('./analyzers/analysisContext');
+const profileManager = require('./config/profiles');
+const fixtures = require('./testFixtures');
+const testRunner = require('./testRunner');
+const { PUMP_FUN, PROGRAMS, DEX_PROGRAMS, TOKENS } = require('./config/constants');
+
+const MINT = fixtures.key(1);
+const CREATOR = fixtures.key(2);
+
+const createTransaction = slot => fixtures.transaction({
+  slot,
+  signers: [CREATOR],
+  instructions: [{
+    programId: PUMP_FUN.PROGRAM_ID,
+    accounts: [MINT, fixtures.key(3), fixtures.key(4), fixtures.key(5), fixtures.key(6), fixtures.key(7), fixtures.key(8), CREATOR],
+    data: Buffer.concat([
+      fixtures.discriminator('global:create'),
+      fixtures.string('Test'), fixtures.string('TEST'), fixtures.string('https://example.com'),
+      fixtures.publicKey(CREATOR)
+    ])
+  }]
+});
+
+// `count` mint signatures, newest first, the create being the oldest
+function mintHistory(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    signature: index === count - 1 ? 'create' : `trade${index}`,
+    slot: 1000 + count - index,
+    failed: false
+  }));
+}
+
+const context = (depth = {}) => new AnalysisContext(MINT, {
+  depth: profileManager.resolve({ depth }).depth
+});
+
+async function withHistory(count, test) {
+  const pages = fixtures.signaturePages(mintHistory(count));
+  const restore = fixtures.stubSolanaService({
+    getSignaturesForAddress: async (address, limit, { before } = {}) => (address === MINT ? pages(limit, before) : []),
+    getTransaction: async signature => (signature === 'create' ? createTransaction(1001) : null)
+  });
+
+  try {
+    await test();
+  } finally {
+    restore();
+  }
+}
+
+// Rent-exempt minimum of a token account, refunded when it is closed
+const TOKEN_ACCOUNT_RENT = 2039280;
+const FEE = 5000;
+const RECIPIENT = fixtures.key(9);
+const CREATOR_ACCOUNT = fixtures.key(10);
+const CREATOR_WSOL = fixtures.key(11);
+
+// Token program CloseAccount: account, destination, owner
+const closeAccount = account => ({
+  programId: PROGRAMS.TOKEN_PROGRAM,
+  accounts: [account, CREATOR, CREATOR],
+  data: Buffer.from([9])
+});
+
+// The creator's whole balance of MINT leaves in one transaction, which then
+// closes CREATOR_ACCOUNT; `solGain` is the creator's lamport change on top of
+// that refund. Account keys: CREATOR 0, token program 1, CREATOR_ACCOUNT 2,
+// CREATOR_WSOL 3.
+function movement({ solGain = 0, received = true, closes = [CREATOR_ACCOUNT], instructions = [], logMessages = [], meta = {} } = {}) {
+  const transaction = fixtures.transaction({
+    signers: [CREATOR],
+    instructions: [...closes.map(closeAccount), ...instructions],
+    meta: {
+      logMessages,
+      lamports: {
+        [CREATOR]: [1000000000, 1000000000 + TOKEN_ACCOUNT_RENT - FEE + solGain],
+        [CREATOR_ACCOUNT]: [TOKEN_ACCOUNT_RENT, 0],
+        ...meta.lamports
+      },
+      preTokenBalances: [fixtures.tokenBalance(CREATOR, MINT, 1000, 1), ...(meta.preTokenBalances || [])],
+      postTokenBalances: received ? [fixtures.tokenBalance(RECIPIENT, MINT, 1000, 2)] : []
+    }
+  });
+  return creatorAnalyzer.getMovement(transaction, MINT, CREATOR);
+}
+
+const TESTS = {
+  'findLaunch pages back past the first page of mint history': () => withHistory(2500, async () => {
+    const launch = await creatorAnalyzer.findLaunch(MINT, context());
+    assert.strictEqual(launch.signature, 'create');
+    assert.strictEqual(launch.slot, 1001);
+    assert.strictEqual(launch.create.creator, CREATOR);
+  }),
+
+  'findLaunch gives up when depth.launch does not reach the create': () => withHistory(2500, async () => {
+    assert.strictEqual(await creatorAnalyzer.findLaunch(MINT, context({ launch: { pages: 2 } })), null);
+  }),
+
+  'findLaunch handles a history that ends exactly on a page boundary': () => withHistory(1000, async () => {
+    const launch = await creatorAnalyzer.findLaunch(MINT, context());
+    assert.strictEqual(launch.signature, 'create');
+  }),
+
+  'A transfer that closes the emptied token account is not a sell': () => {
+    assert.deepStrictEqual(movement(), { type: 'transfer', amount: '1000', recipients: [RECIPIENT] });
+  },
+
+  'SOL received beyond the refunded rent is a sell': () => {
+    const sell = movement({ solGain: 500000000, received: false });
+    assert.strictEqual(sell.type, 'sell');
+    assert.strictEqual(sell.solReceived, String(500000000 + TOKEN_ACCOUNT_RENT - FEE));
+  },
+
+  'A closed wrapped-SOL account refunds only its rent': () => {
+    const sell = movement({
+      solGain: 500000000 + TOKEN_ACCOUNT_RENT,
+      received: false,
+      closes: [CREATOR_ACCOUNT, CREATOR_WSOL],
+      meta: {
+        lamports: { [CREATOR_WSOL]: [500000000 + TOKEN_ACCOUNT_RENT, 0] },
+        preTokenBalances: [fixtures.tokenBalance(CREATOR, TOKENS.WSOL, 500000000, 3)]
+      }
+    });
+    assert.strictEqual(sell.type, 'sell');
+  },
+
+  'A sell TradeEvent is a sell whatever the SOL change': () => {
+    const event = Buffer.concat([
+      fixtures.discriminator('event:TradeEvent'),
+      fixtures.publicKey(MINT), fixtures.u64(0), fixtures.u64(1000), fixtures.bool(false), fixtures.publicKey(CREATOR),
+      fixtures.i64(1700000000), fixtures.u64(30000000000), fixtures.u64(1073000000000000)
+    ]);
+    const sell = movement({ received: false, logMessages: fixtures.eventLogs(event) });
+    assert.strictEqual(sell.type, 'sell');
+  },
+
+  'A PumpSwap sell is a sell even when the SOL stays wrapped': () => {
+    const sell = movement({
+      received: false,
+      instructions: [{
+        programId: DEX_PROGRAMS.PUMP_SWAP,
+        accounts: [fixtures.key(12), CREATOR, fixtures.key(13), MINT, TOKENS.WSOL],
+        data: Buffer.concat([fixtures.discriminator('global:sell'), fixtures.u64(1000), fixtures.u64(0)])
+      }]
+    });
+    assert.strictEqual(sell.type, 'sell');
+  }
+};
+
+if (require.main === module) {
+  testRunner.run('creator', TESTS);
+}
+
+module.exports = { TESTS };
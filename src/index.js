@@ -1,23 +1,44 @@
 // src/index.js - ENHANCED WITH QUEUE SYSTEM
 require('dotenv').config();
+const fs = require('fs');
+const { parseArgs } = require('util');
 const tokenAnalyzer = require('./analyzers/tokenAnalyzer');
-const liquidityAnalyzer = require('./analyzers/liquidityAnalyzer');
+const riskModel = require('./analyzers/riskModel');
+const policyManager = require('./config/policy');
+const ruleEngine = require('./analyzers/ruleEngine');
+const profileManager = require('./config/profiles');
 const solanaService = require('./services/solanaService');
+const findings = require('./utils/findings');
+const resultFormat = require('./utils/resultFormat');
 
 class EnhancedSolanaTokenValidator {
+    // Lets external code add checks without forking the analyzer
+    static registerCheck(definition, options) {
+        return tokenAnalyzer.registerCheck(definition, options);
+    }
+
     constructor() {
         this.analysisQueue = [];
         this.isProcessing = false;
         this.processedCount = 0;
     }
 
-    async startPumpFunMonitoring() {
+    async startPumpFunMonitoring(options = {}) {
         console.log('🚀 Starting Enhanced Solana Token Validator with Queue System');
         
         try {
             // Import the enhanced monitor
             //const enhancedMonitor = require('./services/enhancedPumpFunMonitor');
             const websocketMonitor = require('./services/comprehensivePumpMonitor');
+            if (options.policy) {
+                websocketMonitor.policy = options.policy;
+            }
+            if (options.rules) {
+                websocketMonitor.rules = options.rules;
+            }
+            if (options.profile) {
+                websocketMonitor.profile = options.profile;
+            }
             // Subscribe to new token events
             websocketMonitor.on('newToken', async (tokenEvent) => {
                 console.log(`\n🔍 Starting analysis for: ${tokenEvent.signature.substring(0, 12)}...`);
@@ -54,7 +75,7 @@ class EnhancedSolanaTokenValidator {
         }
     }
 
-    async analyzeToken(mintAddress) {
+    async analyzeToken(mintAddress, options = {}) {
         try {
             if (!solanaService.isValidPublicKey(mintAddress)) {
                 throw new Error(`Invalid token address: ${mintAddress}`);
@@ -66,23 +87,8 @@ class EnhancedSolanaTokenValidator {
             console.log(`📍 Token: ${mintAddress}`);
             console.log(`⏰ Started: ${new Date().toLocaleString()}\n`);
 
-            // Run standard analysis
-            const analysis = await tokenAnalyzer.analyzeToken(mintAddress, {
-                includeHolderAnalysis: true,
-                includeHoneypotDetection: true, 
-                includeMetadata: true,
-                includeMarketData: true
-            });
-
-            // Run enhanced liquidity analysis
-            console.log('🔄 Running enhanced liquidity analysis...');
-            const liquidityAnalysis = await liquidityAnalyzer.analyzeLiquidity(mintAddress);
-
-            // Combine results
-            analysis.liquidity = liquidityAnalysis;
-            analysis.enhancedRiskScore = this.calculateEnhancedRisk(analysis, liquidityAnalysis);
-
-            return analysis;
+            // The profile picks the checks; include* toggles in `options` still override it
+            return await tokenAnalyzer.analyzeToken(mintAddress, options);
             
         } catch (error) {
             console.error(`❌ Analysis failed: ${error.message}`);
@@ -91,18 +97,7 @@ class EnhancedSolanaTokenValidator {
     }
 
     calculateEnhancedRisk(tokenAnalysis, liquidityAnalysis) {
-        let riskScore = tokenAnalysis.riskScore || 50;
-        
-        // Adjust based on liquidity security
-        if (liquidityAnalysis.overallStatus === 'DANGEROUS') {
-            riskScore += 30;
-        } else if (liquidityAnalysis.overallStatus === 'POOR') {
-            riskScore += 20;
-        } else if (liquidityAnalysis.overallStatus === 'EXCELLENT') {
-            riskScore -= 15;
-        }
-        
-        return Math.max(0, Math.min(100, riskScore));
+        return riskModel.applyLiquidityAdjustment(tokenAnalysis.riskScore, liquidityAnalysis);
     }
 
     printEnhancedResults(analysis) {
@@ -113,8 +108,11 @@ class EnhancedSolanaTokenValidator {
         // Basic info
         console.log(`\n📍 Token: ${analysis.mintAddress}`);
         console.log(`⏰ Analysis Time: ${new Date(analysis.timestamp).toLocaleString()}`);
-        console.log(`📊 Enhanced Risk Score: ${analysis.enhancedRiskScore || analysis.riskScore}/100`);
-        console.log(`🛡️ Safety Level: ${this.getSafetyLevel(analysis.enhancedRiskScore || analysis.riskScore)}`);
+        const riskScore = riskModel.getEffectiveScore(analysis);
+        console.log(`📊 Enhanced Risk Score: ${riskScore}/100`);
+        console.log(`🛡️ Safety Level: ${analysis.safetyLevel}`);
+        console.log(`📐 Risk Policy: ${analysis.policy.name} (${analysis.policy.hash.slice(0, 12)})`);
+        console.log(`🧭 Profile: ${analysis.profile}`);
 
         // Token details
         if (analysis.checks.metadata?.metadata) {
@@ -122,6 +120,13 @@ class EnhancedSolanaTokenValidator {
             console.log(`\n📝 Token Information:`);
             console.log(`   Name: ${meta.name || 'Unknown'}`);
             console.log(`   Symbol: ${meta.symbol || 'Unknown'}`);
+            console.log(`   Source: ${meta.source}`);
+            if (meta.updateAuthority) {
+                console.log(`   Update Authority: ${meta.updateAuthority}`);
+            }
+            (meta.additionalMetadata || []).forEach(({ key, value }) => {
+                console.log(`   ${key}: ${value}`);
+            });
         }
 
         // Security checks
@@ -130,6 +135,9 @@ class EnhancedSolanaTokenValidator {
         // Enhanced liquidity analysis
         this.printLiquidityAnalysis(analysis);
         
+        // Custom rules
+        this.printFiredRules(analysis);
+
         // Issues and recommendations
         this.printIssuesAndRecommendations(analysis);
 
@@ -143,6 +151,9 @@ class EnhancedSolanaTokenValidator {
         if (auth) {
             console.log(`   Mint Authority: ${auth.mintAuthority ? '❌ ACTIVE (CRITICAL RISK)' : '✅ REVOKED'}`);
             console.log(`   Freeze Authority: ${auth.freezeAuthority ? '❌ ACTIVE (CRITICAL RISK)' : '✅ REVOKED'}`);
+            (auth.extensionControls || []).forEach(({ type, authority, severity }) => {
+                console.log(`   ${type}: ❌ ${authority || 'no authority'} (${severity} RISK)`);
+            });
         }
 
         const program = analysis.checks.programOwnership;
@@ -150,6 +161,12 @@ class EnhancedSolanaTokenValidator {
             console.log(`   Program Owner: ${program.isValidProgram ? '✅ Standard SPL Token' : '❌ Non-standard (RISK)'}`);
         }
 
+        const mintInfo = analysis.checks.basicInfo?.mintInfo;
+        if (mintInfo?.tokenProgram === 'spl-token-2022') {
+            const types = mintInfo.extensions.map(extension => extension.type);
+            console.log(`   Token-2022 Extensions: ${types.length > 0 ? types.join(', ') : 'none'}`);
+        }
+
         // Honeypot results
         if (analysis.checks.honeypot) {
             const honeypot = analysis.checks.honeypot;
@@ -160,6 +177,31 @@ class EnhancedSolanaTokenValidator {
             if (honeypot.tests?.tradingSimulation?.canSell === false) {
                 console.log(`   🚨 CRITICAL: Cannot sell tokens - CONFIRMED HONEYPOT!`);
             }
+            if (honeypot.tests?.authorityAnalysis?.paused) {
+                console.log(`   🚨 CRITICAL: Token is paused - transfers and sells are halted!`);
+            }
+            if (honeypot.tests?.authorityAnalysis?.nonTransferable) {
+                console.log(`   🚨 CRITICAL: Token is non-transferable - it can never be sold!`);
+            }
+
+            const transferFee = honeypot.tests?.transferFee;
+            if (transferFee?.currentFee) {
+                console.log(`   Transfer Fee: ${transferFee.currentFee.percentage}% (max ${transferFee.currentFee.maximumFee})`);
+                if (transferFee.scheduledFee) {
+                    console.log(`   Scheduled Fee: ${transferFee.scheduledFee.percentage}% from epoch ${transferFee.scheduledFee.epoch}`);
+                }
+                console.log(`   Fee Authority: ${transferFee.transferFeeConfigAuthority || 'Revoked ✅'}`);
+                console.log(`   Withdraw Authority: ${transferFee.withdrawWithheldAuthority || 'Revoked ✅'}`);
+            }
+
+            const transferHook = honeypot.tests?.transferHook;
+            if (transferHook?.programId !== undefined) {
+                console.log(`   Transfer Hook: ${transferHook.programId || 'None'}`);
+                if (transferHook.program?.deployed) {
+                    console.log(`   Hook Upgrade Authority: ${transferHook.program.upgradeAuthority || 'None (immutable) ✅'}`);
+                }
+                console.log(`   Hook Authority: ${transferHook.authority || 'Revoked ✅'}`);
+            }
         }
 
         // Holder distribution
@@ -167,6 +209,12 @@ class EnhancedSolanaTokenValidator {
             const holders = analysis.checks.holders;
             console.log(`\n👥 HOLDER DISTRIBUTION:`);
             console.log(`   Holders Analyzed: ${holders.holderCount}`);
+            if (holders.rawSupply !== undefined) {
+                console.log(`   Supply: ${holders.totalSupply} displayed (${holders.rawSupply} base units)`);
+            }
+            if (holders.confidence < 1) {
+                console.log(`   ⚠️  Confidence: ${Math.round(holders.confidence * 100)}% - confidential balances are not visible`);
+            }
             if (holders.concentration) {
                 console.log(`   Top Holder: ${holders.concentration.top1Percentage?.toFixed(1)}%`);
                 console.log(`   Top 10 Holders: ${holders.concentration.top10Percentage?.toFixed(1)}%`);
@@ -176,6 +224,95 @@ class EnhancedSolanaTokenValidator {
                 }
             }
         }
+
+        // pump.fun launch state
+        if (analysis.checks.bondingCurve?.isPumpFun) {
+            const curve = analysis.checks.bondingCurve;
+            console.log(`\n📈 PUMP.FUN BONDING CURVE:`);
+            console.log(`   Status: ${curve.complete ? '🎓 Complete - migrated to a DEX pool' : `Active - ${curve.progress.toFixed(1)}% to graduation`}`);
+            console.log(`   Price: ${curve.priceSol.toExponential(4)} SOL`);
+            console.log(`   Market Cap: ${curve.marketCapSol.toFixed(2)} SOL`);
+            console.log(`   Real Reserves: ${curve.realSol.toFixed(3)} SOL / ${curve.realTokenReserves} token base units`);
+            if (curve.creator) {
+                console.log(`   Creator: ${curve.creator}`);
+            }
+        }
+
+        // pump.fun creator position
+        const position = analysis.checks.creatorPosition;
+        if (position?.creator) {
+            console.log(`\n👤 CREATOR POSITION:`);
+            console.log(`   Creator: ${position.creator}`);
+            if (position.initialBuy) {
+                const { percentage, priceSol, solAmount } = position.initialBuy;
+                const cost = solAmount !== null ? ` for ${(Number(solAmount) / 1e9).toFixed(3)} SOL (${priceSol?.toExponential(4) ?? '?'} SOL/token)` : '';
+                console.log(`   Launch Buy: ${percentage.toFixed(2)}% of supply${cost}`);
+            }
+            console.log(`   Holds Now: ${position.holdingPercentage.toFixed(2)}% of supply`);
+            console.log(`   Sold: ${position.soldPercentage.toFixed(1)}% of their tokens in ${position.sells.length} transaction(s)`);
+            if (position.transfers.length > 0) {
+                const recipients = new Set(position.transfers.flatMap(transfer => transfer.recipients));
+                console.log(`   🚨 Moved tokens to ${recipients.size} other wallet(s)${position.distributedBeforeSelling ? ' before selling' : ''}`);
+            }
+            if (!position.historyComplete) {
+                console.log(`   ⚠️  Only the ${position.transactionsExamined} most recent creator transactions were examined`);
+            }
+        }
+
+        // Creator deployment history
+        const reputation = analysis.checks.creatorReputation;
+        if (reputation?.creator) {
+            const { outcomes } = reputation;
+            console.log(`\n🧾 CREATOR REPUTATION:`);
+            console.log(`   Earlier Launches: ${reputation.earlierLaunches}${reputation.historyComplete ? '' : ' (history not fully examined)'}`);
+            console.log(`   Outcomes: ${outcomes.graduated} graduated, ${outcomes.dumped} dumped, ${outcomes.dead} dead, ${outcomes.active} active`);
+            if (reputation.rugRate !== null) {
+                console.log(`   Rug Rate: ${reputation.rugRate.toFixed(0)}%`);
+            }
+            if (reputation.medianTimeToDevSellSeconds !== null) {
+                console.log(`   Median Time to Dev Sell: ${(reputation.medianTimeToDevSellSeconds / 60).toFixed(1)} minutes`);
+            }
+        }
+
+        // Launch bundles and snipers
+        const bundle = analysis.checks.launchBundle;
+        if (bundle?.launchSignature) {
+            const bundled = bundle.wallets.filter(wallet => wallet.bundled);
+            console.log(`\n🎯 LAUNCH BUNDLE:`);
+            console.log(`   Early Buys: ${bundle.buyCount} by ${bundle.wallets.length} wallet(s) - ${bundle.sniperPercentage.toFixed(2)}% of supply`);
+            console.log(`   Bundled: ${bundled.length} wallet(s) bought ${bundle.bundledPercentage.toFixed(2)}%, still hold ${bundle.bundledHeldPercentage.toFixed(2)}%`);
+            if (bundle.launchTipped) {
+                console.log(`   ⚡ Create transaction paid a Jito tip`);
+            }
+            bundled.slice(0, 5).forEach(wallet => {
+                const reasons = [
+                    wallet.sameSlot && 'creation slot',
+                    wallet.fundedByCreator && 'funded by creator',
+                    wallet.sharedFunder && !wallet.fundedByCreator && `shared funder ${wallet.fundedBy}`,
+                    wallet.jitoTipped && 'Jito tip'
+                ].filter(Boolean);
+                console.log(`   🚨 ${wallet.wallet} (${reasons.join(', ')})`);
+            });
+            if (!bundle.windowComplete) {
+                console.log(`   ⚠️  Only ${bundle.transactionsExamined} launch-window transactions were examined`);
+            }
+            if (!bundle.fundingTraced) {
+                console.log(`   ⚠️  Some buyers' history did not reach back to before launch - funding not fully traced`);
+            }
+        } else if (bundle?.isPumpFun) {
+            console.log(`\n🎯 LAUNCH BUNDLE: ⚠️  launch transaction not found - bundles were not checked`);
+        }
+
+        // Trade history (deep profile)
+        if (analysis.checks.tradeHistory && !analysis.checks.tradeHistory.skipped) {
+            const history = analysis.checks.tradeHistory;
+            console.log(`\n📜 TRADE HISTORY:`);
+            console.log(`   Transactions: ${history.transactionCount}${history.complete ? ' (full history)' : ' (most recent)'}`);
+            console.log(`   Failed: ${history.failedCount} (${history.failureRate?.toFixed(1) || 0}%)`);
+            if (history.firstSeen) {
+                console.log(`   Window: ${new Date(history.firstSeen).toLocaleString()} → ${new Date(history.lastSeen).toLocaleString()}`);
+            }
+        }
     }
 
     printLiquidityAnalysis(analysis) {
@@ -187,6 +324,10 @@ class EnhancedSolanaTokenValidator {
             console.log(`   LP Security: ${liq.securedPercentage?.toFixed(1) || 0}% locked/burned`);
             console.log(`   Pool Count: ${liq.pools?.length || 0} detected`);
             console.log(`   LP Providers: ${liq.lpProviders || 0}`);
+            if (liq.confidentialTransfers) {
+                const visible = liq.confidentialTransfers.visiblePercentage;
+                console.log(`   Confidential Transfers: ${visible === null ? 'unknown' : `${visible.toFixed(1)}%`} of supply visible (confidence ${Math.round(liq.confidence * 100)}%)`);
+            }
             
             if (liq.pools && liq.pools.length > 0) {
                 console.log(`   Active DEXs:`);
@@ -216,6 +357,18 @@ class EnhancedSolanaTokenValidator {
         return emojis[status] || '❓';
     }
 
+    printFiredRules(analysis) {
+        if (!analysis.rules || analysis.rules.evaluated === 0) return;
+
+        console.log(`\n📏 CUSTOM RULES (${analysis.rules.fired.length}/${analysis.rules.evaluated} fired):`);
+        analysis.rules.fired.forEach(rule => {
+            const facts = Object.entries(rule.facts)
+                .map(([fact, value]) => `${fact}=${JSON.stringify(value)}`)
+                .join(', ');
+            console.log(`   • ${rule.id} [${rule.severity}]${facts ? ` - ${facts}` : ''}`);
+        });
+    }
+
     printIssuesAndRecommendations(analysis) {
         const allIssues = this.collectAllIssues(analysis);
         const allWarnings = this.collectAllWarnings(analysis);
@@ -232,58 +385,80 @@ class EnhancedSolanaTokenValidator {
 
         // Final recommendation
         console.log(`\n💡 FINAL RECOMMENDATION:`);
-        const recommendation = this.getFinalRecommendation(analysis.enhancedRiskScore || analysis.riskScore);
-        console.log(`   ${recommendation}`);
+        console.log(`   ${analysis.recommendation}`);
     }
 
-    collectAllIssues(analysis) {
-        const issues = [];
-        
-        Object.values(analysis.checks).forEach(check => {
-            if (check?.issues) issues.push(...check.issues);
-        });
-        
-        if (analysis.liquidity?.riskFactors) {
-            issues.push(...analysis.liquidity.riskFactors);
+    printScoreAttribution(analysis) {
+        const { attribution } = analysis;
+        if (!attribution) return;
+
+        console.log(`\n🧮 SCORE ATTRIBUTION (policy: ${analysis.policy.name}):`);
+        console.log('   Check               Status      Score  Weight   Share   Risk pts  Findings');
+
+        [...attribution.checks]
+            .sort((a, b) => b.contribution - a.contribution)
+            .forEach(entry => {
+                const score = entry.rawScore === null ? '-' : `${entry.rawScore}`;
+                const share = entry.counted ? `${(entry.weightShare * 100).toFixed(1)}%` : 'excluded';
+                const codes = entry.findings.join(', ') || '-';
+                console.log(
+                    `   ${entry.id.padEnd(18)}  ${entry.status.padEnd(10)}  ${score.padStart(5)}  ` +
+                    `${String(entry.weight).padStart(6)}  ${share.padStart(8)}  ${entry.contribution.toFixed(2).padStart(8)}  ${codes}`
+                );
+            });
+
+        if (attribution.fallback) {
+            console.log('   No weighted check produced a score - using the neutral score of 50');
         }
-        
-        return [...new Set(issues)];
+        console.log(`   Base risk score: ${analysis.riskScore}/100 (total weight ${attribution.totalWeight})`);
+
+        attribution.adjustments.forEach(adjustment => {
+            const sign = adjustment.points >= 0 ? '+' : '';
+            console.log(`   Adjustment - ${adjustment.source} (${adjustment.status}): ${sign}${adjustment.points}`);
+        });
+
+        console.log(`   Final risk score: ${attribution.finalScore}/100 → ${attribution.band.level} band (≥ ${attribution.band.min})`);
+    }
+
+    collectAllFindings(analysis) {
+        return findings.collect(analysis.findings || [], analysis.liquidity?.findings || []);
+    }
+
+    collectAllIssues(analysis) {
+        return [...new Set(findings.toIssues(this.collectAllFindings(analysis)))];
     }
 
     collectAllWarnings(analysis) {
-        const warnings = [];
-        
-        Object.values(analysis.checks).forEach(check => {
-            if (check?.warnings) warnings.push(...check.warnings);
-        });
-        
-        if (analysis.liquidity?.warnings) {
-            warnings.push(...analysis.liquidity.warnings);
-        }
-        
-        return [...new Set(warnings)];
+        return [...new Set(findings.toWarnings(this.collectAllFindings(analysis)))];
     }
 
     getSafetyLevel(score) {
-        if (score >= 80) return '🔴 EXTREMELY DANGEROUS';
-        if (score >= 60) return '🟠 HIGH RISK';
-        if (score >= 40) return '🟡 MODERATE RISK';
-        if (score >= 20) return '🟢 LOW RISK';
-        return '✅ APPEARS SAFE';
+        return riskModel.getSafetyLevel(score);
     }
 
     getFinalRecommendation(score) {
-        if (score >= 80) return '🚨 DO NOT TRADE - Multiple critical security flaws detected';
-        if (score >= 60) return '⚠️ AVOID - High risk of rug pull or scam';
-        if (score >= 40) return '⚠️ PROCEED WITH EXTREME CAUTION';
-        if (score >= 20) return '✅ RELATIVELY SAFE - Always DYOR';
-        return '✅ APPEARS SECURE - Good security practices detected';
+        return riskModel.getRecommendation(score);
     }
 }
 
 // Main CLI
 async function main() {
-    const args = process.argv.slice(2);
+    let flags, args;
+    try {
+        ({ values: flags, positionals: args } = parseArgs({
+            options: {
+                deadline: { type: 'string' }, // Overall analysis budget in ms
+                policy: { type: 'string' },   // Risk policy file (.json/.yaml)
+                rules: { type: 'string' },    // Rules directory or file
+                profile: { type: 'string' },  // Analysis profile name or file
+                explain: { type: 'boolean' }  // Print per-check score attribution
+            },
+            allowPositionals: true
+        }));
+    } catch (error) {
+        console.error(`\n❌ ${error.message}`);
+        process.exit(1);
+    }
     const validator = new EnhancedSolanaTokenValidator();
     
     if (args.length === 0) {
@@ -291,7 +466,14 @@ async function main() {
         console.log('=========================================');
         console.log('Usage:');
         console.log('  node src/index.js analyze <token_address>  - Analyze specific token');
+        console.log('      --profile <name|file>                  - quick, standard, monitor, pump, deep or a profile file');
+        console.log('      --deadline <ms>                        - Stop unfinished checks after <ms>');
+        console.log('      --policy <file>                        - Risk policy (JSON/YAML), also used by monitor');
+        console.log('      --rules <dir>                          - Custom rules directory (default: rules/), also used by monitor');
+        console.log('      --explain                              - Show how each check contributed to the score');
         console.log('  node src/index.js monitor                  - Queue-based pump.fun monitoring');
+        console.log('  node src/index.js schema                   - Print the analysis result JSON Schema');
+        console.log('  node src/index.js migrate <result.json>    - Upgrade a stored result to the current schema');
         console.log('\nNew Features:');
         console.log('  ✅ Queue-based analysis system');
         console.log('  ✅ Keyboard controls (s=pause/resume, q=status, x=exit)');
@@ -302,15 +484,38 @@ async function main() {
     }
     
     try {
+        // Load once up front so an invalid policy or rule fails before any work starts
+        const policy = flags.policy ? policyManager.resolve(flags.policy) : undefined;
+        const rules = flags.rules ? ruleEngine.resolve(flags.rules) : undefined;
+        const profile = flags.profile ? profileManager.resolve(flags.profile) : undefined;
+
         if (args[0] === 'monitor') {
-            await validator.startPumpFunMonitoring();
+            await validator.startPumpFunMonitoring({ policy, rules, profile });
             
         } else if (args[0] === 'analyze' && args[1]) {
-            const result = await validator.analyzeToken(args[1]);
+            const options = { policy, rules, profile };
+            if (flags.deadline) {
+                options.deadlineMs = parseInt(flags.deadline, 10);
+                if (!(options.deadlineMs > 0)) {
+                    throw new Error(`Invalid --deadline value: ${flags.deadline}`);
+                }
+            }
+
+            const result = await validator.analyzeToken(args[1], options);
             validator.printEnhancedResults(result);
+            if (flags.explain) {
+                validator.printScoreAttribution(result);
+            }
+
+        } else if (args[0] === 'schema') {
+            console.log(JSON.stringify(resultFormat.schema, null, 2));
+
+        } else if (args[0] === 'migrate' && args[1]) {
+            const stored = JSON.parse(fs.readFileSync(args[1], 'utf8'));
+            console.log(JSON.stringify(resultFormat.migrate(stored), null, 2));
             
         } else {
-            console.log('\n❌ Invalid command. Use "analyze <address>" or "monitor"');
+            console.log('\n❌ Invalid command. Use "analyze <address>", "monitor", "schema" or "migrate <file>"');
         }
         
     } catch (error) {
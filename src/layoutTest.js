@@ -0,0 +1,278 @@
+// src/layoutTest.js - ROUND-TRIP FIXTURES FOR THE BINARY DECODERS
+//
+// Offline checks for the layouts that read raw chain data: pump.fun events,
+// legacy and v0 instruction lists, base58 instruction data and the
+// Token-2022 extension TLV. Each fixture is encoded here byte by byte and
+// decoded through the real module, so a shifted offset fails loudly.
+const assert = require('assert');
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const pumpLayout = require('./utils/pumpLayout');
+const tokenLayout = require('./utils/tokenLayout');
+const transactionLayout = require('./utils/transactionLayout');
+const logger = require('./utils/logger');
+const { PUMP_FUN, PROGRAMS } = require('./config/constants');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const discriminator = preimage => crypto.createHash('sha256').update(preimage).digest().subarray(0, 8);
+const key = fill => new PublicKey(Buffer.alloc(32, fill)).toBase58();
+
+// Borsh writers matching BorshReader
+const u16 = value => { const bytes = Buffer.alloc(2); bytes.writeUInt16LE(value); return bytes; };
+const u64 = value => { const bytes = Buffer.alloc(8); bytes.writeBigUInt64LE(BigInt(value)); return bytes; };
+const i64 = value => { const bytes = Buffer.alloc(8); bytes.writeBigInt64LE(BigInt(value)); return bytes; };
+const bool = value => Buffer.from([value ? 1 : 0]);
+const publicKey = address => new PublicKey(address).toBuffer();
+const string = text => {
+  const bytes = Buffer.from(text, 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(bytes.length);
+  return Buffer.concat([length, bytes]);
+};
+
+// Independent of transactionLayout.decodeBase58, so the test is a round trip
+function encodeBase58(bytes) {
+  let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let text = '';
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    text = `1${text}`;
+  }
+  return text;
+}
+
+// Event data as the pump.fun program logs it
+function eventLogs(...payloads) {
+  return [
+    `Program ${PUMP_FUN.PROGRAM_ID} invoke [1]`,
+    ...payloads.map(payload => `Program data: ${payload.toString('base64')}`),
+    `Program ${PUMP_FUN.PROGRAM_ID} success`
+  ];
+}
+
+const MINT = key(1);
+const CURVE = key(2);
+const USER = key(3);
+const CREATOR = key(4);
+
+function testCreateEvent() {
+  const base = Buffer.concat([
+    discriminator('event:CreateEvent'),
+    string('Test Token'), string('TEST'), string('https://example.com/test.json'),
+    publicKey(MINT), publicKey(CURVE), publicKey(USER)
+  ]);
+  const trailing = Buffer.concat([
+    publicKey(CREATOR), i64(1700000000),
+    u64('1073000000000000'), u64('30000000000'), u64('793100000000000'), u64('1000000000000000')
+  ]);
+
+  const legacy = pumpLayout.findEvent(eventLogs(base), 'CreateEvent');
+  assert.deepStrictEqual(legacy, {
+    event: 'CreateEvent',
+    name: 'Test Token',
+    symbol: 'TEST',
+    uri: 'https://example.com/test.json',
+    mint: MINT,
+    bondingCurve: CURVE,
+    user: USER
+  });
+
+  const current = pumpLayout.findEvent(eventLogs(Buffer.concat([base, trailing])), 'CreateEvent');
+  assert.strictEqual(current.mint, MINT);
+  assert.strictEqual(current.creator, CREATOR);
+  assert.strictEqual(current.timestamp, 1700000000);
+  assert.strictEqual(current.virtualSolReserves, '30000000000');
+  assert.strictEqual(current.tokenTotalSupply, '1000000000000000');
+
+  // Another program's data line is never read as a pump.fun event
+  const foreign = [`Program ${key(9)} invoke [1]`, `Program data: ${base.toString('base64')}`, `Program ${key(9)} success`];
+  assert.deepStrictEqual(pumpLayout.parseEvents(foreign), []);
+}
+
+function testTradeEvent() {
+  const base = Buffer.concat([
+    discriminator('event:TradeEvent'),
+    publicKey(MINT), u64('500000000'), u64('17000000000'), bool(true), publicKey(USER), i64(1700000060),
+    u64('30500000000'), u64('1056000000000000')
+  ]);
+  const trailing = Buffer.concat([u64('500000000'), u64('776100000000000')]);
+
+  const legacy = pumpLayout.findEvent(eventLogs(base), 'TradeEvent');
+  assert.strictEqual(legacy.isBuy, true);
+  assert.strictEqual(legacy.solAmount, '500000000');
+  assert.strictEqual(legacy.tokenAmount, '17000000000');
+  assert.strictEqual(legacy.user, USER);
+  assert.strictEqual(legacy.virtualTokenReserves, '1056000000000000');
+  assert.ok(!('realSolReserves' in legacy));
+
+  const current = pumpLayout.findEvent(eventLogs(Buffer.concat([base, trailing])), 'TradeEvent');
+  assert.strictEqual(current.realSolReserves, '500000000');
+  assert.strictEqual(current.realTokenReserves, '776100000000000');
+}
+
+function testDecodeBase58() {
+  const bytes = Buffer.from([0, 0, 0, 1, 2, 255]);
+  assert.deepStrictEqual(transactionLayout.decodeBase58(encodeBase58(bytes)), bytes);
+  assert.deepStrictEqual(transactionLayout.decodeBase58('111'), Buffer.alloc(3));
+  assert.deepStrictEqual(transactionLayout.decodeBase58(''), Buffer.alloc(0));
+  assert.throws(() => transactionLayout.decodeBase58('0OIl'), /Invalid base58 character/);
+}
+
+// The same pump.fun buy as a legacy message and as a v0 message whose mint
+// and bonding curve come from an address lookup table, invoked through a CPI
+function testInstructions() {
+  const buyData = Buffer.concat([discriminator('global:buy'), u64('17000000000'), u64('600000000')]);
+  const [global, feeRecipient, associatedCurve, associatedUser, router] = [key(10), key(11), key(12), key(13), key(14)];
+  const tradeAccounts = [global, feeRecipient, MINT, CURVE, associatedCurve, associatedUser, USER];
+
+  const legacyKeys = [USER, global, feeRecipient, MINT, CURVE, associatedCurve, associatedUser, PUMP_FUN.PROGRAM_ID];
+  const legacy = {
+    transaction: {
+      message: {
+        header: { numRequiredSignatures: 1 },
+        accountKeys: legacyKeys,
+        instructions: [{
+          programIdIndex: 7,
+          accounts: tradeAccounts.map(address => legacyKeys.indexOf(address)),
+          data: encodeBase58(buyData)
+        }]
+      }
+    },
+    meta: {}
+  };
+
+  // Static keys, then lookup-table writable (MINT, CURVE) and readonly (global)
+  const staticKeys = [USER, feeRecipient, associatedCurve, associatedUser, router, PUMP_FUN.PROGRAM_ID];
+  const keys = [...staticKeys, MINT, CURVE, global];
+  const v0 = {
+    transaction: {
+      message: {
+        header: { numRequiredSignatures: 1 },
+        staticAccountKeys: staticKeys.map(address => new PublicKey(address)),
+        compiledInstructions: [{ programIdIndex: 4, accountKeyIndexes: [0], data: Uint8Array.from([7]) }]
+      }
+    },
+    meta: {
+      loadedAddresses: { writable: [MINT, CURVE], readonly: [global] },
+      innerInstructions: [{
+        index: 0,
+        instructions: [{
+          programIdIndex: 5,
+          accounts: tradeAccounts.map(address => keys.indexOf(address)),
+          data: encodeBase58(buyData)
+        }]
+      }]
+    }
+  };
+
+  assert.deepStrictEqual(transactionLayout.getAccountKeys(v0), keys);
+  assert.deepStrictEqual(transactionLayout.getSigners(v0), [USER]);
+
+  const instructions = transactionLayout.getInstructions(v0);
+  assert.strictEqual(instructions.length, 2);
+  assert.deepStrictEqual(instructions[0], { programId: router, accounts: [USER], data: Buffer.from([7]), index: 0, inner: false });
+  assert.strictEqual(instructions[1].programId, PUMP_FUN.PROGRAM_ID);
+  assert.deepStrictEqual(instructions[1].accounts, tradeAccounts);
+  assert.strictEqual(instructions[1].inner, true);
+
+  const expected = {
+    instruction: 'buy',
+    amount: '17000000000',
+    maxSolCost: '600000000',
+    global,
+    feeRecipient,
+    mint: MINT,
+    bondingCurve: CURVE,
+    associatedBondingCurve: associatedCurve,
+    associatedUser,
+    user: USER
+  };
+  assert.deepStrictEqual(pumpLayout.decodeTransaction(legacy), [{ ...expected, index: 0, inner: false }]);
+  assert.deepStrictEqual(pumpLayout.decodeTransaction(v0), [{ ...expected, index: 0, inner: true }]);
+}
+
+// Mint base (82 bytes), zero padding to the account type at 165, then TLV
+// entries: u16 type, u16 length, value
+function testTokenExtensions() {
+  const feeAuthority = key(20);
+  const withdrawAuthority = key(21);
+  const pauseAuthority = key(22);
+
+  const mint = Buffer.alloc(82);
+  mint.writeBigUInt64LE(1000000000000n, 36);
+  mint[44] = 6;
+  mint[45] = 1;
+
+  const transferFee = Buffer.concat([
+    publicKey(feeAuthority), publicKey(withdrawAuthority), u64('42'),
+    u64('500'), u64('5000000'), u16(100),
+    u64('510'), u64('9000000'), u16(250)
+  ]);
+  const pausable = Buffer.concat([publicKey(pauseAuthority), bool(true)]);
+  const tlv = (type, value) => Buffer.concat([u16(type), u16(value.length), value]);
+
+  const data = Buffer.concat([
+    mint,
+    Buffer.alloc(165 - 82),
+    Buffer.from([1]),
+    tlv(1, transferFee),
+    tlv(26, pausable),
+    Buffer.alloc(8)
+  ]);
+
+  const decoded = tokenLayout.decodeMint(data, PROGRAMS.TOKEN_2022_PROGRAM);
+  assert.strictEqual(decoded.decimals, 6);
+  assert.deepStrictEqual(decoded.extensions.map(extension => extension.type), ['TransferFeeConfig', 'Pausable']);
+
+  const fee = tokenLayout.findExtension(decoded.extensions, 'TransferFeeConfig').config;
+  assert.strictEqual(fee.transferFeeConfigAuthority, feeAuthority);
+  assert.strictEqual(fee.withdrawWithheldAuthority, withdrawAuthority);
+  assert.strictEqual(fee.withheldAmount, '42');
+  assert.deepStrictEqual(fee.olderTransferFee, { epoch: '500', maximumFee: '5000000', transferFeeBasisPoints: 100 });
+  assert.deepStrictEqual(fee.newerTransferFee, { epoch: '510', maximumFee: '9000000', transferFeeBasisPoints: 250 });
+
+  const pause = tokenLayout.findExtension(decoded.extensions, 'Pausable').config;
+  assert.deepStrictEqual(pause, { authority: pauseAuthority, paused: true });
+
+  // A TLV entry running past the account is rejected rather than misread
+  assert.throws(() => tokenLayout.decodeMint(data.subarray(0, 165 + 1 + 4 + 50), PROGRAMS.TOKEN_2022_PROGRAM), /Truncated TransferFeeConfig/);
+}
+
+const TESTS = {
+  'CreateEvent with and without trailing fields': testCreateEvent,
+  'TradeEvent with and without trailing fields': testTradeEvent,
+  'decodeBase58 keeps leading zero bytes': testDecodeBase58,
+  'Legacy and v0 instructions with lookup-table keys': testInstructions,
+  'TransferFeeConfig and Pausable extension offsets': testTokenExtensions
+};
+
+function runTests() {
+  let failed = 0;
+
+  Object.entries(TESTS).forEach(([name, test]) => {
+    try {
+      test();
+      logger.info(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      logger.error(`❌ ${name}:`, error.message);
+    }
+  });
+
+  if (failed > 0) {
+    logger.error(`${failed} of ${Object.keys(TESTS).length} layout tests failed`);
+    process.exit(1);
+  }
+  logger.info('🎉 All layout tests passed!');
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,98 @@
+// src/policyTest.js - RISK POLICY MERGING AND VALIDATION
+//
+// Offline: policies are built from inline objects and a temporary JSON file.
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const policyManager = require('./config/policy');
+const riskModel = require('./analyzers/riskModel');
+const testRunner = require('./testRunner');
+
+// Every problem found, one per line, without the "Invalid risk policy" header
+function problems(overrides) {
+  try {
+    policyManager.create(overrides, 'inline');
+  } catch (error) {
+    return error.message.split('\n  - ').slice(1);
+  }
+  return [];
+}
+
+const TESTS = {
+  'Overrides merge over the defaults and the result is frozen': () => {
+    const policy = policyManager.resolve({ name: 'strict', riskBands: { HIGH: 50 }, creator: { penalties: { dumped: 60 } } });
+    const defaults = policyManager.defaultPolicy;
+
+    assert.strictEqual(policy.name, 'strict');
+    assert.strictEqual(policy.source, 'inline');
+    assert.strictEqual(policy.riskBands.HIGH, 50);
+    assert.strictEqual(policy.riskBands.CRITICAL, defaults.riskBands.CRITICAL);
+    assert.strictEqual(policy.creator.penalties.dumped, 60);
+    assert.strictEqual(policy.creator.penalties.sold, defaults.creator.penalties.sold);
+    assert.ok(Object.isFrozen(policy.riskBands));
+    assert.strictEqual(policyManager.resolve(policy), policy);
+  },
+
+  'The hash follows the effective settings, not their order or name': () => {
+    const first = policyManager.resolve({ name: 'a', riskBands: { HIGH: 50, LOW: 10 } });
+    const second = policyManager.resolve({ name: 'b', riskBands: { LOW: 10, HIGH: 50 } });
+    const defaults = policyManager.resolve({ riskBands: { HIGH: policyManager.defaultPolicy.riskBands.HIGH } });
+
+    assert.strictEqual(first.hash, second.hash);
+    assert.notStrictEqual(first.hash, policyManager.defaultPolicy.hash);
+    assert.strictEqual(defaults.hash, policyManager.defaultPolicy.hash);
+  },
+
+  'Rejects unknown settings and values of the wrong type': () => {
+    assert.deepStrictEqual(problems({ riskBand: {} }), ['Unknown setting: riskBand']);
+    assert.deepStrictEqual(problems({ holders: { penalties: { whale: 5 } } }), ['Unknown setting: holders.penalties.whale']);
+    assert.deepStrictEqual(problems({ riskBands: 60 }), ['riskBands must be an object']);
+    assert.deepStrictEqual(problems({ riskBands: { HIGH: '60' } }), ['riskBands.HIGH must be a number (got "60")']);
+    assert.throws(() => policyManager.create([], 'inline'), /Risk policy must be an object/);
+  },
+
+  'Rejects out-of-range values and bands out of order': () => {
+    assert.deepStrictEqual(problems({ bundle: { penalties: { bundled: -5 } } }), ['bundle.penalties.bundled must not be negative (got -5)']);
+    assert.deepStrictEqual(problems({ honeypot: { verdicts: { CONFIRMED_HONEYPOT: 120 } } }), [
+      'honeypot.verdicts.CONFIRMED_HONEYPOT must be between 0 and 100 (got 120)'
+    ]);
+    assert.deepStrictEqual(problems({ riskBands: { MODERATE: 70 } }), [
+      'riskBands.HIGH must be greater than riskBands.MODERATE'
+    ]);
+  },
+
+  'Custom check weights are free-form but numeric': () => {
+    assert.strictEqual(policyManager.resolve({ checkWeights: { myCheck: 15 } }).checkWeights.myCheck, 15);
+    assert.deepStrictEqual(problems({ checkWeights: { myCheck: 'high' } }), ['checkWeights.myCheck must be a number']);
+    assert.deepStrictEqual(problems({ checkWeights: { myCheck: -1 } }), ['checkWeights.myCheck must not be negative (got -1)']);
+  },
+
+  'Loads JSON policy files and names them after the file': () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-'));
+    const file = path.join(directory, 'cautious.json');
+    const unsupported = path.join(directory, 'cautious.toml');
+
+    try {
+      fs.writeFileSync(file, JSON.stringify({ riskBands: { CRITICAL: 70, HIGH: 50 } }));
+      fs.writeFileSync(unsupported, '');
+
+      const policy = policyManager.resolve(file);
+      assert.strictEqual(policy.name, 'cautious');
+      assert.strictEqual(policy.source, file);
+      assert.strictEqual(policyManager.resolve(file), policy);
+      assert.strictEqual(riskModel.getBand(72, policy).level, 'CRITICAL');
+      assert.strictEqual(riskModel.getBand(72).level, 'HIGH');
+
+      assert.throws(() => policyManager.resolve(unsupported), /Unsupported policy format: \.toml/);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+};
+
+if (require.main === module) {
+  testRunner.run('policy', TESTS);
+}
+
+module.exports = { TESTS };
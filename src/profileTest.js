@@ -0,0 +1,51 @@
+// src/profileTest.js - WHICH CHECKS A PROFILE AND THE CALLER'S OPTIONS RUN
+//
+// Offline: resolves the registered checks for each combination without
+// running any of them.
+const assert = require('assert');
+require('./analyzers/tokenAnalyzer'); // Registers the built-in checks
+const checkRegistry = require('./analyzers/checkRegistry');
+const profileManager = require('./config/profiles');
+const testRunner = require('./testRunner');
+
+const enabledChecks = (profile, options = {}) => checkRegistry
+  .resolve(profileManager.apply(profileManager.resolve(profile), options))
+  .ordered.map(check => check.id);
+
+const TESTS = {
+  'Profiles pick their own checks': () => {
+    assert.deepStrictEqual(enabledChecks('quick'), ['authorities', 'programOwnership']);
+    assert.ok(!enabledChecks('monitor').includes('marketData'));
+    assert.ok(enabledChecks('deep').includes('social'));
+    assert.ok(!enabledChecks('standard').includes('social'));
+  },
+
+  'An include* toggle overrides the profile enable/disable lists': () => {
+    assert.ok(enabledChecks('monitor', { includeMarketData: true }).includes('marketData'));
+    assert.ok(!enabledChecks('deep', { includeSocial: false }).includes('social'));
+  },
+
+  'An include* toggle overrides the profile base set': () => {
+    assert.ok(enabledChecks('quick', { includeHolderAnalysis: true }).includes('holders'));
+  },
+
+  'Caller enableChecks/disableChecks beat the toggles and the profile': () => {
+    assert.ok(!enabledChecks('deep', { includeSocial: true, disableChecks: ['social'] }).includes('social'));
+    assert.ok(enabledChecks('monitor', { includeMarketData: false, enableChecks: ['marketData'] }).includes('marketData'));
+  },
+
+  'Profile disable beats profile enable and the base set': () => {
+    const profile = { checks: ['authorities', 'holders'], enable: ['social'], disable: ['holders', 'social'] };
+    assert.deepStrictEqual(enabledChecks(profile), ['authorities']);
+  },
+
+  'Unknown check ids in a profile are rejected': () => {
+    assert.throws(() => enabledChecks({ enable: ['noSuchCheck'] }), /Unknown check\(s\): noSuchCheck/);
+  }
+};
+
+if (require.main === module) {
+  testRunner.run('profile', TESTS);
+}
+
+module.exports = { TESTS };
@@ -0,0 +1,158 @@
+// src/reputationTest.js - CREATOR REPUTATION FROM DEPLOYMENT HISTORY
+//
+// Offline: a plain mint buried behind a busy history, and a creator with
+// earlier dumped, graduated and dead launches plus one launched after it,
+// served to creatorReputationAnalyzer from fixtures.
+const assert = require('assert');
+const creatorReputationAnalyzer = require('./analyzers/creatorReputationAnalyzer');
+const AnalysisContext = require('./analyzers/analysisContext');
+const profileManager = require('./config/profiles');
+const pumpLayout = require('./utils/pumpLayout');
+const fixtures = require('./testFixtures');
+const testRunner = require('./testRunner');
+const { PUMP_FUN, PROGRAMS } = require('./config/constants');
+
+const CREATOR = fixtures.key(2);
+// M1 is analyzed; M0 came after it, M2-M4 before
+const MINTS = { M0: fixtures.key(30), M1: fixtures.key(31), M2: fixtures.key(32), M3: fixtures.key(33), M4: fixtures.key(34) };
+const NOW = Math.floor(Date.now() / 1000);
+const DAY = 86400;
+
+const initializeMint = (mint, slot, blockTime) => fixtures.transaction({
+  slot,
+  blockTime,
+  signers: [CREATOR],
+  instructions: [{ programId: PROGRAMS.TOKEN_PROGRAM, accounts: [mint], data: Buffer.from([20, 6]) }]
+});
+
+const pumpCreate = (mint, slot, blockTime) => fixtures.transaction({
+  slot,
+  blockTime,
+  signers: [CREATOR],
+  instructions: [{
+    programId: PUMP_FUN.PROGRAM_ID,
+    accounts: [mint, fixtures.key(20), fixtures.key(21), fixtures.key(22), fixtures.key(23), fixtures.key(24), fixtures.key(25), CREATOR],
+    data: Buffer.concat([
+      fixtures.discriminator('global:create'),
+      fixtures.string('Test'), fixtures.string('TEST'), fixtures.string('https://example.com'),
+      fixtures.publicKey(CREATOR)
+    ])
+  }]
+});
+
+const curveSell = (mint, slot, blockTime, amount) => fixtures.transaction({
+  slot,
+  blockTime,
+  signers: [CREATOR],
+  instructions: [{
+    programId: PUMP_FUN.PROGRAM_ID,
+    accounts: [fixtures.key(20), fixtures.key(26), mint, fixtures.key(21), fixtures.key(22), fixtures.key(27), CREATOR],
+    data: Buffer.concat([fixtures.discriminator('global:sell'), fixtures.u64(amount), fixtures.u64(0)])
+  }],
+  meta: {
+    lamports: { [CREATOR]: [1000000000, 3000000000] },
+    preTokenBalances: [fixtures.tokenBalance(CREATOR, mint, amount)],
+    postTokenBalances: [fixtures.tokenBalance(CREATOR, mint, 0)]
+  }
+});
+
+const curveAccount = complete => ({
+  owner: PUMP_FUN.PROGRAM_ID,
+  data: Buffer.concat([
+    fixtures.discriminator('account:BondingCurve'),
+    fixtures.u64(1073000000000000), fixtures.u64(30000000000), fixtures.u64(0),
+    fixtures.u64(85000000000), fixtures.u64(1000000000000000), fixtures.bool(complete), fixtures.publicKey(CREATOR)
+  ])
+});
+
+const mintAccount = supply => {
+  const data = Buffer.alloc(82);
+  data.writeBigUInt64LE(BigInt(supply), 36);
+  data[44] = 6;
+  data[45] = 1;
+  return { owner: PROGRAMS.TOKEN_PROGRAM, data };
+};
+
+function serveHistory() {
+  const transactions = {
+    c0: initializeMint(MINTS.M0, 600, NOW - 60),
+    c1: initializeMint(MINTS.M1, 500, NOW - DAY),
+    s2: curveSell(MINTS.M2, 320, NOW - 2 * DAY + 120, 1000),
+    c2: pumpCreate(MINTS.M2, 300, NOW - 2 * DAY),
+    c3: pumpCreate(MINTS.M3, 200, NOW - 3 * DAY),
+    c4: initializeMint(MINTS.M4, 100, NOW - 4 * DAY)
+  };
+  const creatorHistory = fixtures.signaturePages(Object.keys(transactions)
+    .map(signature => ({ signature, slot: transactions[signature].slot, failed: false })));
+
+  // 1500 later transfers push M1's creation past the first page
+  const mintHistory = fixtures.signaturePages([
+    ...Array.from({ length: 1500 }, (_, index) => ({ signature: `transfer${index}`, slot: 3000 - index, failed: false })),
+    { signature: 'c1', slot: 500, failed: false }
+  ]);
+
+  const accounts = {
+    [pumpLayout.getBondingCurveAddress(MINTS.M3)]: curveAccount(true),
+    [MINTS.M4]: mintAccount(0)
+  };
+
+  return fixtures.stubSolanaService({
+    getSignaturesForAddress: async (address, limit, { before } = {}) => {
+      if (address === MINTS.M1) return mintHistory(limit, before);
+      return address === CREATOR ? creatorHistory(limit, before) : [];
+    },
+    getTransaction: async signature => transactions[signature] || null,
+    getAccountInfo: async address => accounts[address] || null,
+    getTokenBalance: async () => '0'
+  });
+}
+
+async function analyze(policy) {
+  const restore = serveHistory();
+  try {
+    const ctx = new AnalysisContext(MINTS.M1, { policy, depth: profileManager.resolve().depth });
+    return await creatorReputationAnalyzer.analyzeReputation(MINTS.M1, ctx);
+  } finally {
+    restore();
+  }
+}
+
+const TESTS = {
+  'Finds a plain mint\'s creator past the first page of mint history': async () => {
+    const reputation = await analyze();
+    assert.strictEqual(reputation.creator, CREATOR);
+    assert.strictEqual(reputation.historyComplete, true);
+  },
+
+  'Judges each earlier launch and ignores the one launched after the mint': async () => {
+    const reputation = await analyze();
+    const outcomes = Object.fromEntries(reputation.launches.map(launch => [launch.mint, launch.outcome]));
+    assert.strictEqual(outcomes[MINTS.M2], 'DUMPED');
+    assert.strictEqual(outcomes[MINTS.M3], 'GRADUATED');
+    assert.strictEqual(outcomes[MINTS.M4], 'DEAD');
+
+    assert.strictEqual(reputation.tokensLaunched, 5);
+    assert.strictEqual(reputation.earlierLaunches, 3);
+    assert.deepStrictEqual(reputation.outcomes, { graduated: 1, dumped: 1, dead: 1, active: 0, unknown: 0 });
+    assert.strictEqual(Math.round(reputation.rugRate), 33);
+    assert.strictEqual(reputation.medianTimeToDevSellSeconds, 120);
+  },
+
+  'Scores a serial deployer under the default policy': async () => {
+    const reputation = await analyze();
+    assert.deepStrictEqual(reputation.findings.map(finding => finding.code), ['SERIAL_DEPLOYER']);
+    assert.strictEqual(reputation.score, 70);
+  },
+
+  'Adds the rug history finding once the rug rate reaches the policy threshold': async () => {
+    const reputation = await analyze({ reputation: { rugRateHigh: 30 } });
+    assert.deepStrictEqual(reputation.findings.map(finding => finding.code), ['SERIAL_DEPLOYER', 'CREATOR_RUG_HISTORY']);
+    assert.strictEqual(reputation.score, 30);
+  }
+};
+
+if (require.main === module) {
+  testRunner.run('reputation', TESTS);
+}
+
+module.exports = { TESTS };
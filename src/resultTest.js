@@ -0,0 +1,135 @@
+// src/resultTest.js - RESULT SCHEMA, MIGRATION AND CHECK NORMALIZATION
+//
+// Offline: analyzeToken runs registered test checks only, so no RPC is
+// reached, and stored results are migrated from literals.
+const assert = require('assert');
+const tokenAnalyzer = require('./analyzers/tokenAnalyzer');
+const checkRegistry = require('./analyzers/checkRegistry');
+const resultFormat = require('./utils/resultFormat');
+const fixtures = require('./testFixtures');
+const testRunner = require('./testRunner');
+
+const MINT = fixtures.key(1);
+const CHECK = { id: 'fixture' };
+
+// Runs analyzeToken with one check returning `result`
+async function analyzeWith(result, options = {}) {
+  tokenAnalyzer.registerCheck({
+    id: 'fixture',
+    label: 'Fixture check',
+    weight: 10,
+    enabledByDefault: false,
+    run: async () => result
+  }, { replace: true });
+
+  try {
+    return await tokenAnalyzer.analyzeToken(MINT, { checks: ['fixture'], rules: false, ...options });
+  } finally {
+    checkRegistry.unregister('fixture');
+  }
+}
+
+const TESTS = {
+  'Stores a serializable summary of the request options': async () => {
+    const controller = new AbortController();
+    const analysis = await analyzeWith({ score: 80 }, {
+      signal: controller.signal,
+      policy: { name: 'inline-policy' },
+      includeSocial: false,
+      deadlineMs: 60000
+    });
+
+    assert.deepStrictEqual(analysis.options, {
+      profile: 'standard',
+      rules: 'none',
+      toggles: { includeSocial: false },
+      checks: ['fixture'],
+      deadlineMs: 60000
+    });
+    assert.strictEqual(analysis.policy.name, 'inline-policy');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(analysis.options)), analysis.options);
+  },
+
+  'Defaults findings and derives issues and warnings': () => {
+    const result = tokenAnalyzer.normalizeCheck(CHECK, { score: 50, detail: 'kept' });
+    assert.deepStrictEqual(result, { detail: 'kept', score: 50, findings: [], issues: [], warnings: [] });
+  },
+
+  'Drops a null score as unscored': () => {
+    assert.ok(!('score' in tokenAnalyzer.normalizeCheck(CHECK, { score: null })));
+  },
+
+  'Fails only the check for a missing result or an out-of-range score': async () => {
+    assert.deepStrictEqual(tokenAnalyzer.normalizeCheck(CHECK, undefined).findings.map(finding => finding.code), ['CHECK_FAILED']);
+    assert.strictEqual(tokenAnalyzer.normalizeCheck(CHECK, { score: 140 }).score, 0);
+
+    const analysis = await analyzeWith({ score: -5 });
+    assert.strictEqual(analysis.checks.fixture.score, 0);
+    assert.match(analysis.checks.fixture.issues[0], /invalid score: -5/);
+  },
+
+  'Migrates a version 1 result that stored the raw options': () => {
+    const stored = {
+      schemaVersion: 1,
+      mintAddress: MINT,
+      timestamp: '2025-01-01T00:00:00.000Z',
+      options: {
+        includeMarketData: true,
+        disableChecks: ['social'],
+        signal: {},
+        policy: { name: 'inline', scoring: {} },
+        profile: { name: 'custom', checks: ['authorities'] },
+        rules: [{ id: 'inline-rule' }]
+      },
+      profile: 'custom',
+      policy: { name: 'default', hash: null },
+      checks: {},
+      riskScore: 10,
+      riskLevel: 'MINIMAL',
+      safetyLevel: 'SAFE',
+      recommendation: 'OK',
+      recommendations: [],
+      findings: [],
+      rules: { source: 'inline', evaluated: 1, fired: [] }
+    };
+
+    const migrated = resultFormat.migrate(stored);
+    assert.strictEqual(migrated.schemaVersion, resultFormat.version);
+    assert.deepStrictEqual(migrated.options, {
+      profile: 'custom',
+      rules: 'inline',
+      toggles: { includeMarketData: true },
+      disableChecks: ['social']
+    });
+    // The stored object is left as it was
+    assert.strictEqual(stored.schemaVersion, 1);
+  },
+
+  'Migrates an unversioned health-score result': () => {
+    const migrated = resultFormat.migrate({
+      mintAddress: MINT,
+      timestamp: '2024-01-01T00:00:00.000Z',
+      checks: { authorities: { score: 90 } },
+      riskScore: 85
+    });
+
+    assert.strictEqual(migrated.riskScore, 15);
+    assert.strictEqual(typeof migrated.riskLevel, 'string');
+    assert.deepStrictEqual(migrated.checks.authorities.findings, []);
+    assert.deepStrictEqual(migrated.policy, { name: 'unknown', hash: null });
+  },
+
+  'Rejects results from a newer schema and results that do not match it': () => {
+    assert.throws(() => resultFormat.migrate({ schemaVersion: resultFormat.version + 1 }), /newer than supported/);
+
+    const errors = resultFormat.validate({ schemaVersion: resultFormat.version, mintAddress: MINT, options: { profile: 'standard' } });
+    assert.ok(errors.includes('$.options.rules: is required'));
+    assert.ok(errors.includes('$.timestamp: is required'));
+  }
+};
+
+if (require.main === module) {
+  testRunner.run('result', TESTS);
+}
+
+module.exports = { TESTS };
@@ -0,0 +1,106 @@
+// src/ruleTest.js - CUSTOM RULE VALIDATION AND EVALUATION
+//
+// Offline: rules are evaluated against a hand-built analysis result.
+const assert = require('assert');
+const ruleEngine = require('./analyzers/ruleEngine');
+const fixtures = require('./testFixtures');
+const testRunner = require('./testRunner');
+
+const MINT = fixtures.key(1);
+
+const ANALYSIS = {
+  mintAddress: MINT,
+  riskScore: 45,
+  checks: {
+    holders: { concentration: { top1Percentage: 35, top10Percentage: 35 } },
+    metadata: { metadata: { source: 'BASIC' } },
+    authorities: { freezeAuthority: fixtures.key(2), mintAuthority: null }
+  },
+  findings: [{ code: 'NO_LIQUIDITY_POOLS' }],
+  recommendations: ['a', 'b']
+};
+
+let ruleCount = 0;
+const rule = when => ({ id: `TEST_RULE_${++ruleCount}`, severity: 'HIGH', message: 'Test rule', when });
+
+// The ids of the rules that fired
+function fired(...conditions) {
+  const ruleSet = ruleEngine.resolve(conditions.map(rule));
+  return ruleEngine.evaluate(ruleSet, ANALYSIS).fired.map(entry => entry.id);
+}
+
+const holds = condition => fired(condition).length === 1;
+
+const TESTS = {
+  'Compares facts with each operator': () => {
+    assert.ok(holds({ fact: 'checks.holders.concentration.top1Percentage', op: '>', value: 30 }));
+    assert.ok(!holds({ fact: 'checks.holders.concentration.top1Percentage', op: '<=', value: 30 }));
+    assert.ok(holds({ fact: 'checks.metadata.metadata.source', op: 'in', value: ['BASIC', 'NONE'] }));
+    assert.ok(holds({ fact: 'checks.authorities.freezeAuthority', op: 'exists' }));
+    assert.ok(holds({ fact: 'checks.authorities.mintAuthority', op: 'missing' }));
+    assert.ok(holds({ fact: 'recommendations.length', op: '==', value: 2 }));
+    // Numeric operators never match a missing fact
+    assert.ok(!holds({ fact: 'checks.social.score', op: '<', value: 50 }));
+  },
+
+  'Compares one fact against another': () => {
+    assert.ok(holds({
+      fact: 'checks.holders.concentration.top1Percentage',
+      op: '>=',
+      value: { fact: 'checks.holders.concentration.top10Percentage' }
+    }));
+  },
+
+  'Combines conditions with all, any, not and finding': () => {
+    assert.ok(holds({
+      all: [
+        { fact: 'checks.authorities.freezeAuthority', op: 'exists' },
+        { finding: 'NO_LIQUIDITY_POOLS' }
+      ]
+    }));
+    assert.ok(!holds({ all: [{ finding: 'NO_LIQUIDITY_POOLS' }, { finding: 'CREATOR_DUMPED' }] }));
+    assert.ok(holds({ any: [{ finding: 'CREATOR_DUMPED' }, { fact: 'riskScore', op: '>', value: 40 }] }));
+    assert.ok(holds({ not: { finding: 'CREATOR_DUMPED' } }));
+  },
+
+  'Reports the facts a fired rule looked at as evidence': () => {
+    const ruleSet = ruleEngine.resolve([rule({
+      all: [
+        { fact: 'riskScore', op: '>', value: 40 },
+        { fact: 'checks.social.score', op: 'missing' }
+      ]
+    })]);
+    const report = ruleEngine.evaluate(ruleSet, ANALYSIS);
+
+    assert.deepStrictEqual(report.fired[0].facts, { riskScore: 45, 'checks.social.score': null });
+    assert.strictEqual(report.findings[0].code, ruleSet.rules[0].id);
+    assert.deepStrictEqual(report.findings[0].evidence.accounts, [MINT]);
+  },
+
+  'Rejects a condition that combines more than one kind': () => {
+    assert.throws(
+      () => ruleEngine.resolve([rule({ all: [{ finding: 'NO_LIQUIDITY_POOLS' }], any: [{ finding: 'CREATOR_DUMPED' }] })]),
+      /combines all, any/
+    );
+    assert.throws(
+      () => ruleEngine.resolve([rule({ finding: 'NO_LIQUIDITY_POOLS', fact: 'riskScore', op: '>', value: 40 })]),
+      /combines finding, fact/
+    );
+  },
+
+  'Rejects malformed rules with every problem listed': () => {
+    assert.throws(
+      () => ruleEngine.resolve([{ id: 'lower', severity: 'NOPE', when: { fact: 'riskScore', op: '~' } }]),
+      error => ['id must be an UPPER_SNAKE_CASE string', 'severity must be one of', 'message is required', 'op must be one of']
+        .every(problem => error.message.includes(problem))
+    );
+    assert.throws(() => ruleEngine.resolve([rule({ fact: 'riskScore', op: '>' })]), /value is required for >/);
+    assert.throws(() => ruleEngine.resolve([rule({ all: [] })]), /all must be a non-empty array/);
+  }
+};
+
+if (require.main === module) {
+  testRunner.run('rule', TESTS);
+}
+
+module.exports = { TESTS };
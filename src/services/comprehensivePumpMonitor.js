@@ -2,11 +2,19 @@
 const WebSocket = require('ws');
 const { Connection, PublicKey } = require('@solana/web3.js');
 const EventEmitter = require('events');
+const findings = require('../utils/findings');
+const riskModel = require('../analyzers/riskModel');
+const policyManager = require('../config/policy');
+const pumpLayout = require('../utils/pumpLayout');
+const poolLayout = require('../utils/poolLayout');
+const AnalysisContext = require('../analyzers/analysisContext');
+const liquidityAnalyzer = require('../analyzers/liquidityAnalyzer');
+const { PUMP_FUN } = require('../config/constants');
 
 class ComprehensivePumpMonitor extends EventEmitter {
     constructor() {
         super();
-        this.PUMP_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+        this.PUMP_PROGRAM_ID = PUMP_FUN.PROGRAM_ID;
         
         this.wsUrl = process.env.SOLANA_RPC_WSS;
         this.httpUrl = process.env.SOLANA_RPC_HTTP;
@@ -21,10 +29,26 @@ class ComprehensivePumpMonitor extends EventEmitter {
         this.processedSignatures = new Set();
         this.maxQueueSize = 6; // Smaller queue for full analysis
         this.analysisDelay = 25000; // 25 seconds for complete initialization
+        this.analysisDeadline = 45000; // Unfinished checks are cancelled so the queue keeps moving
+        this.policy = null; // Risk policy path/object; null = default policy
+        this.rules = null; // Rules directory/array; null = default rules directory
+        this.profile = 'monitor'; // Analysis profile name/path/object (config/profiles.js)
+        
+        // Graduation tracking - analyzed pump.fun tokens are watched until their
+        // curve completes, then liquidity is re-checked on the new pool
+        this.analyzedTokens = new Map(); // mint -> summary of the launch analysis
+        this.maxTrackedTokens = 500;
+        this.graduationQueue = [];
+        this.isCheckingGraduation = false;
+        this.migrationDelay = 20000; // The migration lands a little after the CompleteEvent
+        this.migrationAttempts = 5;
+        this.migrationSignatures = 100; // Recent mint signatures searched for the pool creation
+        this.migrationTransactions = 10; // Of those since completion, how many are fetched
         
         this.stats = {
             detected: 0,
             analyzed: 0,
+            graduated: 0,
             apiCalls: 0,
             startTime: Date.now(),
             recentResults: []
@@ -46,6 +70,7 @@ class ComprehensivePumpMonitor extends EventEmitter {
         try {
             await this.connectWebSocket();
             this.startComprehensiveWorker();
+            this.startGraduationWorker();
             this.setupControls();
             
             console.log('✅ Comprehensive monitoring active!');
@@ -104,6 +129,7 @@ class ComprehensivePumpMonitor extends EventEmitter {
             
             if (message.method === 'logsNotification' && message.params) {
                 this.processTokenCreation(message.params);
+                this.processGraduation(message.params);
             }
             
         } catch (error) {
@@ -114,13 +140,18 @@ class ComprehensivePumpMonitor extends EventEmitter {
     processTokenCreation(params) {
         try {
             const result = params.result;
-            const signature = result.value.signature;
-            const logs = result.value.logs;
+            const { signature, logs, err } = result.value;
             
             if (this.processedSignatures.has(signature)) return;
             
-            // Filter for actual token creation
-            if (!this.isRealTokenCreation(logs)) return;
+            // Failed transactions still log the events emitted before the failure
+            if (err) return;
+            
+            // CreateEvent names the mint - no transaction fetch needed
+            const creation = pumpLayout.findEvent(logs, 'CreateEvent');
+            
+            // Truncated logs can lose the event; those fall back to getTransaction
+            if (!creation && !(pumpLayout.isTruncated(logs) && this.isRealTokenCreation(logs))) return;
             
             this.processedSignatures.add(signature);
             this.stats.detected++;
@@ -130,12 +161,15 @@ class ComprehensivePumpMonitor extends EventEmitter {
                 slot: result.context.slot,
                 timestamp: new Date().toISOString(),
                 logs,
-                detectedAt: Date.now()
+                detectedAt: Date.now(),
+                mint: creation?.mint || null,
+                creation
             };
             
             if (this.tokenQueue.length < this.maxQueueSize) {
                 this.tokenQueue.push(tokenEvent);
-                console.log(`🆕 Token queued for COMPREHENSIVE analysis (${this.tokenQueue.length}): ${signature.substring(0, 10)}...`);
+                const label = creation ? `${creation.symbol} ${creation.mint}` : `${signature.substring(0, 10)}...`;
+                console.log(`🆕 Token queued for COMPREHENSIVE analysis (${this.tokenQueue.length}): ${label}`);
             }
             
         } catch (error) {
@@ -143,6 +177,44 @@ class ComprehensivePumpMonitor extends EventEmitter {
         }
     }
 
+    // CompleteEvent and the PumpSwap migration event both name the mint, so
+    // graduations of tokens this monitor never analyzed cost no requests
+    processGraduation(params) {
+        try {
+            const { signature, logs, err } = params.result.value;
+            if (err || this.analyzedTokens.size === 0) return;
+            
+            const events = pumpLayout.parseEvents(logs);
+            const complete = events.find(event => event.event === 'CompleteEvent');
+            const migration = events.find(event => event.event === 'CompletePumpAmmMigrationEvent');
+            const mint = complete?.mint || migration?.mint;
+            if (!mint || !this.analyzedTokens.has(mint)) return;
+            
+            const queued = this.graduationQueue.find(entry => entry.mint === mint);
+            if (queued) {
+                // The migration followed the completion - read it instead of searching
+                if (migration && !queued.migrationSignature) queued.migrationSignature = signature;
+                return;
+            }
+            
+            this.graduationQueue.push({
+                mint,
+                slot: params.result.context.slot,
+                completeSignature: complete ? signature : null,
+                migrationSignature: migration ? signature : null,
+                detectedAt: Date.now(),
+                attempts: 0
+            });
+            
+            console.log(migration
+                ? `🎓 Migration seen: ${mint} - re-checking liquidity shortly`
+                : `🎓 Bonding curve complete: ${mint} - waiting for migration`);
+            
+        } catch (error) {
+            console.error('Graduation processing error:', error.message);
+        }
+    }
+
     isRealTokenCreation(logs) {
         const creationIndicators = [
             'Program log: Instruction: InitializeMint2',
@@ -184,10 +256,125 @@ class ComprehensivePumpMonitor extends EventEmitter {
         }, 8000); // Check every 8 seconds
     }
 
+    startGraduationWorker() {
+        setInterval(async () => {
+            if (this.isCheckingGraduation || this.graduationQueue.length === 0) return;
+            
+            // Entries are queued in detection order, so the head is always the oldest
+            if (Date.now() - this.graduationQueue[0].detectedAt < this.migrationDelay) return;
+            
+            this.isCheckingGraduation = true;
+            const entry = this.graduationQueue.shift();
+            
+            try {
+                await this.checkGraduation(entry);
+            } catch (error) {
+                console.error(`❌ Graduation check failed: ${error.message}`);
+            } finally {
+                this.isCheckingGraduation = false;
+            }
+        }, 10000); // Check every 10 seconds
+    }
+
+    async checkGraduation(entry) {
+        const { mint } = entry;
+        // Evicted from tracking while it waited
+        if (!this.analyzedTokens.has(mint)) return;
+        
+        const migration = entry.migrationSignature
+            ? await this.readMigration(entry.migrationSignature, mint)
+            : await this.findMigration(entry);
+        
+        if (!migration) {
+            entry.attempts++;
+            if (entry.attempts < this.migrationAttempts) {
+                entry.detectedAt = Date.now();
+                this.graduationQueue.push(entry);
+            } else {
+                console.log(`⚠️ No migration found for ${mint} after ${entry.attempts} attempts`);
+            }
+            return;
+        }
+        
+        const previous = this.analyzedTokens.get(mint);
+        this.analyzedTokens.delete(mint);
+        
+        console.log(`\n🎓 GRADUATED: ${mint} migrated to ${migration.pool.dex} - re-checking liquidity...`);
+        const ctx = new AnalysisContext(mint, { policy: this.policy });
+        const liquidity = await liquidityAnalyzer.analyzeLiquidity(mint, ctx);
+        this.stats.apiCalls += ctx.getStats().requests;
+        this.stats.graduated++;
+        
+        const graduation = {
+            mint,
+            completeSignature: entry.completeSignature,
+            migrationSignature: migration.signature,
+            pool: migration.pool,
+            liquidity,
+            previous,
+            graduatedAt: new Date().toISOString()
+        };
+        
+        this.displayGraduation(graduation);
+        this.emit('graduated', graduation);
+    }
+
+    // The mint's pool creation since the curve completed, oldest first
+    async findMigration(entry) {
+        const ctx = new AnalysisContext(entry.mint, { policy: this.policy });
+        const history = await ctx.getSignatures(this.migrationSignatures);
+        const candidates = history
+            .filter(item => !item.failed && item.slot >= entry.slot)
+            .reverse()
+            .slice(0, this.migrationTransactions);
+        
+        try {
+            for (const item of candidates) {
+                const transaction = await ctx.getTransaction(item.signature);
+                const pool = transaction && poolLayout.findPoolCreation(transaction, entry.mint);
+                if (pool) return { signature: item.signature, mint: entry.mint, pool };
+            }
+            return null;
+        } finally {
+            this.stats.apiCalls += ctx.getStats().requests;
+        }
+    }
+
+    // A migration seen in the logs may not be fetchable yet - null is retried
+    async readMigration(signature, mint) {
+        const ctx = new AnalysisContext(mint, { policy: this.policy });
+        
+        try {
+            const transaction = await ctx.getTransaction(signature);
+            const pool = transaction && poolLayout.findPoolCreation(transaction, mint);
+            return pool ? { signature, mint, pool } : null;
+        } finally {
+            this.stats.apiCalls += ctx.getStats().requests;
+        }
+    }
+
+    displayGraduation(graduation) {
+        const { liquidity, previous } = graduation;
+        
+        console.log(`${'═'.repeat(90)}`);
+        console.log(`🎓 TOKEN GRADUATED: ${graduation.mint}`);
+        console.log(`   DEX: ${graduation.pool.dex}`);
+        console.log(`   Pool: ${graduation.pool.pool}`);
+        console.log(`   LP Mint: ${graduation.pool.lpMint || 'Unknown'}`);
+        console.log(`   Migration: ${graduation.migrationSignature}`);
+        console.log(`   Liquidity: ${this.getLiquidityEmoji(liquidity.overallStatus)} ${liquidity.overallStatus}` +
+            ` (was ${previous.liquidityStatus || 'UNKNOWN'} at launch)`);
+        if (liquidity.pools?.length > 0) {
+            console.log(`   LP Security: ${liquidity.securedPercentage.toFixed(1)}% locked/burned`);
+        }
+        findings.toIssues(liquidity.findings || []).forEach(issue => console.log(`   ${issue}`));
+        console.log(`${'═'.repeat(90)}\n`);
+    }
+
     async runFullAnalysis(tokenEvent) {
         try {
-            // 1. Extract token mint
-            const tokenMint = await this.extractTokenMint(tokenEvent);
+            // 1. Token mint - from the CreateEvent, or the transaction if the logs were cut
+            const tokenMint = tokenEvent.mint || await this.extractTokenMint(tokenEvent);
             if (!tokenMint) {
                 console.log('❌ Could not extract token mint');
                 return;
@@ -199,22 +386,17 @@ class ComprehensivePumpMonitor extends EventEmitter {
             
             // 2. Run FULL analysis (same as single token command)
             const tokenAnalyzer = require('../analyzers/tokenAnalyzer');
-            const liquidityAnalyzer = require('../analyzers/liquidityAnalyzer');
             
             // **COMPLETE ANALYSIS WITH ALL FEATURES**
             const analysis = await tokenAnalyzer.analyzeToken(tokenMint, {
-                includeHolderAnalysis: true,    // ✅ Include holder analysis
-                includeHoneypotDetection: true, // ✅ Include honeypot detection  
-                includeMetadata: true,          // ✅ Include metadata
-                includeMarketData: false        // Skip for speed
+                profile: this.profile,
+                deadlineMs: this.analysisDeadline,
+                policy: this.policy,
+                rules: this.rules,
+                creationSignature: tokenEvent.signature
             });
             
-            // **ADD LIQUIDITY ANALYSIS**
-            console.log('💧 Analyzing liquidity locks...');
-            const liquidityAnalysis = await liquidityAnalyzer.analyzeLiquidity(tokenMint);
-            analysis.liquidity = liquidityAnalysis;
-            
-            this.stats.apiCalls += 12; // Estimate for full analysis
+            this.stats.apiCalls += analysis.rpcUsage?.requests || 0;
             
             // 3. Display FULL results (same as single token analysis)
             this.displayFullResults(tokenMint, analysis, tokenEvent);
@@ -237,16 +419,9 @@ class ComprehensivePumpMonitor extends EventEmitter {
             
             if (!transaction) return null;
             
-            // Extract from postTokenBalances (most reliable)
-            if (transaction.meta?.postTokenBalances) {
-                for (const balance of transaction.meta.postTokenBalances) {
-                    if (balance.mint && balance.uiTokenAmount) {
-                        return balance.mint;
-                    }
-                }
-            }
-            
-            return null;
+            // The create instruction names the mint, called directly or through a CPI
+            const create = pumpLayout.findInstruction(transaction, 'create');
+            return create ? create.mint : null;
             
         } catch (error) {
             return null;
@@ -259,8 +434,11 @@ class ComprehensivePumpMonitor extends EventEmitter {
         console.log(`${'═'.repeat(90)}`);
         console.log(`📍 Token: ${tokenMint}`);
         console.log(`📋 Transaction: ${tokenEvent.signature}`);
+        if (tokenEvent.creation) {
+            console.log(`🧑 Creator: ${tokenEvent.creation.user}`);
+        }
         console.log(`⏰ Detected: ${new Date(tokenEvent.timestamp).toLocaleString()}`);
-        console.log(`📊 Risk Score: ${analysis.riskScore}/100`);
+        console.log(`📊 Risk Score: ${riskModel.getEffectiveScore(analysis)}/100`);
         console.log(`🛡️ Safety Level: ${analysis.safetyLevel}`);
 
         // **TOKEN INFORMATION** (same as single analysis)
@@ -277,6 +455,51 @@ class ComprehensivePumpMonitor extends EventEmitter {
             console.log(`   Decimals: ${analysis.checks.basicInfo.mintInfo.decimals}`);
         }
 
+        // **BONDING CURVE** - where a fresh pump.fun token actually trades
+        const curve = analysis.checks.bondingCurve;
+        if (curve?.isPumpFun) {
+            console.log(`\n📈 BONDING CURVE:`);
+            console.log(`   Progress: ${curve.complete ? '🎓 Complete' : `${curve.progress.toFixed(1)}% to graduation`}`);
+            console.log(`   Price: ${curve.priceSol.toExponential(4)} SOL | Market Cap: ${curve.marketCapSol.toFixed(2)} SOL`);
+            console.log(`   Real SOL Reserves: ${curve.realSol.toFixed(3)} SOL`);
+        }
+
+        // **CREATOR POSITION** - what the dev bought at launch and did since
+        const position = analysis.checks.creatorPosition;
+        if (position?.creator) {
+            console.log(`\n👤 CREATOR POSITION:`);
+            if (position.initialBuy) {
+                const price = position.initialBuy.priceSol !== null ? ` at ${position.initialBuy.priceSol.toExponential(3)} SOL` : '';
+                console.log(`   Launch Buy: ${position.initialBuy.percentage.toFixed(1)}% of supply${price}`);
+            }
+            console.log(`   Holds Now: ${position.holdingPercentage.toFixed(1)}% | Sold: ${position.soldPercentage.toFixed(1)}% of their tokens`);
+            if (position.transfers.length > 0) {
+                console.log(`   🚨 Moved tokens to other wallets${position.distributedBeforeSelling ? ' before selling' : ''}!`);
+            }
+        }
+
+        // **CREATOR REPUTATION** - how the creator's earlier launches ended
+        const reputation = analysis.checks.creatorReputation;
+        if (reputation?.creator && reputation.earlierLaunches > 0) {
+            const { outcomes } = reputation;
+            console.log(`\n🧾 CREATOR REPUTATION:`);
+            console.log(`   Earlier Launches: ${reputation.earlierLaunches} (${outcomes.dumped} dumped, ${outcomes.dead} dead, ${outcomes.graduated} graduated)`);
+            if (reputation.medianTimeToDevSellSeconds !== null) {
+                console.log(`   Median Time to Dev Sell: ${(reputation.medianTimeToDevSellSeconds / 60).toFixed(1)} minutes`);
+            }
+        }
+
+        // **LAUNCH BUNDLE** - insiders buying alongside the create
+        const bundle = analysis.checks.launchBundle;
+        if (bundle?.launchSignature) {
+            const bundled = bundle.wallets.filter(wallet => wallet.bundled);
+            console.log(`\n🎯 LAUNCH BUNDLE:`);
+            console.log(`   Early Buyers: ${bundle.wallets.length} with ${bundle.sniperPercentage.toFixed(1)}% of supply`);
+            if (bundled.length > 0) {
+                console.log(`   🚨 ${bundled.length} bundled wallet(s) bought ${bundle.bundledPercentage.toFixed(1)}%, still hold ${bundle.bundledHeldPercentage.toFixed(1)}%`);
+            }
+        }
+
         // **CRITICAL SECURITY CHECKS** (same as single analysis)
         console.log(`\n🔒 CRITICAL SECURITY CHECKS:`);
         
@@ -395,37 +618,20 @@ class ComprehensivePumpMonitor extends EventEmitter {
         return emojis[status] || '❓';
     }
 
+    collectAllFindings(analysis) {
+        return findings.collect(analysis.findings || [], analysis.liquidity?.findings || []);
+    }
+
     collectIssues(analysis) {
-        const issues = [];
-        
-        Object.values(analysis.checks).forEach(check => {
-            if (check?.issues) issues.push(...check.issues);
-        });
-        
-        if (analysis.liquidity?.riskFactors) {
-            issues.push(...analysis.liquidity.riskFactors);
-        }
-        
-        return [...new Set(issues)];
+        return [...new Set(findings.toIssues(this.collectAllFindings(analysis)))];
     }
 
     collectWarnings(analysis) {
-        const warnings = [];
-        
-        Object.values(analysis.checks).forEach(check => {
-            if (check?.warnings) warnings.push(...check.warnings);
-        });
-        
-        if (analysis.liquidity?.warnings) {
-            warnings.push(...analysis.liquidity.warnings);
-        }
-        
-        return [...new Set(warnings)];
+        return [...new Set(findings.toWarnings(this.collectAllFindings(analysis)))];
     }
 
     getFinalRecommendation(analysis) {
         const reasons = [];
-        let verdict = '';
         
         // Check authorities
         const auth = analysis.checks.authorities;
@@ -443,18 +649,7 @@ class ComprehensivePumpMonitor extends EventEmitter {
             reasons.push(`Only ${analysis.liquidity.securedPercentage.toFixed(1)}% liquidity secured - high rug pull risk`);
         }
         
-        // Generate verdict
-        if (analysis.riskScore >= 80) {
-            verdict = '🚨 DO NOT TRADE - Multiple critical security flaws';
-        } else if (analysis.riskScore >= 60) {
-            verdict = '⚠️ AVOID - High risk of rug pull or scam';
-        } else if (analysis.riskScore >= 40) {
-            verdict = '⚠️ PROCEED WITH EXTREME CAUTION';
-        } else if (analysis.riskScore >= 20) {
-            verdict = '✅ RELATIVELY SAFE - Always DYOR';
-        } else {
-            verdict = '✅ APPEARS SECURE - Good security practices';
-        }
+        const verdict = analysis.recommendation;
         
         return { verdict, reasons };
     }
@@ -462,7 +657,7 @@ class ComprehensivePumpMonitor extends EventEmitter {
     storeResult(tokenMint, analysis, tokenEvent) {
         this.stats.recentResults.unshift({
             tokenMint,
-            riskScore: analysis.riskScore,
+            riskScore: riskModel.getEffectiveScore(analysis),
             safetyLevel: analysis.safetyLevel,
             liquiditySecured: analysis.liquidity?.securedPercentage || 0,
             timestamp: new Date().toISOString(),
@@ -472,6 +667,22 @@ class ComprehensivePumpMonitor extends EventEmitter {
         if (this.stats.recentResults.length > 15) {
             this.stats.recentResults.pop();
         }
+        
+        // Tokens still on their curve are watched for graduation
+        const curve = analysis.checks.bondingCurve;
+        if (curve?.isPumpFun && !curve.complete) {
+            this.analyzedTokens.set(tokenMint, {
+                signature: tokenEvent.signature,
+                analyzedAt: new Date().toISOString(),
+                riskScore: riskModel.getEffectiveScore(analysis),
+                liquidityStatus: analysis.liquidity?.overallStatus || null
+            });
+            
+            // Map order is insertion order - drop the oldest first
+            if (this.analyzedTokens.size > this.maxTrackedTokens) {
+                this.analyzedTokens.delete(this.analyzedTokens.keys().next().value);
+            }
+        }
     }
 
     setupControls() {
@@ -514,6 +725,7 @@ class ComprehensivePumpMonitor extends EventEmitter {
         console.log(`🔍 Status: ${this.isAnalyzing ? 'Analyzing token' : 'Waiting'}`);
         console.log(`📝 Queue: ${this.tokenQueue.length}/${this.maxQueueSize}`);
         console.log(`📊 Detected: ${this.stats.detected} | Analyzed: ${this.stats.analyzed}`);
+        console.log(`🎓 Graduated: ${this.stats.graduated} | Watching: ${this.analyzedTokens.size} | Pending: ${this.graduationQueue.length}`);
         console.log(`📡 API Calls: ${this.stats.apiCalls}`);
         console.log('\n🎯 FULL ANALYSIS FEATURES:');
         console.log('   ✅ Authority checks (mint/freeze)');
@@ -533,9 +745,11 @@ class ComprehensivePumpMonitor extends EventEmitter {
             return;
         }
         
+        const policy = policyManager.resolve(this.policy);
         this.stats.recentResults.slice(0, 8).forEach((result, i) => {
             const time = new Date(result.timestamp).toLocaleTimeString();
-            const riskColor = result.riskScore >= 60 ? '🔴' : result.riskScore >= 40 ? '🟠' : '🟢';
+            // Same band, and so the same emoji, as the result's safety level
+            const [riskColor] = riskModel.getBand(result.riskScore, policy).safetyLevel.split(' ');
             const liqColor = result.liquiditySecured >= 60 ? '🟢' : result.liquiditySecured >= 30 ? '🟠' : '🔴';
             
             console.log(`   ${i+1}. ${riskColor} ${result.tokenMint.substring(0, 10)}... | Risk: ${result.riskScore} | Liq: ${liqColor} ${result.liquiditySecured.toFixed(0)}% | ${time}`);
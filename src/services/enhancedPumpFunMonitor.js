@@ -1,11 +1,13 @@
 // src/services/enhancedPumpFunMonitor.js - QUEUE-BASED SYSTEM
 const { Connection, PublicKey } = require('@solana/web3.js');
 const EventEmitter = require('events');
+const pumpLayout = require('../utils/pumpLayout');
+const { PUMP_FUN } = require('../config/constants');
 
 class EnhancedPumpFunMonitor extends EventEmitter {
     constructor() {
         super();
-        this.PUMP_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+        this.PUMP_PROGRAM_ID = PUMP_FUN.PROGRAM_ID;
         
         const rpcUrl = process.env.SOLANA_RPC_HTTP && process.env.SOLANA_RPC_HTTP !== 'undefined' 
             ? process.env.SOLANA_RPC_HTTP 
@@ -75,20 +77,15 @@ class EnhancedPumpFunMonitor extends EventEmitter {
         if (!this.isStreaming) return; // Skip if streaming is paused
         
         try {
-            // Prevent duplicate processing
-            if (this.processedSignatures.has(logs.signature)) {
+            // Prevent duplicate processing and skip failed transactions
+            if (this.processedSignatures.has(logs.signature) || logs.err) {
                 return;
             }
             
-            // Look for token creation patterns
-            const hasTokenCreation = logs.logs.some(log => 
-                log.includes('Program log: Instruction: InitializeMint2') ||
-                log.includes('InitializeMint2') ||
-                log.includes('CreateToken') ||
-                (log.includes('create') && log.includes('mint'))
-            );
+            // The CreateEvent log line identifies the launch and its mint
+            const creation = pumpLayout.findEvent(logs.logs, 'CreateEvent');
 
-            if (hasTokenCreation) {
+            if (creation) {
                 this.processedSignatures.add(logs.signature);
                 this.stats.detected++;
                 
@@ -96,8 +93,13 @@ class EnhancedPumpFunMonitor extends EventEmitter {
                     signature: logs.signature,
                     slot: context.slot,
                     timestamp: new Date().toISOString(),
-                    accounts: logs.accounts || [],
-                    detectedAt: Date.now()
+                    detectedAt: Date.now(),
+                    mint: creation.mint,
+                    bondingCurve: creation.bondingCurve,
+                    creator: creation.user,
+                    name: creation.name,
+                    symbol: creation.symbol,
+                    uri: creation.uri
                 };
                 
                 // Add to queue if not full
@@ -1,5 +1,7 @@
 // src/services/jupiterService.js - UPDATED FOR FREE API
 const axios = require('axios');
+const abort = require('../utils/abort');
+const policyManager = require('../config/policy');
 const logger = require('../utils/logger');
 
 class JupiterService {
@@ -11,49 +13,62 @@ class JupiterService {
         
         this.apiAvailable = true;
         this.lastRequestTime = 0;
-        this.rateLimit = 1100; // 1.1 seconds between requests (slightly over 1 RPS limit)
+        this.minRequestInterval = 1100; // 1.1 seconds between requests (slightly over 1 RPS limit)
+        this.requestChain = Promise.resolve(); // Serializes callers when checks run in parallel
         
         logger.info('Jupiter Service initialized with FREE API (1 RPS limit)');
     }
 
-    async rateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        
-        if (timeSinceLastRequest < this.rateLimit) {
-            const waitTime = this.rateLimit - timeSinceLastRequest;
-            logger.debug(`Rate limiting: waiting ${waitTime}ms`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+    // Every request method takes an optional `signal`; an aborted caller leaves
+    // the queue without holding up the callers behind it
+    async rateLimit(signal) {
+        const slot = this.requestChain.then(async () => {
+            abort.throwIfAborted(signal);
+
+            const now = Date.now();
+            const timeSinceLastRequest = now - this.lastRequestTime;
+            
+            if (timeSinceLastRequest < this.minRequestInterval) {
+                const waitTime = this.minRequestInterval - timeSinceLastRequest;
+                logger.debug(`Rate limiting: waiting ${waitTime}ms`);
+                await abort.delay(waitTime, signal);
+            }
+            
+            this.lastRequestTime = Date.now();
+        });
         
-        this.lastRequestTime = Date.now();
+        this.requestChain = slot.catch(() => {});
+        return slot;
     }
 
-    async testConnectivity() {
+    async testConnectivity({ signal } = {}) {
         try {
-            await this.rateLimit();
+            await this.rateLimit(signal);
             const response = await axios.get(`${this.priceURL}?ids=So11111111111111111111111111111111111111112`, {
-                timeout: 5000
+                timeout: 5000,
+                signal
             });
             
             logger.info('Jupiter API connectivity: ✅ OK');
             return true;
         } catch (error) {
+            if (abort.isAbortError(error)) throw error;
             logger.warn('Jupiter API connectivity: ❌ FAILED -', error.message);
             return false;
         }
     }
 
-    async getPrice(tokenMint, vsCurrency = 'USDC') {
+    async getPrice(tokenMint, vsCurrency = 'USDC', { signal } = {}) {
         try {
-            await this.rateLimit();
+            await this.rateLimit(signal);
             
             const response = await axios.get(`${this.priceURL}`, {
                 params: {
                     ids: tokenMint,
                     vsToken: vsCurrency
                 },
-                timeout: 10000
+                timeout: 10000,
+                signal
             });
             
             if (response.data.data && response.data.data[tokenMint]) {
@@ -68,14 +83,15 @@ class JupiterService {
             
             return null;
         } catch (error) {
+            if (abort.isAbortError(error)) throw error;
             logger.error(`Failed to get price for ${tokenMint}:`, error.message);
             return null;
         }
     }
 
-    async getSwapQuote(inputMint, outputMint, amount, slippageBps = 50) {
+    async getSwapQuote(inputMint, outputMint, amount, slippageBps = 50, { signal } = {}) {
         try {
-            await this.rateLimit();
+            await this.rateLimit(signal);
             
             const response = await axios.get(this.quoteURL, {
                 params: {
@@ -84,17 +100,22 @@ class JupiterService {
                     amount,
                     slippageBps
                 },
-                timeout: 15000
+                timeout: 15000,
+                signal
             });
             
             return response.data;
         } catch (error) {
+            if (abort.isAbortError(error)) throw error;
             logger.error(`Failed to get swap quote:`, error.message);
             throw error;
         }
     }
 
-    async simulateSwap(tokenMint, testAmount = 1000000) {
+    // `thresholds` are the risk policy's honeypot.trading settings
+    async simulateSwap(tokenMint, testAmount = 1000000, { signal, thresholds } = {}) {
+        const limits = thresholds || policyManager.defaultPolicy.honeypot.trading;
+
         try {
             logger.info(`🔄 Simulating swap for honeypot detection: ${tokenMint}`);
             
@@ -102,7 +123,7 @@ class JupiterService {
             
             // Test buying tokens with SOL
             logger.debug('Testing BUY transaction...');
-            const buyQuote = await this.getSwapQuote(SOL_MINT, tokenMint, testAmount);
+            const buyQuote = await this.getSwapQuote(SOL_MINT, tokenMint, testAmount, 50, { signal });
             
             if (!buyQuote || !buyQuote.outAmount) {
                 return {
@@ -121,7 +142,7 @@ class JupiterService {
 
             // Test selling tokens back to SOL
             logger.debug('Testing SELL transaction...');
-            const sellQuote = await this.getSwapQuote(tokenMint, SOL_MINT, buyQuote.outAmount);
+            const sellQuote = await this.getSwapQuote(tokenMint, SOL_MINT, buyQuote.outAmount, 50, { signal });
             
             const canSell = !!sellQuote;
             
@@ -130,26 +151,26 @@ class JupiterService {
             const indicators = [];
             
             if (!canSell) {
-                honeypotProbability = 95;
+                honeypotProbability = limits.cannotSellRisk;
                 indicators.push('CANNOT_SELL');
             } else {
                 // Check for suspicious price impact
                 const buyImpact = parseFloat(buyQuote.priceImpactPct || 0);
                 const sellImpact = parseFloat(sellQuote.priceImpactPct || 0);
                 
-                if (buyImpact > 10) {
-                    honeypotProbability += 20;
+                if (buyImpact > limits.highBuyImpactPct) {
+                    honeypotProbability += limits.buyImpactRisk;
                     indicators.push('HIGH_BUY_IMPACT');
                 }
                 
-                if (sellImpact > 15) {
-                    honeypotProbability += 30;
+                if (sellImpact > limits.highSellImpactPct) {
+                    honeypotProbability += limits.sellImpactRisk;
                     indicators.push('HIGH_SELL_IMPACT');
                 }
                 
                 // Check route count (fewer routes = more suspicious)
                 if (buyQuote.routePlan && buyQuote.routePlan.length === 1) {
-                    honeypotProbability += 10;
+                    honeypotProbability += limits.limitedRoutesRisk;
                     indicators.push('LIMITED_ROUTES');
                 }
             }
@@ -171,6 +192,7 @@ class JupiterService {
             };
             
         } catch (error) {
+            if (abort.isAbortError(error)) throw error;
             logger.error(`Swap simulation failed for ${tokenMint}:`, error.message);
             return {
                 canBuy: false,
@@ -4,7 +4,10 @@ const axios = require('axios');
 const { Connection, PublicKey } = require('@solana/web3.js');
 const { METADATA_APIS } = require('../config/constants');
 const solanaService = require('./solanaService');
+const tokenLayout = require('../utils/tokenLayout');
 const rateLimiter = require('../config/rateLimit');
+const findings = require('../utils/findings');
+const abort = require('../utils/abort');
 const logger = require('../utils/logger');
 
 class MetadataService {
@@ -12,20 +15,48 @@ class MetadataService {
     this.metaplexProgramId = 'metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s';
   }
 
-  async getTokenMetadata(mintAddress) {
+  // `context` is an optional AnalysisContext whose cached lookups are reused.
+  // `source` on the result says where the metadata came from: TOKEN_2022
+  // (the mint's own TokenMetadata extension), METADATA_POINTER (another
+  // account the mint's MetadataPointer names), METAPLEX or BASIC (none found).
+  async getTokenMetadata(mintAddress, context = null) {
     try {
       logger.debug(`Fetching metadata for token: ${mintAddress}`);
 
-      // Try to get Metaplex metadata first
-      const metaplexMetadata = await this.getMetaplexMetadata(mintAddress);
+      // Metaplex metadata lives at its own PDA and does not need the mint,
+      // so a failed mint lookup only rules out the Token-2022 path
+      let mintInfo = null;
+      let mintError = null;
+      try {
+        mintInfo = context
+          ? await context.getMintInfo()
+          : await solanaService.getTokenMintInfo(mintAddress);
+      } catch (error) {
+        if (abort.isAbortError(error)) throw error;
+        logger.warn(`Mint info unavailable for ${mintAddress}, trying Metaplex metadata: ${error.message}`);
+        mintError = error;
+      }
+      const pointer = mintInfo && tokenLayout.findExtension(mintInfo.extensions, 'MetadataPointer');
+      const metadataPointer = pointer ? pointer.config : undefined;
+
+      // Token-2022 metadata is what wallets show, so it wins over Metaplex
+      const tokenMetadata = mintInfo && await this.getToken2022Metadata(mintAddress, mintInfo, context);
+      if (tokenMetadata) {
+        logger.debug(`Retrieved Token-2022 metadata (${tokenMetadata.source})`);
+        return { ...tokenMetadata, metadataPointer };
+      }
+
+      const metaplexMetadata = await this.getMetaplexMetadata(mintAddress, context);
       if (metaplexMetadata) {
         logger.debug('Retrieved Metaplex metadata');
-        return metaplexMetadata;
+        return { ...metaplexMetadata, metadataPointer };
       }
 
+      // Without mint info there is no basic token info to fall back on
+      if (mintError) throw mintError;
+
       // Fallback to basic token info
-      logger.debug('Metaplex metadata not found, using basic token info');
-      const basicInfo = await solanaService.getTokenMintInfo(mintAddress);
+      logger.debug('No on-chain metadata found, using basic token info');
 
       return {
         mint: mintAddress,
@@ -35,23 +66,91 @@ class MetadataService {
         image: null,
         uri: null,
         creators: [],
-        ...basicInfo,
+        ...mintInfo,
+        metadataPointer,
         source: 'BASIC'
       };
 
     } catch (error) {
-      logger.error(`Failed to get metadata for ${mintAddress}:`, error.message);
+      if (!abort.isAbortError(error)) {
+        logger.error(`Failed to get metadata for ${mintAddress}:`, error.message);
+      }
       throw error;
     }
   }
 
-  async getMetaplexMetadata(mintAddress) {
+  // Follows the MetadataPointer extension, or reads an embedded TokenMetadata
+  // extension on mints whose pointer is missing or empty. A pointer at the Metaplex PDA is left to
+  // getMetaplexMetadata.
+  async getToken2022Metadata(mintAddress, mintInfo, context = null) {
+    try {
+      const pointer = tokenLayout.findExtension(mintInfo.extensions, 'MetadataPointer');
+      const embedded = tokenLayout.findExtension(mintInfo.extensions, 'TokenMetadata');
+      const metadataAddress = pointer?.config.metadataAddress || (embedded ? mintAddress : null);
+
+      if (!metadataAddress) return null;
+
+      let metadata;
+      let source;
+
+      if (metadataAddress === mintAddress) {
+        metadata = embedded && embedded.config;
+        source = 'TOKEN_2022';
+      } else {
+        if (metadataAddress === await this.findMetadataPDA(mintAddress)) return null;
+
+        const accountInfo = context
+          ? await context.getAccountInfo(metadataAddress)
+          : await solanaService.getAccountInfo(metadataAddress);
+        if (!accountInfo) {
+          logger.debug(`Metadata pointer target ${metadataAddress} not found`);
+          return null;
+        }
+
+        metadata = tokenLayout.isTokenProgram(accountInfo.owner)
+          ? tokenLayout.findExtension(
+            tokenLayout.decodeMint(accountInfo.data, accountInfo.owner).extensions, 'TokenMetadata'
+          )?.config
+          : tokenLayout.decodeMetadataAccount(accountInfo.data);
+        source = 'METADATA_POINTER';
+      }
+
+      if (!metadata || metadata.decodeError) {
+        logger.debug(`No token metadata at ${metadataAddress}`);
+        return null;
+      }
+
+      const offChainMetadata = await this.getOffChainMetadata(metadata.uri, context);
+
+      return {
+        mint: mintAddress,
+        updateAuthority: metadata.updateAuthority,
+        name: metadata.name.trim(),
+        symbol: metadata.symbol.trim(),
+        uri: metadata.uri.trim(),
+        additionalMetadata: metadata.additionalMetadata,
+        creators: [],
+        ...offChainMetadata,
+        metadataAddress,
+        source
+      };
+
+    } catch (error) {
+      if (abort.isAbortError(error)) throw error;
+      logger.debug(`Failed to get Token-2022 metadata for ${mintAddress}:`, error.message);
+      return null;
+    }
+  }
+
+  async getMetaplexMetadata(mintAddress, context = null) {
     try {
       // Calculate the metadata PDA (Program Derived Address)
       const metadataPDA = await this.findMetadataPDA(mintAddress);
 
       // Get the metadata account
-      const accountInfo = await solanaService.getAccountInfo(metadataPDA);
+      const accountInfo = context
+        ? await context.getAccountInfo(metadataPDA)
+        : await solanaService.getAccountInfo(metadataPDA);
       if (!accountInfo) {
         logger.debug(`No metadata account found for ${mintAddress}`);
         return null;
@@ -59,30 +158,36 @@ class MetadataService {
 
       // Decode the metadata
       const metadata = this.decodeMetadata(accountInfo.data);
-
-      // If there's an off-chain URI, fetch that data too
-      let offChainMetadata = null;
-      if (metadata.uri && metadata.uri.trim() !== '') {
-        try {
-          offChainMetadata = await this.fetchOffChainMetadata(metadata.uri);
-        } catch (error) {
-          logger.warn(`Failed to fetch off-chain metadata from ${metadata.uri}:`, error.message);
-        }
-      }
+      const offChainMetadata = await this.getOffChainMetadata(metadata.uri, context);
 
       return {
         mint: mintAddress,
         ...metadata,
         ...offChainMetadata,
+        metadataAddress: metadataPDA,
         source: 'METAPLEX'
       };
 
     } catch (error) {
+      if (abort.isAbortError(error)) throw error;
       logger.debug(`Failed to get Metaplex metadata for ${mintAddress}:`, error.message);
       return null;
     }
   }
 
+  // If there's an off-chain URI, fetch that data too
+  async getOffChainMetadata(uri, context = null) {
+    if (!uri || uri.trim() === '') return null;
+
+    try {
+      return await this.fetchOffChainMetadata(uri, { signal: context?.signal });
+    } catch (error) {
+      if (abort.isAbortError(error)) throw error;
+      logger.warn(`Failed to fetch off-chain metadata from ${uri}:`, error.message);
+      return null;
+    }
+  }
+
   async findMetadataPDA(mintAddress) {
     const TOKEN_METADATA_PROGRAM = new PublicKey(this.metaplexProgramId);
     const mint = new PublicKey(mintAddress);
@@ -171,7 +276,7 @@ class MetadataService {
     }
   }
 
-  async fetchOffChainMetadata(uri) {
+  async fetchOffChainMetadata(uri, { signal } = {}) {
     try {
       return await rateLimiter.executeRequest(async () => {
         // Handle IPFS URIs
@@ -182,6 +287,7 @@ class MetadataService {
 
         const response = await axios.get(fetchUrl, { 
           timeout: 10000,
+          signal,
           headers: {
             'User-Agent': 'Solana-Token-Validator/1.0'
           }
@@ -194,9 +300,10 @@ class MetadataService {
           attributes: response.data.attributes || [],
           properties: response.data.properties || {}
         };
-      }, 1);
+      }, 1, { signal });
 
     } catch (error) {
+      if (abort.isAbortError(error)) throw error;
       logger.warn(`Failed to fetch off-chain metadata from ${uri}:`, error.message);
       return {
         description: null,
@@ -209,25 +316,35 @@ class MetadataService {
   }
 
   async validateMetadata(metadata) {
-    const issues = [];
-    const warnings = [];
+    const validationFindings = [];
+    const creatorAddresses = (metadata.creators || []).map(c => c.address);
 
     // Check for missing essential fields
     if (!metadata.name || metadata.name.trim() === '') {
-      issues.push('Missing token name');
+      validationFindings.push(findings.create('METADATA_NAME_MISSING', {
+        message: 'Missing token name',
+        severity: 'HIGH'
+      }));
     }
 
     if (!metadata.symbol || metadata.symbol.trim() === '') {
-      issues.push('Missing token symbol');
+      validationFindings.push(findings.create('METADATA_SYMBOL_MISSING', {
+        message: 'Missing token symbol',
+        severity: 'HIGH'
+      }));
     }
 
     // Check for suspicious patterns
     if (metadata.name && metadata.name.toLowerCase().includes('test')) {
-      warnings.push('Token name contains "test"');
+      validationFindings.push(findings.create('METADATA_NAME_CONTAINS_TEST', {
+        evidence: { name: metadata.name }
+      }));
     }
 
     if (metadata.symbol && metadata.symbol.length > 10) {
-      warnings.push('Symbol is unusually long');
+      validationFindings.push(findings.create('METADATA_SYMBOL_TOO_LONG', {
+        evidence: { symbol: metadata.symbol }
+      }));
     }
 
     // Check URI accessibility
@@ -235,24 +352,32 @@ class MetadataService {
       try {
         await this.fetchOffChainMetadata(metadata.uri);
       } catch (error) {
-        warnings.push('Off-chain metadata URI is not accessible');
+        validationFindings.push(findings.create('METADATA_URI_INACCESSIBLE', {
+          evidence: { uri: metadata.uri }
+        }));
       }
     } else {
-      warnings.push('No off-chain metadata URI provided');
+      validationFindings.push(findings.create('METADATA_URI_MISSING'));
     }
 
     // Check for creator verification
     if (metadata.creators && metadata.creators.length > 0) {
       const verifiedCreators = metadata.creators.filter(c => c.verified);
       if (verifiedCreators.length === 0) {
-        warnings.push('No verified creators found');
+        validationFindings.push(findings.create('METADATA_CREATORS_UNVERIFIED', {
+          evidence: { accounts: creatorAddresses }
+        }));
       }
     } else {
-      warnings.push('No creators specified');
+      validationFindings.push(findings.create('METADATA_CREATORS_MISSING'));
     }
 
+    const issues = findings.toIssues(validationFindings);
+    const warnings = findings.toWarnings(validationFindings);
+
     return {
       isValid: issues.length === 0,
+      findings: validationFindings,
       issues,
       warnings,
       score: this.calculateMetadataScore(metadata, issues, warnings)
@@ -1,12 +1,14 @@
 // src/services/optimizedPumpMonitor.js - ULTRA LOW API USAGE
 const WebSocket = require('ws');
-const { Connection, PublicKey } = require('@solana/web3.js');
+const { Connection } = require('@solana/web3.js');
 const EventEmitter = require('events');
+const pumpLayout = require('../utils/pumpLayout');
+const { PUMP_FUN } = require('../config/constants');
 
 class OptimizedPumpMonitor extends EventEmitter {
     constructor() {
         super();
-        this.PUMP_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+        this.PUMP_PROGRAM_ID = PUMP_FUN.PROGRAM_ID;
         
         this.wsUrl = process.env.SOLANA_RPC_WSS;
         this.httpUrl = process.env.SOLANA_RPC_HTTP;
@@ -23,6 +25,7 @@ class OptimizedPumpMonitor extends EventEmitter {
         
         // KEY: Wait before analyzing - tokens need time to initialize
         this.analysisDelay = 15000; // 15 seconds delay
+        this.profile = 'quick'; // Analysis profile name/path/object (config/profiles.js)
         
         this.stats = {
             detected: 0,
@@ -120,14 +123,16 @@ class OptimizedPumpMonitor extends EventEmitter {
     processLogEvent(params) {
         try {
             const result = params.result;
-            const signature = result.value.signature;
-            const logs = result.value.logs;
+            const { signature, logs, err } = result.value;
             
             // Skip duplicates
             if (this.processedSignatures.has(signature)) return;
             
-            // STRICT filtering for actual token creation
-            if (!this.isActualTokenCreation(logs)) {
+            // Exact detection: the CreateEvent names the mint. Only truncated
+            // logs, which can lose the event, fall back to log-text filtering.
+            const creation = err ? null : pumpLayout.findEvent(logs, 'CreateEvent');
+            const fallback = !creation && !err && pumpLayout.isTruncated(logs) && this.isActualTokenCreation(logs);
+            if (!creation && !fallback) {
                 this.stats.filtered++;
                 return;
             }
@@ -140,7 +145,9 @@ class OptimizedPumpMonitor extends EventEmitter {
                 slot: result.context.slot,
                 timestamp: new Date().toISOString(),
                 logs,
-                detectedAt: Date.now()
+                detectedAt: Date.now(),
+                mint: creation?.mint || null,
+                creation
             };
             
             if (this.tokenQueue.length < this.maxQueueSize) {
@@ -219,11 +226,11 @@ class OptimizedPumpMonitor extends EventEmitter {
             console.log(`📋 TX: ${tokenEvent.signature}`);
             console.log(`⏰ Age: ${((Date.now() - tokenEvent.detectedAt) / 1000).toFixed(1)}s`);
             
-            // Advanced token extraction with multiple methods
-            let tokenMint = await this.extractTokenMultiMethod(tokenEvent);
+            // Mint from the CreateEvent; extraction only when the logs were cut
+            let tokenMint = tokenEvent.mint || await this.extractTokenMint(tokenEvent);
             
             if (!tokenMint) {
-                console.log('❌ Token extraction failed with all methods');
+                console.log('❌ Token extraction failed');
                 return;
             }
             
@@ -241,10 +248,9 @@ class OptimizedPumpMonitor extends EventEmitter {
         }
     }
 
-    async extractTokenMultiMethod(tokenEvent) {
-        console.log('🔍 Extracting token mint (multiple methods)...');
+    async extractTokenMint(tokenEvent) {
+        console.log('🔍 Extracting token mint from the create instruction...');
         
-        // Method 1: Transaction parsing
         try {
             this.stats.apiCalls++;
             const transaction = await this.httpConnection.getTransaction(tokenEvent.signature, {
@@ -252,110 +258,50 @@ class OptimizedPumpMonitor extends EventEmitter {
                 maxSupportedTransactionVersion: 0
             });
             
-            if (transaction?.meta?.postTokenBalances) {
-                // Look for new token accounts with initial balance
-                for (const balance of transaction.meta.postTokenBalances) {
-                    if (balance.mint && balance.uiTokenAmount) {
-                        console.log(`   Method 1: Found via postTokenBalances`);
-                        return balance.mint;
-                    }
-                }
-            }
+            if (!transaction) return null;
+            
+            // Matched by discriminator, top-level or inner, mint read by IDL position
+            const create = pumpLayout.findInstruction(transaction, 'create');
+            return create ? create.mint : null;
             
-            // Try account keys
-            if (transaction?.transaction?.message?.accountKeys) {
-                const keys = transaction.transaction.message.accountKeys;
-                // Try different positions based on pump.fun patterns
-                for (let i = 1; i < Math.min(4, keys.length); i++) {
-                    const candidate = keys[i].toBase58();
-                    if (this.looksLikeTokenMint(candidate)) {
-                        console.log(`   Method 1: Found via accountKeys[${i}]`);
-                        return candidate;
-                    }
-                }
-            }
-        } catch (error) {
-            console.log(`   Method 1 failed: ${error.message}`);
-        }
-        
-        // Method 2: Log parsing
-        try {
-            const mintFromLogs = this.extractFromLogs(tokenEvent.logs);
-            if (mintFromLogs) {
-                console.log(`   Method 2: Found via log parsing`);
-                return mintFromLogs;
-            }
         } catch (error) {
-            console.log(`   Method 2 failed: ${error.message}`);
-        }
-        
-        return null;
-    }
-
-    extractFromLogs(logs) {
-        for (const log of logs) {
-            // Look for base58 addresses in logs that could be mints
-            const matches = log.match(/[A-HJ-NP-Z1-9]{32,44}/g);
-            if (matches) {
-                for (const match of matches) {
-                    if (this.looksLikeTokenMint(match)) {
-                        return match;
-                    }
-                }
-            }
+            console.log(`   Extraction failed: ${error.message}`);
+            return null;
         }
-        return null;
-    }
-
-    looksLikeTokenMint(address) {
-        if (!address || address.length < 32) return false;
-        
-        // Exclude known program addresses
-        const knownPrograms = [
-            this.PUMP_PROGRAM_ID,
-            'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // SPL Token
-            'So11111111111111111111111111111111111111112',   // WSOL
-            '11111111111111111111111111111111'               // System Program
-        ];
-        
-        return !knownPrograms.includes(address);
     }
 
     async runMinimalSecurityCheck(tokenMint, tokenEvent) {
         try {
             console.log('🔍 Running security check...');
             
-            // Single API call for essential info
-            this.stats.apiCalls++;
-            const tokenAccount = await this.httpConnection.getParsedAccountInfo(
-                new PublicKey(tokenMint)
-            );
+            const tokenAnalyzer = require('../analyzers/tokenAnalyzer');
+            const analysis = await tokenAnalyzer.analyzeToken(tokenMint, {
+                profile: this.profile,
+                creationSignature: tokenEvent.signature
+            });
             
-            if (!tokenAccount.value) {
-                console.log('❌ Token not found - still initializing?');
-                return;
-            }
+            this.stats.apiCalls += analysis.rpcUsage?.requests || 0;
             
-            if (tokenAccount.value.data.program !== 'spl-token') {
-                console.log('❌ Not a valid SPL token');
+            const authorities = analysis.checks.authorities;
+            if (!authorities || authorities.skipped || authorities.findings.some(f => f.code === 'CHECK_FAILED')) {
+                console.log('❌ Token not found - still initializing?');
                 return;
             }
             
-            const mintInfo = tokenAccount.value.data.parsed.info;
-            
             // Display optimized results
-            this.displaySecurityResults(tokenMint, mintInfo, tokenEvent);
+            this.displaySecurityResults(tokenMint, analysis, tokenEvent);
             
             // Store for history
-            this.storeResult(tokenMint, mintInfo, tokenEvent);
+            this.storeResult(tokenMint, analysis, tokenEvent);
             
         } catch (error) {
             console.error(`Security check failed: ${error.message}`);
         }
     }
 
-    displaySecurityResults(tokenMint, mintInfo, tokenEvent) {
+    displaySecurityResults(tokenMint, analysis, tokenEvent) {
         const age = ((Date.now() - tokenEvent.detectedAt) / 1000).toFixed(1);
+        const { authorities, programOwnership, basicInfo } = analysis.checks;
         
         console.log(`\n${'═'.repeat(75)}`);
         console.log(`🎯 SECURITY ANALYSIS RESULTS`);
@@ -363,48 +309,35 @@ class OptimizedPumpMonitor extends EventEmitter {
         console.log(`📍 Token: ${tokenMint}`);
         console.log(`📋 TX: ${tokenEvent.signature}`);
         console.log(`⏰ Analysis Delay: ${age}s`);
-        console.log(`📊 Supply: ${mintInfo.supply}`);
-        console.log(`📏 Decimals: ${mintInfo.decimals}`);
+        console.log(`🧭 Profile: ${analysis.profile}`);
+        if (basicInfo?.mintInfo) {
+            console.log(`📊 Supply: ${basicInfo.mintInfo.supply}`);
+            console.log(`📏 Decimals: ${basicInfo.mintInfo.decimals}`);
+        }
         
         console.log(`\n🔒 CRITICAL AUTHORITIES:`);
-        const mintStatus = mintInfo.mintAuthority ? '❌ ACTIVE (HIGH RISK!)' : '✅ REVOKED';
-        const freezeStatus = mintInfo.freezeAuthority ? '❌ ACTIVE (HIGH RISK!)' : '✅ REVOKED';
+        const mintStatus = authorities.mintAuthority ? '❌ ACTIVE (HIGH RISK!)' : '✅ REVOKED';
+        const freezeStatus = authorities.freezeAuthority ? '❌ ACTIVE (HIGH RISK!)' : '✅ REVOKED';
         
         console.log(`   Mint Authority: ${mintStatus}`);
         console.log(`   Freeze Authority: ${freezeStatus}`);
-        
-        // Risk assessment
-        let riskLevel = 'LOW';
-        let riskColor = '🟢';
-        let verdict = 'Relatively safe - authorities properly revoked';
-        
-        if (mintInfo.mintAuthority && mintInfo.freezeAuthority) {
-            riskLevel = 'CRITICAL';
-            riskColor = '🔴';
-            verdict = 'DANGEROUS - Both authorities active, avoid trading!';
-        } else if (mintInfo.mintAuthority) {
-            riskLevel = 'HIGH';
-            riskColor = '🔴';
-            verdict = 'HIGH RISK - Mint authority active, supply can be inflated!';
-        } else if (mintInfo.freezeAuthority) {
-            riskLevel = 'MODERATE';
-            riskColor = '🟠';
-            verdict = 'MODERATE RISK - Freeze authority active, accounts can be frozen';
+        if (programOwnership) {
+            console.log(`   Program Owner: ${programOwnership.isValidProgram ? '✅ Standard SPL Token' : '❌ Non-standard (RISK)'}`);
         }
         
-        console.log(`\n💡 VERDICT: ${riskColor} ${riskLevel} RISK`);
-        console.log(`   ${verdict}`);
+        console.log(`\n💡 VERDICT: ${analysis.safetyLevel} (risk ${analysis.riskScore}/100)`);
+        console.log(`   ${analysis.recommendation}`);
         
         console.log(`${'═'.repeat(75)}\n`);
     }
 
-    storeResult(tokenMint, mintInfo, tokenEvent) {
+    storeResult(tokenMint, analysis, tokenEvent) {
         this.stats.recentResults.unshift({
             tokenMint,
-            mintAuthority: !!mintInfo.mintAuthority,
-            freezeAuthority: !!mintInfo.freezeAuthority,
-            supply: mintInfo.supply,
-            decimals: mintInfo.decimals,
+            mintAuthority: !!analysis.checks.authorities?.mintAuthority,
+            freezeAuthority: !!analysis.checks.authorities?.freezeAuthority,
+            riskLevel: analysis.riskLevel,
+            riskScore: analysis.riskScore,
             timestamp: new Date().toISOString(),
             signature: tokenEvent.signature,
             analysisDelay: ((Date.now() - tokenEvent.detectedAt) / 1000).toFixed(1)
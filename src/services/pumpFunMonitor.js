@@ -1,9 +1,11 @@
 // src/services/pumpFunMonitor.js - FIXED VERSION
 const { Connection, PublicKey } = require('@solana/web3.js');
+const pumpLayout = require('../utils/pumpLayout');
+const { PUMP_FUN } = require('../config/constants');
 
 class PumpFunMonitor {
     constructor() {
-        this.PUMP_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+        this.PUMP_PROGRAM_ID = PUMP_FUN.PROGRAM_ID;
         
         // Use HTTP endpoint - Connection handles WebSocket internally  
         const rpcUrl = process.env.SOLANA_RPC_HTTP && process.env.SOLANA_RPC_HTTP !== 'undefined' 
@@ -40,22 +42,25 @@ class PumpFunMonitor {
 
     handlePumpFunLog(logs, context) {
         try {
-            const hasTokenCreation = logs.logs.some(log => 
-                log.includes('Program log: Instruction: InitializeMint2') ||
-                log.includes('InitializeMint2') ||
-                log.includes('CreateToken')
-            );
+            if (logs.err) return;
+
+            const creation = pumpLayout.findEvent(logs.logs, 'CreateEvent');
 
-            if (hasTokenCreation) {
+            if (creation) {
                 const event = {
                     type: 'NEW_PUMP_TOKEN',
                     signature: logs.signature,
                     slot: context.slot,
-                    accountKeys: logs.accounts || [],
+                    mint: creation.mint,
+                    bondingCurve: creation.bondingCurve,
+                    creator: creation.user,
+                    name: creation.name,
+                    symbol: creation.symbol,
+                    uri: creation.uri,
                     timestamp: new Date().toISOString()
                 };
                 
-                console.log(`🆕 New pump.fun token detected: ${event.signature}`);
+                console.log(`🆕 New pump.fun token detected: ${event.symbol} ${event.mint}`);
                 this.notifySubscribers(event);
             }
         } catch (error) {
@@ -1,6 +1,8 @@
 // src/services/solanaService.js - SIMPLE VERSION THAT WORKS
 const { Connection, PublicKey } = require('@solana/web3.js');
 const { RPC } = require('../config/constants');
+const tokenLayout = require('../utils/tokenLayout');
+const abort = require('../utils/abort');
 const logger = require('../utils/logger');
 
 class SolanaService {
@@ -14,44 +16,48 @@ class SolanaService {
     this.connection = new Connection(rpcUrl, 'confirmed');
   }
 
-  async getTokenMintInfo(mintAddress) {
+  // Every lookup takes an optional `signal`. Connection calls cannot be
+  // cancelled on the wire, so an aborted lookup is abandoned instead.
+  async getTokenMintInfo(mintAddress, { signal } = {}) {
     try {
+      abort.throwIfAborted(signal);
       console.log(`Getting mint info for: ${mintAddress}`);
       
       const mintPubkey = new PublicKey(mintAddress);
       
-      // Use the simple getParsedAccountInfo method
-      const accountInfo = await this.connection.getParsedAccountInfo(mintPubkey);
+      // Raw data - decoded locally so Token-2022 extensions are always readable
+      const accountInfo = await abort.race(this.connection.getAccountInfo(mintPubkey), signal);
       
-      if (!accountInfo.value) {
+      if (!accountInfo) {
         throw new Error('Token mint not found');
       }
 
-      if (accountInfo.value.data.program !== 'spl-token') {
-        throw new Error('Not a valid token mint');
-      }
-
-      const mintInfo = accountInfo.value.data.parsed.info;
+      const mint = tokenLayout.decodeMint(accountInfo.data, accountInfo.owner.toBase58());
       
       return {
         mintAddress: mintAddress,
-        supply: mintInfo.supply,
-        decimals: mintInfo.decimals,
-        mintAuthority: mintInfo.mintAuthority || null,
-        freezeAuthority: mintInfo.freezeAuthority || null,
-        isInitialized: true
+        supply: mint.supply,
+        decimals: mint.decimals,
+        mintAuthority: mint.mintAuthority,
+        freezeAuthority: mint.freezeAuthority,
+        isInitialized: mint.isInitialized,
+        programId: mint.programId,
+        tokenProgram: mint.tokenProgram,
+        extensions: mint.extensions
       };
       
     } catch (error) {
-      logger.error(`Failed to get mint info for ${mintAddress}:`, error.message);
+      if (!abort.isAbortError(error)) {
+        logger.error(`Failed to get mint info for ${mintAddress}:`, error.message);
+      }
       throw error;
     }
   }
 
-  async getTokenLargestAccounts(mintAddress, limit = 20) {
+  async getTokenLargestAccounts(mintAddress, limit = 20, { signal } = {}) {
     try {
       const mintPubkey = new PublicKey(mintAddress);
-      const response = await this.connection.getTokenLargestAccounts(mintPubkey);
+      const response = await abort.race(this.connection.getTokenLargestAccounts(mintPubkey), signal);
       
       return response.value.slice(0, limit).map(account => ({
         address: account.address.toBase58(),
@@ -61,15 +67,17 @@ class SolanaService {
       }));
       
     } catch (error) {
-      logger.error(`Failed to get largest accounts for ${mintAddress}:`, error.message);
+      if (!abort.isAbortError(error)) {
+        logger.error(`Failed to get largest accounts for ${mintAddress}:`, error.message);
+      }
       throw error;
     }
   }
 
-  async getTokenSupply(mintAddress) {
+  async getTokenSupply(mintAddress, { signal } = {}) {
     try {
       const mintPubkey = new PublicKey(mintAddress);
-      const supply = await this.connection.getTokenSupply(mintPubkey);
+      const supply = await abort.race(this.connection.getTokenSupply(mintPubkey), signal);
       
       return {
         amount: supply.value.amount,
@@ -79,15 +87,17 @@ class SolanaService {
       };
       
     } catch (error) {
-      logger.error(`Failed to get token supply for ${mintAddress}:`, error.message);
+      if (!abort.isAbortError(error)) {
+        logger.error(`Failed to get token supply for ${mintAddress}:`, error.message);
+      }
       throw error;
     }
   }
 
-  async getAccountInfo(pubkey) {
+  async getAccountInfo(pubkey, { signal } = {}) {
     try {
       const publicKey = new PublicKey(pubkey);
-      const accountInfo = await this.connection.getAccountInfo(publicKey);
+      const accountInfo = await abort.race(this.connection.getAccountInfo(publicKey), signal);
       
       if (!accountInfo) return null;
       
@@ -100,7 +110,111 @@ class SolanaService {
       };
       
     } catch (error) {
-      logger.error(`Failed to get account info for ${pubkey}:`, error.message);
+      if (!abort.isAbortError(error)) {
+        logger.error(`Failed to get account info for ${pubkey}:`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  async getEpochInfo({ signal } = {}) {
+    try {
+      abort.throwIfAborted(signal);
+      return await abort.race(this.connection.getEpochInfo(), signal);
+      
+    } catch (error) {
+      if (!abort.isAbortError(error)) {
+        logger.error('Failed to get epoch info:', error.message);
+      }
+      throw error;
+    }
+  }
+
+  // Newest first, at most 1000 per call (RPC limit); `before` continues from
+  // that signature for older pages
+  async getSignaturesForAddress(address, limit = 100, { signal, before } = {}) {
+    try {
+      const publicKey = new PublicKey(address);
+      const signatures = await abort.race(
+        this.connection.getSignaturesForAddress(publicKey, { limit, ...(before && { before }) }),
+        signal
+      );
+      
+      return signatures.map(entry => ({
+        signature: entry.signature,
+        slot: entry.slot,
+        blockTime: entry.blockTime ?? null,
+        failed: entry.err !== null && entry.err !== undefined
+      }));
+      
+    } catch (error) {
+      if (!abort.isAbortError(error)) {
+        logger.error(`Failed to get signatures for ${address}:`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  // Raw (non-parsed) transaction, v0 included; null if the RPC no longer has it
+  async getTransaction(signature, { signal } = {}) {
+    try {
+      return await abort.race(
+        this.connection.getTransaction(signature, {
+          commitment: 'confirmed',
+          maxSupportedTransactionVersion: 0
+        }),
+        signal
+      );
+      
+    } catch (error) {
+      if (!abort.isAbortError(error)) {
+        logger.error(`Failed to get transaction ${signature}:`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  // Raw amount the owner holds of the mint across all its token accounts
+  async getTokenBalance(owner, mintAddress, { signal } = {}) {
+    try {
+      const { value } = await abort.race(
+        this.connection.getTokenAccountsByOwner(new PublicKey(owner), { mint: new PublicKey(mintAddress) }),
+        signal
+      );
+
+      // Token account layout: mint (32), owner (32), amount (u64)
+      const total = value.reduce((sum, { account }) => sum + account.data.readBigUInt64LE(64), 0n);
+      return total.toString();
+      
+    } catch (error) {
+      if (!abort.isAbortError(error)) {
+        logger.error(`Failed to get ${mintAddress} balance of ${owner}:`, error.message);
+      }
+      throw error;
+    }
+  }
+
+  // Sum of the public `amount` of every token account for the mint. Balances
+  // held confidentially are not part of it. Only the 8-byte amount of each
+  // account is downloaded, but the RPC still scans the whole token program.
+  async getPublicBalanceTotal(mintAddress, programId, { signal } = {}) {
+    try {
+      const accounts = await abort.race(
+        this.connection.getProgramAccounts(new PublicKey(programId), {
+          dataSlice: { offset: 64, length: 8 },
+          filters: [{ memcmp: { offset: 0, bytes: mintAddress } }]
+        }),
+        signal
+      );
+
+      const total = accounts.reduce((sum, { account }) => sum + account.data.readBigUInt64LE(0), 0n);
+
+      return { accountCount: accounts.length, total: total.toString() };
+      
+    } catch (error) {
+      if (!abort.isAbortError(error)) {
+        logger.error(`Failed to sum token balances for ${mintAddress}:`, error.message);
+      }
       throw error;
     }
   }
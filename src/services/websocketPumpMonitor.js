@@ -2,11 +2,15 @@
 const WebSocket = require('ws');
 const { Connection, PublicKey } = require('@solana/web3.js');
 const EventEmitter = require('events');
+const pumpLayout = require('../utils/pumpLayout');
+const riskModel = require('../analyzers/riskModel');
+const policyManager = require('../config/policy');
+const { PUMP_FUN } = require('../config/constants');
 
 class WebSocketPumpMonitor extends EventEmitter {
     constructor() {
         super();
-        this.PUMP_PROGRAM_ID = '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P';
+        this.PUMP_PROGRAM_ID = PUMP_FUN.PROGRAM_ID;
         
         // Use your WSS endpoint properly
         this.wsUrl = process.env.SOLANA_RPC_WSS || 'wss://hidden-stylish-haze.solana-mainnet.quiknode.pro/3ee509e3cd9e1f9a411d8aedfa8ec76a29d4fd99/';
@@ -22,6 +26,10 @@ class WebSocketPumpMonitor extends EventEmitter {
         this.isStreaming = true;
         this.processedSignatures = new Set();
         this.maxQueueSize = 20; // Smaller queue to prevent overwhelm
+        this.analysisDeadline = 30000; // Unfinished checks are cancelled so the queue keeps moving
+        this.policy = null; // Risk policy path/object; null = default policy
+        this.rules = null; // Rules directory/array; null = default rules directory
+        this.profile = 'monitor'; // Analysis profile name/path/object (config/profiles.js)
         
         // Statistics tracking
         this.stats = {
@@ -131,17 +139,17 @@ class WebSocketPumpMonitor extends EventEmitter {
     processLogNotification(params) {
         try {
             const result = params.result;
-            const signature = result.value.signature;
+            const { signature, logs, err } = result.value;
             
-            // Skip duplicates
-            if (this.processedSignatures.has(signature)) return;
+            // Skip duplicates and failed transactions
+            if (this.processedSignatures.has(signature) || err) return;
             
-            // Look for token creation patterns
-            const hasTokenCreation = result.value.logs.some(log => 
+            // CreateEvent carries the mint; truncated logs may have lost it
+            const creation = pumpLayout.findEvent(logs, 'CreateEvent');
+            const hasTokenCreation = creation || (pumpLayout.isTruncated(logs) && logs.some(log =>
                 log.includes('Program log: Instruction: InitializeMint2') ||
-                log.includes('InitializeMint2') ||
-                log.includes('Create') && log.includes('mint')
-            );
+                log.includes('Program log: Instruction: Create')
+            ));
 
             if (hasTokenCreation) {
                 this.processedSignatures.add(signature);
@@ -151,8 +159,10 @@ class WebSocketPumpMonitor extends EventEmitter {
                     signature,
                     slot: result.context.slot,
                     timestamp: new Date().toISOString(),
-                    logs: result.value.logs,
-                    detectedAt: Date.now()
+                    logs,
+                    detectedAt: Date.now(),
+                    mint: creation?.mint || null,
+                    creation
                 };
                 
                 if (this.tokenQueue.length < this.maxQueueSize) {
@@ -192,22 +202,8 @@ class WebSocketPumpMonitor extends EventEmitter {
         try {
             console.log(`📋 TX: ${tokenEvent.signature}`);
             
-            // 1. Get transaction to extract token mint
-            console.log('🔍 Extracting token mint from transaction...');
-            this.stats.apiCalls++;
-            
-            const transaction = await this.httpConnection.getTransaction(tokenEvent.signature, {
-                commitment: 'confirmed',
-                maxSupportedTransactionVersion: 0
-            });
-            
-            if (!transaction) {
-                console.log('❌ Transaction not found');
-                return;
-            }
-            
-            // 2. Extract the new token mint
-            const tokenMint = this.extractTokenMintFromTransaction(transaction);
+            // 1-2. Token mint from the CreateEvent, or the transaction if the logs were cut
+            const tokenMint = tokenEvent.mint || await this.fetchTokenMint(tokenEvent);
             
             if (!tokenMint) {
                 console.log('❌ Could not extract token mint');
@@ -221,15 +217,15 @@ class WebSocketPumpMonitor extends EventEmitter {
             
             const tokenAnalyzer = require('../analyzers/tokenAnalyzer');
             
-            // Run focused analysis to minimize API calls
             const analysis = await tokenAnalyzer.analyzeToken(tokenMint, {
-                includeHolderAnalysis: false,  // Skip to save API calls
-                includeHoneypotDetection: true,
-                includeMetadata: true,
-                includeMarketData: false
+                profile: this.profile,
+                deadlineMs: this.analysisDeadline,
+                policy: this.policy,
+                rules: this.rules,
+                creationSignature: tokenEvent.signature
             });
             
-            this.stats.apiCalls += 4; // Estimate API calls used
+            this.stats.apiCalls += analysis.rpcUsage?.requests || 0;
             
             // 4. Display comprehensive results
             this.displayComprehensiveResults(tokenMint, analysis, tokenEvent);
@@ -253,17 +249,28 @@ class WebSocketPumpMonitor extends EventEmitter {
         }
     }
 
+    async fetchTokenMint(tokenEvent) {
+        console.log('🔍 Extracting token mint from transaction...');
+        this.stats.apiCalls++;
+        
+        const transaction = await this.httpConnection.getTransaction(tokenEvent.signature, {
+            commitment: 'confirmed',
+            maxSupportedTransactionVersion: 0
+        });
+        
+        if (!transaction) {
+            console.log('❌ Transaction not found');
+            return null;
+        }
+        
+        return this.extractTokenMintFromTransaction(transaction);
+    }
+
     extractTokenMintFromTransaction(transaction) {
         try {
-            // Extract from account keys - new mint is typically account[1] or in instructions
-            const accountKeys = transaction.transaction.message.accountKeys;
-            
-            if (accountKeys && accountKeys.length > 1) {
-                // Usually the new token mint is the second account
-                return accountKeys[1].toBase58();
-            }
-            
-            return null;
+            // The create instruction names the mint, called directly or through a CPI
+            const create = pumpLayout.findInstruction(transaction, 'create');
+            return create ? create.mint : null;
             
         } catch (error) {
             console.error('Token mint extraction failed:', error.message);
@@ -343,22 +350,8 @@ class WebSocketPumpMonitor extends EventEmitter {
         
         // FINAL VERDICT
         console.log(`\n💡 FINAL VERDICT:`);
-        if (analysis.riskScore >= 80) {
-            console.log(`   🚨 EXTREMELY DANGEROUS - DO NOT TRADE`);
-            console.log(`   Multiple critical security flaws detected!`);
-        } else if (analysis.riskScore >= 60) {
-            console.log(`   🔴 HIGH RISK - LIKELY SCAM`);
-            console.log(`   Significant security concerns found`);
-        } else if (analysis.riskScore >= 40) {
-            console.log(`   🟠 MODERATE RISK - PROCEED WITH CAUTION`);
-            console.log(`   Some risk factors present`);
-        } else if (analysis.riskScore >= 20) {
-            console.log(`   🟡 LOW RISK - RELATIVELY SAFE`);
-            console.log(`   Always do your own research`);
-        } else {
-            console.log(`   ✅ APPEARS SECURE`);
-            console.log(`   Good security practices detected`);
-        }
+        console.log(`   ${analysis.safetyLevel}`);
+        console.log(`   ${analysis.recommendation}`);
         
         console.log(`${'═'.repeat(80)}\n`);
     }
@@ -430,9 +423,11 @@ class WebSocketPumpMonitor extends EventEmitter {
             return;
         }
         
+        const policy = policyManager.resolve(this.policy);
         this.stats.recentResults.forEach((result, i) => {
             const time = new Date(result.timestamp).toLocaleTimeString();
-            const riskEmoji = result.riskScore >= 60 ? '🔴' : result.riskScore >= 40 ? '🟠' : '🟢';
+            // Same band, and so the same emoji, as the result's safety level
+            const [riskEmoji] = riskModel.getBand(result.riskScore, policy).safetyLevel.split(' ');
             console.log(`   ${i+1}. ${riskEmoji} ${result.tokenMint.substring(0, 12)}... | Risk: ${result.riskScore} | ${time}`);
         });
         console.log('');
@@ -0,0 +1,132 @@
+// src/testFixtures.js - BUILDERS FOR THE OFFLINE src/*Test.js SCRIPTS
+//
+// Chain data is encoded here byte by byte, independently of the decoders
+// under test, and solanaService lookups are swapped for in-memory fixtures
+// so analyzers run end to end without an RPC.
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const solanaService = require('./services/solanaService');
+const { PUMP_FUN } = require('./config/constants');
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const discriminator = preimage => crypto.createHash('sha256').update(preimage).digest().subarray(0, 8);
+const key = fill => new PublicKey(Buffer.alloc(32, fill)).toBase58();
+
+// Borsh writers matching BorshReader
+const u16 = value => { const bytes = Buffer.alloc(2); bytes.writeUInt16LE(value); return bytes; };
+const u64 = value => { const bytes = Buffer.alloc(8); bytes.writeBigUInt64LE(BigInt(value)); return bytes; };
+const i64 = value => { const bytes = Buffer.alloc(8); bytes.writeBigInt64LE(BigInt(value)); return bytes; };
+const bool = value => Buffer.from([value ? 1 : 0]);
+const publicKey = address => new PublicKey(address).toBuffer();
+const string = text => {
+  const bytes = Buffer.from(text, 'utf8');
+  const length = Buffer.alloc(4);
+  length.writeUInt32LE(bytes.length);
+  return Buffer.concat([length, bytes]);
+};
+
+// Independent of transactionLayout.decodeBase58, so decoding is a round trip
+function encodeBase58(bytes) {
+  let value = BigInt(`0x${Buffer.from(bytes).toString('hex') || '0'}`);
+  let text = '';
+  while (value > 0n) {
+    text = BASE58_ALPHABET[Number(value % 58n)] + text;
+    value /= 58n;
+  }
+  for (const byte of bytes) {
+    if (byte !== 0) break;
+    text = `1${text}`;
+  }
+  return text;
+}
+
+// Event data as the pump.fun program logs it
+function eventLogs(...payloads) {
+  return [
+    `Program ${PUMP_FUN.PROGRAM_ID} invoke [1]`,
+    ...payloads.map(payload => `Program data: ${payload.toString('base64')}`),
+    `Program ${PUMP_FUN.PROGRAM_ID} success`
+  ];
+}
+
+// A legacy getTransaction result. `instructions` name their program and
+// accounts by address; keys are collected in order, signers first.
+function transaction({ slot = 1, blockTime = null, signers, instructions = [], meta = {} }) {
+  const keys = [...signers];
+  const indexOf = address => {
+    if (!keys.includes(address)) keys.push(address);
+    return keys.indexOf(address);
+  };
+  const compiled = instructions.map(instruction => ({
+    programIdIndex: indexOf(instruction.programId),
+    accounts: instruction.accounts.map(indexOf),
+    data: encodeBase58(instruction.data)
+  }));
+  const balances = meta.lamports || {};
+
+  return {
+    slot,
+    blockTime,
+    transaction: {
+      message: {
+        header: { numRequiredSignatures: signers.length },
+        accountKeys: keys,
+        instructions: compiled
+      }
+    },
+    meta: {
+      err: null,
+      logMessages: [],
+      innerInstructions: [],
+      preTokenBalances: [],
+      postTokenBalances: [],
+      ...meta,
+      preBalances: keys.map(address => balances[address]?.[0] ?? 0),
+      postBalances: keys.map(address => balances[address]?.[1] ?? 0)
+    }
+  };
+}
+
+// Token balance entries as getTransaction reports them
+const tokenBalance = (owner, mint, amount, accountIndex = 0) => ({
+  accountIndex,
+  mint,
+  owner,
+  uiTokenAmount: { amount: String(amount) }
+});
+
+// Newest-first signature pages over `entries`, honouring `before`
+function signaturePages(entries) {
+  return (limit, before) => {
+    const start = before ? entries.findIndex(entry => entry.signature === before) + 1 : 0;
+    return entries.slice(start, start + limit);
+  };
+}
+
+// Replaces solanaService methods; returns a function that restores them
+function stubSolanaService(methods) {
+  const originals = {};
+  Object.entries(methods).forEach(([name, method]) => {
+    originals[name] = solanaService[name];
+    solanaService[name] = method;
+  });
+  return () => Object.assign(solanaService, originals);
+}
+
+module.exports = {
+  discriminator,
+  key,
+  u16,
+  u64,
+  i64,
+  bool,
+  publicKey,
+  string,
+  encodeBase58,
+  eventLogs,
+  transaction,
+  tokenBalance,
+  signaturePages,
+  stubSolanaService
+};
@@ -0,0 +1,31 @@
+// src/testRunner.js - RUNNER FOR THE OFFLINE src/*Test.js SCRIPTS
+//
+// Each script maps test names to functions (sync or async) and hands them to
+// run(). Failures are logged one by one and fail the process at the end.
+const logger = require('./utils/logger');
+
+async function run(suite, tests) {
+  const names = Object.keys(tests);
+  let failed = 0;
+
+  for (const name of names) {
+    try {
+      await tests[name]();
+      logger.info(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      logger.error(`❌ ${name}:`, error.message);
+    }
+  }
+
+  if (failed > 0) {
+    logger.error(`${failed} of ${names.length} ${suite} tests failed`);
+    process.exitCode = 1;
+    return false;
+  }
+
+  logger.info(`🎉 All ${suite} tests passed!`);
+  return true;
+}
+
+module.exports = { run };
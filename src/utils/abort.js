@@ -0,0 +1,69 @@
+// src/utils/abort.js - ABORTSIGNAL HELPERS FOR CANCELLABLE ANALYSIS WORK
+
+class AbortUtils {
+  // Combine any number of optional signals into one; null when none are given
+  combine(...signals) {
+    const active = signals.filter(Boolean);
+    if (active.length === 0) return null;
+    if (active.length === 1) return active[0];
+    return AbortSignal.any(active);
+  }
+
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      throw signal.reason ?? this.abortError();
+    }
+  }
+
+  // Settle with `promise`, or reject as soon as `signal` aborts. Used for calls
+  // that cannot take a signal themselves (e.g. @solana/web3.js Connection).
+  race(promise, signal) {
+    if (!signal) return Promise.resolve(promise);
+
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason ?? this.abortError());
+        return;
+      }
+
+      const onAbort = () => reject(signal.reason ?? this.abortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      Promise.resolve(promise).then(
+        value => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(value);
+        },
+        error => {
+          signal.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      );
+    });
+  }
+
+  delay(ms, signal) {
+    return this.race(new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      signal?.addEventListener('abort', () => clearTimeout(timer), { once: true });
+    }), signal);
+  }
+
+  abortError(message = 'Operation aborted') {
+    return new DOMException(message, 'AbortError');
+  }
+
+  timeoutError(message = 'Operation timed out') {
+    return new DOMException(message, 'TimeoutError');
+  }
+
+  // Covers DOM abort/timeout reasons and axios cancellations
+  isAbortError(error) {
+    return error?.name === 'AbortError' ||
+      error?.name === 'TimeoutError' ||
+      error?.name === 'CanceledError' ||
+      error?.code === 'ERR_CANCELED';
+  }
+}
+
+module.exports = new AbortUtils();
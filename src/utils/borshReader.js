@@ -0,0 +1,61 @@
+// src/utils/borshReader.js - SEQUENTIAL BORSH DECODER FOR ANCHOR ACCOUNTS AND EVENTS
+//
+// Anchor accounts, events and instruction arguments are borsh: little-endian
+// integers, 1-byte bools, u32-length-prefixed strings and 32-byte keys, laid
+// out back to back. u64 values come back as strings, like RPC amounts.
+const { PublicKey } = require('@solana/web3.js');
+
+class BorshReader {
+  constructor(data, offset = 0) {
+    this.data = data;
+    this.offset = offset;
+  }
+
+  get remaining() {
+    return this.data.length - this.offset;
+  }
+
+  take(length) {
+    if (length > this.remaining) {
+      throw new Error(`Read past end of data: need ${length} bytes at offset ${this.offset}, have ${this.remaining}`);
+    }
+    const bytes = this.data.subarray(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  u8() {
+    return this.take(1)[0];
+  }
+
+  bool() {
+    return this.u8() === 1;
+  }
+
+  u16() {
+    return this.take(2).readUInt16LE(0);
+  }
+
+  u32() {
+    return this.take(4).readUInt32LE(0);
+  }
+
+  u64() {
+    return this.take(8).readBigUInt64LE(0).toString();
+  }
+
+  // Unix timestamps - well inside the safe integer range
+  i64() {
+    return Number(this.take(8).readBigInt64LE(0));
+  }
+
+  publicKey() {
+    return new PublicKey(this.take(32)).toBase58();
+  }
+
+  string() {
+    return this.take(this.u32()).toString('utf8');
+  }
+}
+
+module.exports = BorshReader;
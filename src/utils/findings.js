@@ -0,0 +1,83 @@
+// src/utils/findings.js - STRUCTURED FINDING MODEL
+const { SEVERITY, FINDINGS } = require('../config/findingCodes');
+
+class Findings {
+  constructor() {
+    this.definitions = { ...FINDINGS };
+    this.blockingSeverities = new Set([SEVERITY.CRITICAL, SEVERITY.HIGH]);
+    this.severityOrder = [SEVERITY.CRITICAL, SEVERITY.HIGH, SEVERITY.MEDIUM, SEVERITY.LOW, SEVERITY.INFO];
+  }
+
+  // Lets in-house checks add their own codes without editing the catalog
+  define(code, definition) {
+    if (!definition || !definition.severity || !definition.category) {
+      throw new Error(`Finding ${code} needs a severity and a category`);
+    }
+
+    if (!this.severityOrder.includes(definition.severity)) {
+      throw new Error(`Finding ${code} has unknown severity: ${definition.severity}`);
+    }
+
+    this.definitions[code] = { message: code, ...definition };
+  }
+
+  create(code, options = {}) {
+    const definition = this.definitions[code];
+    if (!definition) {
+      throw new Error(`Unknown finding code: ${code}`);
+    }
+
+    const { message, severity, evidence = {} } = options;
+
+    return {
+      code,
+      severity: severity || definition.severity,
+      category: definition.category,
+      message: message || definition.message,
+      evidence: {
+        ...evidence,
+        accounts: (evidence.accounts || []).filter(Boolean),
+        signatures: (evidence.signatures || []).filter(Boolean)
+      }
+    };
+  }
+
+  isBlocking(finding) {
+    return this.blockingSeverities.has(finding.severity);
+  }
+
+  // Legacy issue/warning string lists, derived so the two never drift apart
+  toIssues(findings = []) {
+    return findings.filter(f => this.isBlocking(f)).map(f => f.message);
+  }
+
+  toWarnings(findings = []) {
+    return findings
+      .filter(f => !this.isBlocking(f) && f.severity !== SEVERITY.INFO)
+      .map(f => f.message);
+  }
+
+  // Flatten finding lists, dropping exact code + message duplicates
+  collect(...lists) {
+    const seen = new Set();
+    const collected = [];
+
+    lists.flat().forEach(finding => {
+      if (!finding) return;
+      const key = `${finding.code}:${finding.message}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      collected.push(finding);
+    });
+
+    return collected.sort((a, b) =>
+      this.severityOrder.indexOf(a.severity) - this.severityOrder.indexOf(b.severity)
+    );
+  }
+
+  hasCode(findings = [], code) {
+    return findings.some(f => f.code === code);
+  }
+}
+
+module.exports = new Findings();
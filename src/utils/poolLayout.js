@@ -0,0 +1,103 @@
+// src/utils/poolLayout.js - POOLS CREATED WHEN A PUMP.FUN CURVE MIGRATES
+//
+// A completed curve's liquidity moves to a PumpSwap pool (`create_pool`, an
+// Anchor instruction) or, for older launches, a Raydium AMM v4 pool
+// (`initialize2`, instruction tag 1). Both name the pool, its LP mint and the
+// two mints by account position, top-level or inner.
+//
+// PumpSwap pool accounts store their LP mint, which the liquidity analyzer
+// needs to check how much LP was burned. PumpSwap `sell` instructions mark a
+// wallet selling a migrated token back into its pool.
+const crypto = require('crypto');
+const BorshReader = require('./borshReader');
+const transactionLayout = require('./transactionLayout');
+const pumpLayout = require('./pumpLayout');
+const { DEX_PROGRAMS } = require('../config/constants');
+
+const CREATE_POOL_DISCRIMINATOR = crypto.createHash('sha256')
+  .update('global:create_pool')
+  .digest()
+  .subarray(0, 8);
+
+const POOL_DISCRIMINATOR = crypto.createHash('sha256')
+  .update('account:Pool')
+  .digest()
+  .subarray(0, 8);
+
+const SELL_DISCRIMINATOR = crypto.createHash('sha256')
+  .update('global:sell')
+  .digest()
+  .subarray(0, 8);
+
+const RAYDIUM_INITIALIZE2 = 1;
+
+// pool, user, global config, base mint, quote mint, ...
+const PUMP_SWAP_SELL_ACCOUNTS = { pool: 0, user: 1, baseMint: 3, quoteMint: 4 };
+
+const POOL_CREATIONS = {
+  [DEX_PROGRAMS.PUMP_SWAP]: {
+    dex: 'PumpSwap',
+    matches: data => data.subarray(0, 8).equals(CREATE_POOL_DISCRIMINATOR),
+    accounts: { pool: 0, lpMint: 5, baseMint: 3, quoteMint: 4 }
+  },
+  [DEX_PROGRAMS.RAYDIUM_V4]: {
+    dex: 'Raydium',
+    matches: data => data[0] === RAYDIUM_INITIALIZE2,
+    accounts: { pool: 4, lpMint: 7, baseMint: 8, quoteMint: 9 }
+  }
+};
+
+const PUMP_SWAP_POOL_LAYOUT = {
+  fields: [
+    ['poolBump', 'u8'],
+    ['index', 'u16'],
+    ['creator', 'publicKey'],
+    ['baseMint', 'publicKey'],
+    ['quoteMint', 'publicKey'],
+    ['lpMint', 'publicKey'],
+    ['poolBaseTokenAccount', 'publicKey'],
+    ['poolQuoteTokenAccount', 'publicKey'],
+    ['lpSupply', 'u64']
+  ],
+  trailing: []
+};
+
+class PoolLayout {
+  // Returns { dex, program, pool, lpMint, baseMint, quoteMint } for the first
+  // pool created for `mintAddress` (any mint when omitted), or null
+  findPoolCreation(transaction, mintAddress = null) {
+    for (const instruction of transactionLayout.getInstructions(transaction)) {
+      const creation = POOL_CREATIONS[instruction.programId];
+      if (!creation || !creation.matches(instruction.data)) continue;
+
+      const pool = { dex: creation.dex, program: instruction.programId };
+      Object.entries(creation.accounts).forEach(([name, position]) => {
+        pool[name] = instruction.accounts[position] || null;
+      });
+
+      if (!mintAddress || pool.baseMint === mintAddress || pool.quoteMint === mintAddress) return pool;
+    }
+
+    return null;
+  }
+
+  // Returns [{ pool, user, baseMint, quoteMint }] for PumpSwap sells of
+  // `mintAddress` (the pool's base mint), top-level or inner
+  findPoolSells(transaction, mintAddress) {
+    return transactionLayout.getInstructions(transaction)
+      .filter(instruction => instruction.programId === DEX_PROGRAMS.PUMP_SWAP &&
+        instruction.data.subarray(0, 8).equals(SELL_DISCRIMINATOR))
+      .map(instruction => Object.fromEntries(Object.entries(PUMP_SWAP_SELL_ACCOUNTS)
+        .map(([name, position]) => [name, instruction.accounts[position] || null])))
+      .filter(sell => sell.baseMint === mintAddress);
+  }
+
+  decodePumpSwapPool(data) {
+    if (!data || data.length < 8 || !data.subarray(0, 8).equals(POOL_DISCRIMINATOR)) {
+      throw new Error('Not a PumpSwap pool account');
+    }
+    return pumpLayout.readLayout(new BorshReader(data, 8), PUMP_SWAP_POOL_LAYOUT);
+  }
+}
+
+module.exports = new PoolLayout();
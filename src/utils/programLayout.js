@@ -0,0 +1,84 @@
+// src/utils/programLayout.js - PROGRAM LOADER ACCOUNT DECODER
+//
+// Tells who can change a deployed program. Programs owned by the upgradeable
+// loader point at a separate ProgramData account that holds the upgrade
+// authority; loader-v4 programs keep the authority in the program account
+// itself. Programs owned by the older BPF loaders can never change.
+const { PublicKey } = require('@solana/web3.js');
+const { PROGRAMS } = require('../config/constants');
+
+// UpgradeableLoaderState enum tags (u32)
+const UPGRADEABLE_STATES = ['Uninitialized', 'Buffer', 'Program', 'ProgramData'];
+// ProgramData header: tag (4), slot (8), Option<Pubkey> (1 + 32)
+const PROGRAM_DATA_HEADER_SIZE = 45;
+// LoaderV4State: slot (8), authority or next version (32), status (8)
+const LOADER_V4_STATUSES = ['Retracted', 'Deployed', 'Finalized'];
+const LOADER_V4_HEADER_SIZE = 48;
+
+const LOADERS = {
+  [PROGRAMS.BPF_UPGRADEABLE_LOADER]: 'bpf-upgradeable',
+  [PROGRAMS.LOADER_V4]: 'loader-v4',
+  [PROGRAMS.BPF_LOADER]: 'bpf',
+  [PROGRAMS.BPF_LOADER_DEPRECATED]: 'bpf-deprecated'
+};
+
+class ProgramLayout {
+  constructor() {
+    this.loaders = LOADERS;
+  }
+
+  getLoader(owner) {
+    return LOADERS[owner] || null;
+  }
+
+  decodeUpgradeableState(data) {
+    if (!data || data.length < 4) {
+      throw new Error(`Loader account too small: ${data ? data.length : 0} bytes`);
+    }
+
+    const tag = data.readUInt32LE(0);
+    const state = UPGRADEABLE_STATES[tag];
+
+    switch (state) {
+      case 'Program':
+        return { state, programDataAddress: this.key(data, 4) };
+      case 'ProgramData':
+        if (data.length < PROGRAM_DATA_HEADER_SIZE) {
+          throw new Error(`ProgramData account too small: ${data.length} bytes`);
+        }
+        return {
+          state,
+          slot: Number(data.readBigUInt64LE(4)),
+          upgradeAuthority: data[12] === 1 ? this.key(data, 13) : null
+        };
+      case 'Buffer':
+        return { state, authority: data[4] === 1 ? this.key(data, 5) : null };
+      case 'Uninitialized':
+        return { state };
+      default:
+        throw new Error(`Unknown upgradeable loader state ${tag}`);
+    }
+  }
+
+  decodeLoaderV4State(data) {
+    if (!data || data.length < LOADER_V4_HEADER_SIZE) {
+      throw new Error(`Loader-v4 program account too small: ${data ? data.length : 0} bytes`);
+    }
+
+    const statusId = Number(data.readBigUInt64LE(40));
+    const status = LOADER_V4_STATUSES[statusId] || `Unknown(${statusId})`;
+
+    return {
+      slot: Number(data.readBigUInt64LE(0)),
+      // A finalized program stores the address of its next version here instead
+      authority: status === 'Finalized' ? null : this.key(data, 8),
+      status
+    };
+  }
+
+  key(data, offset) {
+    return new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+  }
+}
+
+module.exports = new ProgramLayout();
@@ -0,0 +1,305 @@
+// src/utils/pumpLayout.js - PUMP.FUN ACCOUNT, EVENT AND INSTRUCTION DECODER
+//
+// Every pump.fun token trades against a BondingCurve account at the PDA
+// ["bonding-curve", mint] until the curve completes and liquidity migrates.
+// The account is Anchor-encoded: an 8-byte discriminator, five u64 reserve
+// and supply fields, the `complete` flag and, on curves created since the
+// creator-fee upgrade, the creator's key.
+//
+// The program also emits Anchor events as base64 `Program data:` log lines -
+// CreateEvent carries the new mint, so logs alone identify a launch, and
+// CompletePumpAmmMigrationEvent names the mint moved to PumpSwap. Fields
+// added by program upgrades are trailing and decoded only when present.
+//
+// `create`, `buy` and `sell` instructions are matched by their Anchor
+// discriminator and read accounts by IDL position, top-level or inner.
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const BorshReader = require('./borshReader');
+const transactionLayout = require('./transactionLayout');
+const logger = require('./logger');
+const { PUMP_FUN, PROGRAMS } = require('../config/constants');
+
+const discriminator = (preimage) => crypto.createHash('sha256')
+  .update(preimage)
+  .digest()
+  .subarray(0, 8);
+
+const BONDING_CURVE_DISCRIMINATOR = discriminator('account:BondingCurve');
+
+const BONDING_CURVE_LAYOUT = {
+  fields: [
+    ['virtualTokenReserves', 'u64'],
+    ['virtualSolReserves', 'u64'],
+    ['realTokenReserves', 'u64'],
+    ['realSolReserves', 'u64'],
+    ['tokenTotalSupply', 'u64'],
+    ['complete', 'bool']
+  ],
+  trailing: [
+    ['creator', 'publicKey']
+  ]
+};
+
+const EVENT_LAYOUTS = {
+  CreateEvent: {
+    fields: [
+      ['name', 'string'],
+      ['symbol', 'string'],
+      ['uri', 'string'],
+      ['mint', 'publicKey'],
+      ['bondingCurve', 'publicKey'],
+      ['user', 'publicKey']
+    ],
+    trailing: [
+      ['creator', 'publicKey'],
+      ['timestamp', 'i64'],
+      ['virtualTokenReserves', 'u64'],
+      ['virtualSolReserves', 'u64'],
+      ['realTokenReserves', 'u64'],
+      ['tokenTotalSupply', 'u64']
+    ]
+  },
+  TradeEvent: {
+    fields: [
+      ['mint', 'publicKey'],
+      ['solAmount', 'u64'],
+      ['tokenAmount', 'u64'],
+      ['isBuy', 'bool'],
+      ['user', 'publicKey'],
+      ['timestamp', 'i64'],
+      ['virtualSolReserves', 'u64'],
+      ['virtualTokenReserves', 'u64']
+    ],
+    trailing: [
+      ['realSolReserves', 'u64'],
+      ['realTokenReserves', 'u64']
+    ]
+  },
+  CompleteEvent: {
+    fields: [
+      ['user', 'publicKey'],
+      ['mint', 'publicKey'],
+      ['bondingCurve', 'publicKey'],
+      ['timestamp', 'i64']
+    ],
+    trailing: []
+  },
+  CompletePumpAmmMigrationEvent: {
+    fields: [
+      ['user', 'publicKey'],
+      ['mint', 'publicKey'],
+      ['mintAmount', 'u64'],
+      ['solAmount', 'u64'],
+      ['poolMigrationFee', 'u64'],
+      ['bondingCurve', 'publicKey'],
+      ['timestamp', 'i64'],
+      ['pool', 'publicKey']
+    ],
+    trailing: []
+  }
+};
+
+const EVENT_DISCRIMINATORS = Object.keys(EVENT_LAYOUTS).map(name => ({
+  name,
+  discriminator: discriminator(`event:${name}`)
+}));
+
+// Only the leading accounts are named - later positions changed between
+// program versions (rent became the creator vault, for one)
+const TRADE_ACCOUNTS = ['global', 'feeRecipient', 'mint', 'bondingCurve', 'associatedBondingCurve', 'associatedUser', 'user'];
+
+const INSTRUCTION_LAYOUTS = {
+  create: {
+    args: {
+      fields: [
+        ['name', 'string'],
+        ['symbol', 'string'],
+        ['uri', 'string']
+      ],
+      trailing: [
+        ['creator', 'publicKey']
+      ]
+    },
+    accounts: ['mint', 'mintAuthority', 'bondingCurve', 'associatedBondingCurve', 'global', 'mplTokenMetadata', 'metadata', 'user']
+  },
+  buy: {
+    args: {
+      fields: [
+        ['amount', 'u64'],
+        ['maxSolCost', 'u64']
+      ],
+      trailing: []
+    },
+    accounts: TRADE_ACCOUNTS
+  },
+  sell: {
+    args: {
+      fields: [
+        ['amount', 'u64'],
+        ['minSolOutput', 'u64']
+      ],
+      trailing: []
+    },
+    accounts: TRADE_ACCOUNTS
+  }
+};
+
+const INSTRUCTION_DISCRIMINATORS = Object.keys(INSTRUCTION_LAYOUTS).map(name => ({
+  name,
+  discriminator: discriminator(`global:${name}`)
+}));
+
+const FIXED_SIZES = { bool: 1, u64: 8, i64: 8, publicKey: 32 };
+
+const DATA_PREFIX = 'Program data: ';
+const INVOKE_LOG = /^Program (\S+) invoke \[\d+\]$/;
+const EXIT_LOG = /^Program (\S+) (success|failed)/;
+
+class PumpLayout {
+  constructor() {
+    this.eventNames = Object.keys(EVENT_LAYOUTS);
+  }
+
+  getBondingCurveAddress(mintAddress) {
+    const [address] = PublicKey.findProgramAddressSync(
+      [Buffer.from(PUMP_FUN.BONDING_CURVE_SEED), new PublicKey(mintAddress).toBuffer()],
+      new PublicKey(PUMP_FUN.PROGRAM_ID)
+    );
+    return address.toBase58();
+  }
+
+  // Amounts are raw u64 strings: lamports for SOL, base units for tokens
+  decodeBondingCurve(data) {
+    if (!data || data.length < 8 || !data.subarray(0, 8).equals(BONDING_CURVE_DISCRIMINATOR)) {
+      throw new Error('Not a pump.fun bonding curve account');
+    }
+
+    const curve = this.readLayout(new BorshReader(data, 8), BONDING_CURVE_LAYOUT);
+    // Older curves end before the creator field or leave it zeroed
+    if (curve.creator === undefined || curve.creator === PROGRAMS.SYSTEM_PROGRAM) {
+      curve.creator = null;
+    }
+    return curve;
+  }
+
+  // Returns { event, ...fields }, or null for data that is not a known event.
+  // The type is `event` because CreateEvent has a `name` field of its own.
+  decodeEvent(data) {
+    const match = EVENT_DISCRIMINATORS.find(entry => data.subarray(0, 8).equals(entry.discriminator));
+    if (!match) return null;
+
+    return {
+      event: match.name,
+      ...this.readLayout(new BorshReader(data, 8), EVENT_LAYOUTS[match.name])
+    };
+  }
+
+  // Events emitted by the pump.fun program itself, in log order. The invoke
+  // stack attributes each `Program data:` line to the program that wrote it,
+  // so another program's data can never be read as a pump.fun event.
+  parseEvents(logs = []) {
+    const stack = [];
+    const events = [];
+
+    logs.forEach(line => {
+      const invoke = INVOKE_LOG.exec(line);
+      if (invoke) {
+        stack.push(invoke[1]);
+        return;
+      }
+
+      if (EXIT_LOG.test(line)) {
+        stack.pop();
+        return;
+      }
+
+      if (!line.startsWith(DATA_PREFIX) || stack[stack.length - 1] !== PUMP_FUN.PROGRAM_ID) return;
+
+      try {
+        const event = this.decodeEvent(Buffer.from(line.slice(DATA_PREFIX.length), 'base64'));
+        if (event) events.push(event);
+      } catch (error) {
+        logger.debug(`Skipping undecodable pump.fun event: ${error.message}`);
+      }
+    });
+
+    return events;
+  }
+
+  findEvent(logs, name) {
+    return this.parseEvents(logs).find(entry => entry.event === name) || null;
+  }
+
+  // Returns { instruction, ...args, ...accounts }, or null for other
+  // instructions. `amount` is in token base units for both buy and sell.
+  decodeInstruction(data, accounts) {
+    const match = INSTRUCTION_DISCRIMINATORS.find(entry => data.subarray(0, 8).equals(entry.discriminator));
+    if (!match) return null;
+
+    const layout = INSTRUCTION_LAYOUTS[match.name];
+    if (accounts.length < layout.accounts.length) {
+      throw new Error(`${match.name} needs ${layout.accounts.length} accounts, got ${accounts.length}`);
+    }
+
+    const decoded = {
+      instruction: match.name,
+      ...this.readLayout(new BorshReader(data, 8), layout.args)
+    };
+    layout.accounts.forEach((name, position) => {
+      decoded[name] = accounts[position];
+    });
+
+    // Creates before the creator argument existed were always by the signer
+    if (match.name === 'create' && !decoded.creator) {
+      decoded.creator = decoded.user;
+    }
+
+    return decoded;
+  }
+
+  // pump.fun instructions of a getTransaction result, inner ones included -
+  // launchpads and bundlers usually reach pump.fun through a CPI
+  decodeTransaction(transaction) {
+    const decoded = [];
+
+    transactionLayout.getInstructions(transaction)
+      .filter(instruction => instruction.programId === PUMP_FUN.PROGRAM_ID)
+      .forEach(({ data, accounts, index, inner }) => {
+        try {
+          const instruction = this.decodeInstruction(data, accounts);
+          if (instruction) decoded.push({ ...instruction, index, inner });
+        } catch (error) {
+          logger.debug(`Skipping undecodable pump.fun instruction: ${error.message}`);
+        }
+      });
+
+    return decoded;
+  }
+
+  findInstruction(transaction, name) {
+    return this.decodeTransaction(transaction).find(entry => entry.instruction === name) || null;
+  }
+
+  // The RPC cuts logs at its size limit - events past the cut are missing
+  isTruncated(logs = []) {
+    return logs.some(line => line === 'Log truncated');
+  }
+
+  readLayout(reader, { fields, trailing }) {
+    const result = {};
+
+    fields.forEach(([field, type]) => {
+      result[field] = reader[type]();
+    });
+
+    for (const [field, type] of trailing) {
+      if (reader.remaining < FIXED_SIZES[type]) break;
+      result[field] = reader[type]();
+    }
+
+    return result;
+  }
+}
+
+module.exports = new PumpLayout();
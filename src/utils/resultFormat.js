@@ -0,0 +1,137 @@
+// src/utils/resultFormat.js - VERSIONED ANALYSIS RESULTS
+//
+// analyzeToken stamps and validates every result through finalize(). Stored
+// results from older releases go through migrate() before being compared
+// with fresh ones.
+const { SCHEMA_VERSION, RESULT_SCHEMA } = require('../config/resultSchema');
+const schemaValidator = require('./schemaValidator');
+const findings = require('./findings');
+const riskModel = require('../analyzers/riskModel');
+const policyManager = require('../config/policy');
+
+const CHECK_LISTS = ['checks', 'enableChecks', 'disableChecks'];
+
+class ResultFormat {
+  constructor() {
+    this.version = SCHEMA_VERSION;
+    this.schema = RESULT_SCHEMA;
+
+    // migrations[n] upgrades a version n result to version n + 1
+    this.migrations = {
+      0: result => this.migrateFromUnversioned(result),
+      1: result => this.migrateOptions(result)
+    };
+  }
+
+  finalize(analysis) {
+    analysis.schemaVersion = this.version;
+    this.assertValid(analysis);
+    return analysis;
+  }
+
+  // The serializable part of analyzeToken's options: include* toggles, check
+  // lists and deadline, plus the profile name and rules source they resolved to
+  describeOptions(options, { profile, rules }) {
+    const summary = { profile, rules };
+    const toggles = Object.entries(options)
+      .filter(([key, value]) => /^include[A-Z]/.test(key) && typeof value === 'boolean');
+
+    if (toggles.length > 0) summary.toggles = Object.fromEntries(toggles);
+    CHECK_LISTS.forEach(key => {
+      if (Array.isArray(options[key])) summary[key] = options[key].map(String);
+    });
+    if (typeof options.deadlineMs === 'number') summary.deadlineMs = options.deadlineMs;
+
+    return summary;
+  }
+
+  validate(result) {
+    return schemaValidator.validate(result, this.schema);
+  }
+
+  assertValid(result) {
+    const errors = this.validate(result);
+    if (errors.length > 0) {
+      throw new Error(
+        `Analysis result does not match schema v${this.version}:\n  - ${errors.join('\n  - ')}`
+      );
+    }
+  }
+
+  // Returns an upgraded copy; the stored object is left untouched
+  migrate(stored) {
+    if (!stored || typeof stored !== 'object') {
+      throw new Error('Stored analysis result must be an object');
+    }
+
+    let result = JSON.parse(JSON.stringify(stored));
+    let version = result.schemaVersion ?? 0;
+
+    if (version > this.version) {
+      throw new Error(
+        `Analysis result uses schema v${version}, newer than supported v${this.version}`
+      );
+    }
+
+    while (version < this.version) {
+      result = this.migrations[version](result);
+      version++;
+      result.schemaVersion = version;
+    }
+
+    this.assertValid(result);
+    return result;
+  }
+
+  // Unversioned results come in two flavours. Before the unified risk model
+  // riskScore was a health score (100 = safe) and enhancedRiskScore added
+  // risk points on top of it; those results have no riskLevel. Later ones
+  // already use risk scores and only miss the fields added since.
+  migrateFromUnversioned(result) {
+    const policy = policyManager.defaultPolicy;
+
+    if (result.riskLevel === undefined && typeof result.riskScore === 'number') {
+      result.riskScore = riskModel.clamp(100 - result.riskScore);
+      if (result.liquidity) {
+        result.enhancedRiskScore = riskModel.applyLiquidityAdjustment(
+          result.riskScore, result.liquidity, policy
+        );
+      } else {
+        delete result.enhancedRiskScore;
+      }
+    }
+
+    // The policy a stored result was scored with is unknown, so bands are
+    // re-derived with the default one
+    const band = riskModel.getBand(riskModel.getEffectiveScore(result), policy);
+    result.riskLevel = band.level;
+    result.safetyLevel = band.safetyLevel;
+    result.recommendation = band.recommendation;
+
+    result.checks = result.checks || {};
+    [...Object.values(result.checks), result.liquidity].forEach(check => {
+      if (check && !Array.isArray(check.findings)) check.findings = [];
+    });
+    result.findings = result.findings || findings.collect(
+      ...Object.values(result.checks).map(check => check?.findings || [])
+    );
+    result.recommendations = result.recommendations || [];
+    result.policy = result.policy || { name: 'unknown', hash: null };
+
+    return result;
+  }
+
+  // Version 1 stored the raw options, signal and inline policy/profile/rules
+  // objects included
+  migrateOptions(result) {
+    if (result.options) {
+      result.options = this.describeOptions(result.options, {
+        profile: result.profile ?? 'standard',
+        rules: result.rules?.source ?? 'unknown'
+      });
+    }
+    return result;
+  }
+}
+
+module.exports = new ResultFormat();
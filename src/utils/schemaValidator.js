@@ -0,0 +1,108 @@
+// src/utils/schemaValidator.js - MINIMAL JSON SCHEMA VALIDATOR
+//
+// Covers the keywords used by config/resultSchema.js: type, enum, const,
+// required, properties, additionalProperties, items, minimum, maximum,
+// minLength, format (date-time), allOf and local $ref (#/$defs/...).
+// Annotation keywords such as title or examples are ignored.
+class SchemaValidator {
+  // Returns a list of "path: problem" strings, empty when the value is valid
+  validate(value, schema, root = schema) {
+    const errors = [];
+    this.check(value, schema, root, '$', errors);
+    return errors;
+  }
+
+  check(value, schema, root, path, errors) {
+    if (schema.$ref) {
+      this.check(value, this.resolveRef(schema.$ref, root), root, path, errors);
+    }
+
+    (schema.allOf || []).forEach(part => this.check(value, part, root, path, errors));
+
+    if (schema.const !== undefined && value !== schema.const) {
+      errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+    }
+
+    if (schema.type && !this.matchesType(value, schema.type)) {
+      errors.push(`${path}: must be ${[].concat(schema.type).join(' or ')} (got ${this.typeOf(value)})`);
+      return;
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path}: must be >= ${schema.minimum} (got ${value})`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path}: must be <= ${schema.maximum} (got ${value})`);
+      }
+    }
+
+    if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path}: must be at least ${schema.minLength} characters`);
+      }
+      if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+        errors.push(`${path}: must be an ISO 8601 date-time`);
+      }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+      value.forEach((item, index) => this.check(item, schema.items, root, `${path}[${index}]`, errors));
+    }
+
+    if (this.typeOf(value) === 'object') {
+      this.checkObject(value, schema, root, path, errors);
+    }
+  }
+
+  checkObject(value, schema, root, path, errors) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, entry]) => {
+      if (entry === undefined) return;
+
+      if (properties[key]) {
+        this.check(entry, properties[key], root, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      } else if (schema.additionalProperties) {
+        this.check(entry, schema.additionalProperties, root, `${path}.${key}`, errors);
+      }
+    });
+  }
+
+  resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) {
+      throw new Error(`Only local schema references are supported: ${ref}`);
+    }
+
+    const target = ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+    if (!target) {
+      throw new Error(`Unresolved schema reference: ${ref}`);
+    }
+    return target;
+  }
+
+  matchesType(value, type) {
+    return [].concat(type).some(expected => {
+      if (expected === 'integer') return Number.isInteger(value);
+      if (expected === 'number') return typeof value === 'number' && Number.isFinite(value);
+      return this.typeOf(value) === expected;
+    });
+  }
+
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+}
+
+module.exports = new SchemaValidator();
@@ -0,0 +1,46 @@
+// src/utils/tokenAmounts.js - EXACT BASE-UNIT AMOUNT MATH
+//
+// RPC `amount` fields are u64 strings in base units. `uiAmount` is a lossy
+// float, and for Token-2022 InterestBearing and ScaledUiAmount mints it is
+// the raw amount times a rate or multiplier that changes over time. Shares of
+// supply are therefore computed on the raw amounts with BigInt.
+
+// Fixed-point scale for percentages: 10 decimal places survive the division
+const PERCENT_SCALE = 10n ** 12n;
+const PERCENT_DIVISOR = Number(PERCENT_SCALE) / 100;
+
+class TokenAmounts {
+  toBigInt(amount) {
+    if (amount === undefined || amount === null || amount === '') return 0n;
+    return BigInt(amount);
+  }
+
+  isZero(amount) {
+    return this.toBigInt(amount) === 0n;
+  }
+
+  // Percentage of `total` held by `part`, both raw base-unit amounts
+  percentage(part, total) {
+    const whole = this.toBigInt(total);
+    if (whole === 0n) return 0;
+    return Number((this.toBigInt(part) * PERCENT_SCALE) / whole) / PERCENT_DIVISOR;
+  }
+
+  // Raw amount as an exact decimal string of whole tokens, no scaling applied
+  format(amount, decimals) {
+    const raw = this.toBigInt(amount);
+    if (!decimals) return raw.toString();
+
+    const digits = raw.toString().padStart(decimals + 1, '0');
+    const whole = digits.slice(0, -decimals);
+    const fraction = digits.slice(-decimals).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+  }
+
+  // Whole tokens as a number, for threshold comparisons only
+  toTokens(amount, decimals) {
+    return Number(this.format(amount, decimals));
+  }
+}
+
+module.exports = new TokenAmounts();
@@ -0,0 +1,313 @@
+// src/utils/tokenLayout.js - SPL TOKEN / TOKEN-2022 MINT ACCOUNT DECODER
+//
+// Decodes the raw mint account instead of relying on the RPC's jsonParsed
+// output, which lags behind new Token-2022 extensions and turns u64 values
+// into lossy JSON numbers. u64 amounts are returned as decimal strings.
+//
+// Token-2022 layout: the 82-byte base mint, zero padding up to 165 bytes, one
+// account-type byte, then TLV entries (u16 type, u16 length, value).
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const { PROGRAMS } = require('../config/constants');
+
+const MINT_SIZE = 82;
+const ACCOUNT_TYPE_OFFSET = 165;
+const ACCOUNT_TYPE_MINT = 1;
+
+const TOKEN_PROGRAMS = {
+  [PROGRAMS.TOKEN_PROGRAM]: 'spl-token',
+  [PROGRAMS.TOKEN_2022_PROGRAM]: 'spl-token-2022'
+};
+
+// spl-token-2022 ExtensionType discriminants (account-only types included so
+// they are named rather than reported as unknown)
+const EXTENSION_TYPES = {
+  1: 'TransferFeeConfig',
+  2: 'TransferFeeAmount',
+  3: 'MintCloseAuthority',
+  4: 'ConfidentialTransferMint',
+  5: 'ConfidentialTransferAccount',
+  6: 'DefaultAccountState',
+  7: 'ImmutableOwner',
+  8: 'MemoTransfer',
+  9: 'NonTransferable',
+  10: 'InterestBearingConfig',
+  11: 'CpiGuard',
+  12: 'PermanentDelegate',
+  13: 'NonTransferableAccount',
+  14: 'TransferHook',
+  15: 'TransferHookAccount',
+  16: 'ConfidentialTransferFeeConfig',
+  17: 'ConfidentialTransferFeeAmount',
+  18: 'MetadataPointer',
+  19: 'TokenMetadata',
+  20: 'GroupPointer',
+  21: 'TokenGroup',
+  22: 'GroupMemberPointer',
+  23: 'TokenGroupMember',
+  24: 'ConfidentialMintBurn',
+  25: 'ScaledUiAmount',
+  26: 'Pausable',
+  27: 'PausableAccount'
+};
+
+const ACCOUNT_STATES = ['Uninitialized', 'Initialized', 'Frozen'];
+
+// Accounts outside the token program that implement the token-metadata
+// interface store it as TLV with an 8-byte discriminator and a u32 length
+const TOKEN_METADATA_DISCRIMINATOR = crypto.createHash('sha256')
+  .update('spl_token_metadata_interface:token_metadata')
+  .digest()
+  .subarray(0, 8);
+
+class TokenLayout {
+  constructor() {
+    this.tokenPrograms = TOKEN_PROGRAMS;
+    this.extensionTypes = EXTENSION_TYPES;
+
+    this.decoders = {
+      TransferFeeConfig: value => ({
+        transferFeeConfigAuthority: this.optionalKey(value, 0),
+        withdrawWithheldAuthority: this.optionalKey(value, 32),
+        withheldAmount: this.u64(value, 64),
+        olderTransferFee: this.transferFee(value, 72),
+        newerTransferFee: this.transferFee(value, 90)
+      }),
+      MintCloseAuthority: value => ({
+        closeAuthority: this.optionalKey(value, 0)
+      }),
+      ConfidentialTransferMint: value => ({
+        authority: this.optionalKey(value, 0),
+        autoApproveNewAccounts: value[32] === 1,
+        auditorElgamalPubkey: this.optionalBytes(value, 33, 32)
+      }),
+      DefaultAccountState: value => ({
+        state: ACCOUNT_STATES[value[0]] || `Unknown(${value[0]})`
+      }),
+      NonTransferable: () => ({}),
+      InterestBearingConfig: value => ({
+        rateAuthority: this.optionalKey(value, 0),
+        initializationTimestamp: Number(value.readBigInt64LE(32)),
+        preUpdateAverageRate: value.readInt16LE(40),
+        lastUpdateTimestamp: Number(value.readBigInt64LE(42)),
+        currentRate: value.readInt16LE(50)
+      }),
+      PermanentDelegate: value => ({
+        delegate: this.optionalKey(value, 0)
+      }),
+      TransferHook: value => ({
+        authority: this.optionalKey(value, 0),
+        programId: this.optionalKey(value, 32)
+      }),
+      ConfidentialTransferFeeConfig: value => ({
+        authority: this.optionalKey(value, 0),
+        withdrawWithheldAuthorityElgamalPubkey: this.optionalBytes(value, 32, 32),
+        harvestToMintEnabled: value[64] === 1
+      }),
+      MetadataPointer: value => ({
+        authority: this.optionalKey(value, 0),
+        metadataAddress: this.optionalKey(value, 32)
+      }),
+      TokenMetadata: value => this.decodeTokenMetadata(value),
+      GroupPointer: value => ({
+        authority: this.optionalKey(value, 0),
+        groupAddress: this.optionalKey(value, 32)
+      }),
+      GroupMemberPointer: value => ({
+        authority: this.optionalKey(value, 0),
+        memberAddress: this.optionalKey(value, 32)
+      }),
+      TokenGroup: value => ({
+        updateAuthority: this.optionalKey(value, 0),
+        mint: this.key(value, 32),
+        size: this.u64(value, 64),
+        maxSize: this.u64(value, 72)
+      }),
+      TokenGroupMember: value => ({
+        mint: this.key(value, 0),
+        group: this.key(value, 32),
+        memberNumber: this.u64(value, 64)
+      }),
+      ScaledUiAmount: value => ({
+        authority: this.optionalKey(value, 0),
+        multiplier: value.readDoubleLE(32),
+        newMultiplierEffectiveTimestamp: Number(value.readBigInt64LE(40)),
+        newMultiplier: value.readDoubleLE(48)
+      }),
+      Pausable: value => ({
+        authority: this.optionalKey(value, 0),
+        paused: value[32] === 1
+      })
+    };
+  }
+
+  isTokenProgram(owner) {
+    return Boolean(TOKEN_PROGRAMS[owner]);
+  }
+
+  // Wallet or PDA that controls a token account - the same offset in both
+  // programs, after the 32-byte mint
+  decodeTokenAccountOwner(data) {
+    if (!data || data.length < 64) throw new Error('Token account data too short');
+    return this.key(data, 32);
+  }
+
+  // `data` is the raw account data, `owner` the owning program id (base58)
+  decodeMint(data, owner) {
+    const tokenProgram = TOKEN_PROGRAMS[owner];
+    if (!tokenProgram) {
+      throw new Error('Not a valid token mint');
+    }
+
+    if (!data || data.length < MINT_SIZE) {
+      throw new Error(`Mint account too small: ${data ? data.length : 0} bytes`);
+    }
+
+    return {
+      mintAuthority: this.optionKey(data, 0),
+      supply: this.u64(data, 36),
+      decimals: data[44],
+      isInitialized: data[45] === 1,
+      freezeAuthority: this.optionKey(data, 46),
+      programId: owner,
+      tokenProgram,
+      extensions: tokenProgram === 'spl-token-2022' ? this.decodeExtensions(data) : []
+    };
+  }
+
+  decodeExtensions(data) {
+    if (data.length <= ACCOUNT_TYPE_OFFSET) return [];
+
+    if (data[ACCOUNT_TYPE_OFFSET] !== ACCOUNT_TYPE_MINT) {
+      throw new Error(`Not a mint account (account type ${data[ACCOUNT_TYPE_OFFSET]})`);
+    }
+
+    const extensions = [];
+    let offset = ACCOUNT_TYPE_OFFSET + 1;
+
+    while (offset + 4 <= data.length) {
+      const typeId = data.readUInt16LE(offset);
+      const length = data.readUInt16LE(offset + 2);
+      offset += 4;
+
+      // Type 0 is zeroed space left after the last extension
+      if (typeId === 0) break;
+
+      if (offset + length > data.length) {
+        throw new Error(`Truncated ${EXTENSION_TYPES[typeId] || `extension ${typeId}`} data`);
+      }
+
+      extensions.push(this.decodeExtension(typeId, data.subarray(offset, offset + length)));
+      offset += length;
+    }
+
+    return extensions;
+  }
+
+  decodeExtension(typeId, value) {
+    const type = EXTENSION_TYPES[typeId] || 'Unknown';
+    const decoder = this.decoders[type];
+    let config;
+
+    try {
+      config = decoder ? decoder(value) : { length: value.length };
+    } catch (error) {
+      // Keep the rest of the mint readable if one extension has an unexpected size
+      config = { length: value.length, decodeError: error.message };
+    }
+
+    return { type, typeId, config };
+  }
+
+  // Borsh-encoded TokenMetadata: update authority, mint, name, symbol, uri
+  // and a list of additional key/value pairs
+  decodeTokenMetadata(data) {
+    const updateAuthority = this.optionalKey(data, 0);
+    const mint = this.key(data, 32);
+    const cursor = { offset: 64 };
+
+    const name = this.string(data, cursor);
+    const symbol = this.string(data, cursor);
+    const uri = this.string(data, cursor);
+
+    const count = this.readU32(data, cursor);
+    const additionalMetadata = [];
+    for (let i = 0; i < count; i++) {
+      additionalMetadata.push({ key: this.string(data, cursor), value: this.string(data, cursor) });
+    }
+
+    return { updateAuthority, mint, name, symbol, uri, additionalMetadata };
+  }
+
+  // Finds the TokenMetadata entry in an account written by a metadata program
+  decodeMetadataAccount(data) {
+    let offset = 0;
+
+    while (offset + 12 <= data.length) {
+      const discriminator = data.subarray(offset, offset + 8);
+      const length = data.readUInt32LE(offset + 8);
+      offset += 12;
+
+      if (discriminator.equals(TOKEN_METADATA_DISCRIMINATOR)) {
+        if (offset + length > data.length) throw new Error('Truncated token metadata');
+        return this.decodeTokenMetadata(data.subarray(offset, offset + length));
+      }
+      offset += length;
+    }
+
+    return null;
+  }
+
+  findExtension(extensions = [], type) {
+    return extensions.find(extension => extension.type === type) || null;
+  }
+
+  transferFee(data, offset) {
+    return {
+      epoch: this.u64(data, offset),
+      maximumFee: this.u64(data, offset + 8),
+      transferFeeBasisPoints: data.readUInt16LE(offset + 16)
+    };
+  }
+
+  // COption<Pubkey>: u32 tag followed by the key
+  optionKey(data, offset) {
+    return data.readUInt32LE(offset) === 1 ? this.key(data, offset + 4) : null;
+  }
+
+  // OptionalNonZeroPubkey: all zeroes means none
+  optionalKey(data, offset) {
+    const bytes = data.subarray(offset, offset + 32);
+    if (bytes.length < 32) throw new Error('Public key out of range');
+    return bytes.every(byte => byte === 0) ? null : this.key(data, offset);
+  }
+
+  optionalBytes(data, offset, length) {
+    const bytes = data.subarray(offset, offset + length);
+    return bytes.every(byte => byte === 0) ? null : bytes.toString('base64');
+  }
+
+  key(data, offset) {
+    return new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+  }
+
+  readU32(data, cursor) {
+    const value = data.readUInt32LE(cursor.offset);
+    cursor.offset += 4;
+    return value;
+  }
+
+  string(data, cursor) {
+    const length = this.readU32(data, cursor);
+    if (cursor.offset + length > data.length) throw new Error('String out of range');
+    const value = data.toString('utf8', cursor.offset, cursor.offset + length);
+    cursor.offset += length;
+    return value;
+  }
+
+  u64(data, offset) {
+    return data.readBigUInt64LE(offset).toString();
+  }
+}
+
+module.exports = new TokenLayout();
@@ -0,0 +1,91 @@
+// src/utils/transactionLayout.js - INSTRUCTIONS OF A getTransaction RESULT
+//
+// getTransaction returns legacy messages with `accountKeys` / `instructions`
+// and v0 messages with `staticAccountKeys` / `compiledInstructions`, whose
+// remaining keys come from address lookup tables via meta.loadedAddresses.
+// Inner instructions (CPIs) sit in meta.innerInstructions with base58 data.
+// This flattens all of them into one list with resolved account addresses.
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+class TransactionLayout {
+  // Static keys first, then lookup-table writable and readonly keys
+  getAccountKeys(transaction) {
+    const { message } = transaction.transaction;
+    const loaded = transaction.meta?.loadedAddresses || { writable: [], readonly: [] };
+
+    return [
+      ...(message.staticAccountKeys || message.accountKeys),
+      ...loaded.writable,
+      ...loaded.readonly
+    ].map(key => key.toString());
+  }
+
+  // Signers are the first numRequiredSignatures static keys
+  getSigners(transaction) {
+    const { header } = transaction.transaction.message;
+    return this.getAccountKeys(transaction).slice(0, header.numRequiredSignatures);
+  }
+
+  // Net lamport change of every account, fees included
+  getLamportChanges(transaction) {
+    const { preBalances = [], postBalances = [] } = transaction.meta || {};
+    const changes = new Map();
+
+    this.getAccountKeys(transaction).forEach((key, index) => {
+      const change = (postBalances[index] ?? 0) - (preBalances[index] ?? 0);
+      changes.set(key, (changes.get(key) || 0) + change);
+    });
+    return changes;
+  }
+
+  // Each top-level instruction followed by the inner instructions it invoked.
+  // Returns [{ programId, accounts, data, index, inner }] - `index` is the
+  // top-level instruction the entry belongs to.
+  getInstructions(transaction) {
+    const keys = this.getAccountKeys(transaction);
+    const { message } = transaction.transaction;
+    const topLevel = message.compiledInstructions || message.instructions;
+    const innerByIndex = new Map(
+      (transaction.meta?.innerInstructions || []).map(entry => [entry.index, entry.instructions])
+    );
+
+    return topLevel.flatMap((instruction, index) => [
+      this.resolve(instruction, keys, index, false),
+      ...(innerByIndex.get(index) || []).map(child => this.resolve(child, keys, index, true))
+    ]);
+  }
+
+  resolve(instruction, keys, index, inner) {
+    const accountIndexes = instruction.accountKeyIndexes || instruction.accounts;
+
+    return {
+      programId: keys[instruction.programIdIndex],
+      accounts: accountIndexes.map(position => keys[position]),
+      data: typeof instruction.data === 'string'
+        ? this.decodeBase58(instruction.data)
+        : Buffer.from(instruction.data),
+      index,
+      inner
+    };
+  }
+
+  // Instruction data is at most a transaction (1232 bytes) long
+  decodeBase58(text) {
+    let value = 0n;
+    for (const char of text) {
+      const digit = BASE58_ALPHABET.indexOf(char);
+      if (digit < 0) throw new Error(`Invalid base58 character: ${char}`);
+      value = value * 58n + BigInt(digit);
+    }
+
+    let hex = value === 0n ? '' : value.toString(16);
+    if (hex.length % 2) hex = `0${hex}`;
+
+    // Each leading '1' encodes a leading zero byte
+    const zeros = text.length - text.replace(/^1+/, '').length;
+    return Buffer.concat([Buffer.alloc(zeros), Buffer.from(hex, 'hex')]);
+  }
+}
+
+module.exports = new TransactionLayout();